@@ -2,37 +2,71 @@
  * V4V Dashboard Frontend
  */
 
+import { periodKey, recentPeriodKeys, isValidTimeZone, localTimeZone } from '/shared/periods.js';
+import { buildDistribution, DEFAULT_TIP_PRESETS } from '/shared/distribution.js';
+import { buildHeatmap } from '/shared/heatmap.js';
+import { buildSupporters } from '/shared/supporters.js';
+import { essayLifecycle, LIFECYCLE_WINDOWS } from '/shared/lifecycle.js';
+import { detectAnomalies, describeAnomaly } from '/shared/anomalies.js';
+import { projectTotals } from '/shared/projections.js';
+import { buildSeries, parseRollingWindow } from '/shared/series.js';
+
 // Constants
 const MILLISATS_PER_SAT = 1000;
 const SATS_PER_BTC = 100_000_000;
 const MAX_WEEKS_FOR_ALL_TIME = 52;
+const TOP_SUPPORTERS = 10;
 const FOOTER_SLUG = '(footer/general)';
+const DIRECT_SOURCE = '(direct)';
+const SERIES_OPTIONS = ['weekly', 'cumulative', '7d', '30d', '90d'];
 
 // State
 let data = null;
 let chart = null;
+let distributionChart = null;
+let supportersChart = null;
 let selectedRange = '30';
 let sortColumn = 'sats';
 let sortDirection = 'desc';
 let selectedEssay = null;
+let selectedWallet = 'all';
+let selectedSite = 'all';
+let selectedTimeZone = null; // null = the server's (V4V_TZ)
+let selectedSeries = 'weekly'; // or cumulative, or a rolling 7d/30d/90d window
 
 // DOM elements
 const elements = {
   totalSats: document.getElementById('total-sats'),
   totalUsd: document.getElementById('total-usd'),
   totalPayments: document.getElementById('total-payments'),
+  zapSats: document.getElementById('zap-sats'),
+  zapShare: document.getElementById('zap-share'),
   avgSats: document.getElementById('avg-sats'),
   avgUsd: document.getElementById('avg-usd'),
   btcPrice: document.getElementById('btc-price'),
   sourceTableBody: document.getElementById('table-body'),
   chartSkeleton: document.getElementById('chart-skeleton'),
   chartCanvas: document.getElementById('trend-chart'),
+  projectionStats: document.getElementById('projection-stats'),
+  distributionCanvas: document.getElementById('distribution-chart'),
+  distributionStats: document.getElementById('distribution-stats'),
+  heatmap: document.getElementById('heatmap'),
+  heatmapStats: document.getElementById('heatmap-stats'),
+  anomalyBanner: document.getElementById('anomaly-banner'),
+  supportersStats: document.getElementById('supporters-stats'),
+  supportersCanvas: document.getElementById('supporters-chart'),
+  supportersTableBody: document.getElementById('supporters-body'),
+  linkSourcesTableBody: document.getElementById('link-sources-body'),
   drillDown: document.getElementById('drill-down'),
   drillDownTitle: document.getElementById('drill-down-title'),
   drillDownContent: document.getElementById('drill-down-content'),
   drillDownClose: document.getElementById('drill-down-close'),
   lastRefresh: document.getElementById('last-refresh'),
   refreshBtn: document.getElementById('refresh-btn'),
+  walletSelect: document.getElementById('wallet-select'),
+  siteSelect: document.getElementById('site-select'),
+  timeZoneSelect: document.getElementById('tz-select'),
+  seriesSelect: document.getElementById('series-select'),
 };
 
 // ============================================
@@ -56,6 +90,17 @@ function readUrlState() {
   if (dir && ['asc', 'desc'].includes(dir)) {
     sortDirection = dir;
   }
+
+  // Validated against the wallet and site lists once data has loaded
+  selectedWallet = params.get('wallet') || 'all';
+  selectedSite = params.get('site') || 'all';
+
+  const tz = params.get('tz');
+  selectedTimeZone = tz && isValidTimeZone(tz) ? tz : null;
+
+  const series = params.get('series');
+  selectedSeries = SERIES_OPTIONS.includes(series) ? series : 'weekly';
+  elements.seriesSelect.value = selectedSeries;
   
   // Update UI to match state
   document.querySelectorAll('.time-controls button').forEach((btn) => {
@@ -75,6 +120,18 @@ function updateUrlState() {
   if (sortDirection !== 'desc') {
     params.set('dir', sortDirection);
   }
+  if (selectedWallet !== 'all') {
+    params.set('wallet', selectedWallet);
+  }
+  if (selectedSite !== 'all') {
+    params.set('site', selectedSite);
+  }
+  if (selectedTimeZone) {
+    params.set('tz', selectedTimeZone);
+  }
+  if (selectedSeries !== 'weekly') {
+    params.set('series', selectedSeries);
+  }
   
   const newUrl = params.toString() 
     ? `${window.location.pathname}?${params.toString()}`
@@ -96,6 +153,11 @@ function formatUsd(usd) {
   return `~$${usd.toFixed(2)}`;
 }
 
+// Payer names come from strangers' wallets
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
 function formatDate(timestamp) {
   if (!timestamp) return 'N/A';
   return new Date(timestamp * 1000).toLocaleDateString();
@@ -107,22 +169,46 @@ function formatDateTime(timestamp) {
   return date.toLocaleString();
 }
 
+// Periods are bucketed in the chosen zone, defaulting to the server's like the CLI
+function getTimeZone() {
+  return selectedTimeZone || data?.timeZone || localTimeZone();
+}
+
+// Essay keys and titles both come from the server's attribution rules
 function getSourceName(slug) {
   if (slug === FOOTER_SLUG) return 'Footer';
   if (!data?.essayTitles) return slug;
-  return data.essayTitles[slug] || data.essayTitles[`essays/${slug}`] || slug;
+  return data.essayTitles[slug] || slug;
 }
 
 // ============================================
 // Data Processing
 // ============================================
 
+function filterByWallet(transactions, wallet) {
+  if (wallet === 'all') return transactions;
+  return transactions.filter((tx) => tx.wallet === wallet);
+}
+
+function filterBySite(transactions, site) {
+  if (site === 'all') return transactions;
+  return transactions.filter((tx) => tx.site === site);
+}
+
+function filterSelected(transactions) {
+  return filterByRange(filterBySite(filterByWallet(transactions, selectedWallet), selectedSite), selectedRange);
+}
+
+function rangeCutoff(range) {
+  if (range === 'all') return null;
+  const days = parseInt(range, 10);
+  return Date.now() - days * 24 * 60 * 60 * 1000;
+}
+
 function filterByRange(transactions, range) {
   if (range === 'all') return transactions;
 
-  const now = Date.now();
-  const days = parseInt(range, 10);
-  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  const cutoff = rangeCutoff(range);
 
   return transactions.filter((tx) => {
     const timestamp = tx.timestamp * 1000;
@@ -132,6 +218,7 @@ function filterByRange(transactions, range) {
 
 function calculateSummary(transactions, btcPrice) {
   const generalTxs = transactions.filter((tx) => tx.essay === FOOTER_SLUG);
+  const zapTxs = transactions.filter((tx) => tx.channel === 'zap');
 
   const totalSats = transactions.reduce((sum, tx) => sum + tx.amount, 0);
   const totalPayments = transactions.length;
@@ -150,6 +237,8 @@ function calculateSummary(transactions, btcPrice) {
     generalSats,
     generalCount: generalTxs.length,
     generalLastPayment,
+    zapSats: zapTxs.reduce((sum, tx) => sum + tx.amount, 0),
+    zapCount: zapTxs.length,
   };
 }
 
@@ -175,49 +264,61 @@ function aggregateBySource(transactions) {
   }));
 }
 
-function aggregateByWeek(transactions, range) {
-  const byWeek = new Map();
-
-  const now = new Date();
-  const currentDay = now.getDay();
-  const currentMonday = new Date(now);
-  currentMonday.setDate(now.getDate() - currentDay + (currentDay === 0 ? -6 : 1));
-  currentMonday.setHours(0, 0, 0, 0);
+// By the ?source= link parameter, not to be confused with essays ("sources" above)
+function aggregateByLinkSource(transactions) {
+  const bySource = new Map();
 
-  let numWeeks;
-  if (range === 'all') {
-    numWeeks = MAX_WEEKS_FOR_ALL_TIME;
-  } else {
-    const days = parseInt(range, 10);
-    numWeeks = Math.ceil(days / 7);
+  for (const tx of transactions) {
+    const source = tx.source || DIRECT_SOURCE;
+    const existing = bySource.get(source) || { sats: 0, count: 0 };
+    existing.sats += tx.amount;
+    existing.count += 1;
+    bySource.set(source, existing);
   }
 
-  for (let i = numWeeks - 1; i >= 0; i--) {
-    const weekStart = new Date(currentMonday);
-    weekStart.setDate(currentMonday.getDate() - i * 7);
-    const key = weekStart.toISOString().split('T')[0];
+  return [...bySource.entries()]
+    .map(([source, d]) => ({ source, sats: d.sats, count: d.count }))
+    .sort((a, b) => b.sats - a.sats);
+}
+
+function aggregateByWeek(transactions, range, timeZone) {
+  const numWeeks = range === 'all' ? MAX_WEEKS_FOR_ALL_TIME : Math.ceil(parseInt(range, 10) / 7);
+
+  // Every week in range gets a point, even without payments
+  const byWeek = new Map();
+  for (const key of recentPeriodKeys(numWeeks, 'weekly', timeZone)) {
     byWeek.set(key, { sats: 0, count: 0 });
   }
 
   for (const tx of transactions) {
     if (!tx.timestamp) continue;
-    const date = new Date(tx.timestamp * 1000);
-    const day = date.getDay();
-    const monday = new Date(date);
-    monday.setDate(date.getDate() - day + (day === 0 ? -6 : 1));
-    monday.setHours(0, 0, 0, 0);
-    const key = monday.toISOString().split('T')[0];
-
-    if (byWeek.has(key)) {
-      const existing = byWeek.get(key);
+    const existing = byWeek.get(periodKey(tx.timestamp, 'weekly', timeZone));
+    if (existing) {
       existing.sats += tx.amount;
       existing.count += 1;
     }
   }
 
-  return [...byWeek.entries()]
-    .sort((a, b) => a[0].localeCompare(b[0]))
-    .map(([week, d]) => ({ week, sats: d.sats, count: d.count }));
+  return [...byWeek.entries()].map(([week, d]) => ({ week, sats: d.sats, count: d.count }));
+}
+
+// Running totals and rolling sums count the full history whatever the range,
+// read at the end of each week on the chart (today for this week)
+function seriesByWeek(weeklyData) {
+  const transactions = filterBySite(filterByWallet(data.transactions, selectedWallet), selectedSite);
+  const rolling = parseRollingWindow(selectedSeries);
+  const series = buildSeries(
+    transactions.map((tx) => ({ sats: tx.amount, timestamp: tx.timestamp })),
+    { period: 'weekly', timeZone: getTimeZone(), rolling, cumulative: !rolling }
+  );
+  const byWeek = new Map(series.map((point) => [point.date, point]));
+
+  // Weeks before the first payment have nothing yet
+  return weeklyData.map(({ week }) => {
+    const point = byWeek.get(week);
+    const values = (rolling ? point?.rolling : point?.cumulative) || { sats: 0, payments: 0, perDay: 0 };
+    return { week, sats: values.sats, count: values.payments, perDay: values.perDay };
+  });
 }
 
 function sortSourceData(sourceData) {
@@ -247,12 +348,42 @@ function updateSummary(summary, btcPrice) {
   elements.totalSats.textContent = `${formatNumber(summary.totalSats)} sats`;
   elements.totalUsd.textContent = summary.totalUsd ? formatUsd(summary.totalUsd) : '';
   elements.totalPayments.textContent = formatNumber(summary.totalPayments);
+  elements.zapSats.textContent = `${formatNumber(summary.zapSats)} sats`;
+  elements.zapShare.textContent = summary.totalSats
+    ? `${formatNumber(summary.zapCount)} zaps · ${Math.round((summary.zapSats / summary.totalSats) * 100)}% of sats`
+    : '';
   elements.avgSats.textContent = `${formatNumber(summary.avgSats)} sats`;
   elements.avgUsd.textContent = summary.avgUsd ? formatUsd(summary.avgUsd) : '';
   elements.btcPrice.textContent = btcPrice ? `$${formatNumber(btcPrice)}` : 'N/A';
 }
 
-function updateChart(weeklyData) {
+// Projects from the full history whatever the range, like the anomaly check
+function projectCurrentPeriods() {
+  const transactions = filterBySite(filterByWallet(data.transactions, selectedWallet), selectedSite);
+  return projectTotals(
+    transactions.map((tx) => ({ sats: tx.amount, timestamp: tx.timestamp })),
+    { timeZone: getTimeZone(), periods: ['week', 'month', 'quarter', 'year'] }
+  );
+}
+
+function updateProjectionStats(projection) {
+  const names = { week: 'This week', month: 'Month', quarter: 'Quarter', year: 'Year' };
+  const parts = projection.periods
+    .filter((p) => p.projected !== null)
+    .map((p) => `${names[p.period]} ~${formatNumber(p.projected)} (${formatNumber(p.low)}–${formatNumber(p.high)})`);
+  elements.projectionStats.textContent = parts.length
+    ? `Projected: ${parts.join(' · ')} sats`
+    : 'Not enough history to project yet';
+}
+
+function seriesLabel(sats, perDay) {
+  if (selectedSeries === 'cumulative') return `${formatNumber(sats)} sats to date`;
+  const rolling = parseRollingWindow(selectedSeries);
+  if (rolling) return `${formatNumber(sats)} sats in ${rolling} days (~${formatNumber(perDay)}/day)`;
+  return `${formatNumber(sats)} sats`;
+}
+
+function updateChart(weeklyData, projection) {
   // Hide skeleton, show canvas
   elements.chartSkeleton.style.display = 'none';
   elements.chartCanvas.style.display = 'block';
@@ -260,10 +391,25 @@ function updateChart(weeklyData) {
   const ctx = elements.chartCanvas.getContext('2d');
   const labels = weeklyData.map((d) => d.week);
   const values = weeklyData.map((d) => d.sats);
+  const perDay = weeklyData.map((d) => d.perDay);
+
+  // Dashed segment from the last full week to where this week is heading
+  // (weekly sums only: a running total or window isn't projected)
+  const week = projection.periods.find((p) => p.period === 'week');
+  const last = labels.length - 1;
+  const projected = labels.map(() => null);
+  if (selectedSeries === 'weekly' && week && week.projected !== null && labels[last] === week.key) {
+    if (last > 0) projected[last - 1] = values[last - 1];
+    projected[last] = week.projected;
+  }
+  const range = week ? [week.low, week.high] : null;
 
   if (chart) {
     chart.data.labels = labels;
     chart.data.datasets[0].data = values;
+    chart.data.datasets[0].perDay = perDay;
+    chart.data.datasets[1].data = projected;
+    chart.data.datasets[1].range = range;
     chart.update();
   } else {
     chart = new Chart(ctx, {
@@ -274,6 +420,7 @@ function updateChart(weeklyData) {
           {
             label: 'Sats',
             data: values,
+            perDay,
             borderColor: '#ff6b35',
             backgroundColor: 'rgba(255, 107, 53, 0.1)',
             fill: true,
@@ -281,6 +428,17 @@ function updateChart(weeklyData) {
             pointRadius: 4,
             pointHoverRadius: 6,
           },
+          {
+            label: 'Projected',
+            data: projected,
+            range,
+            borderColor: '#ff6b35',
+            borderDash: [6, 4],
+            fill: false,
+            pointRadius: (context) => (context.dataIndex === context.dataset.data.length - 1 ? 4 : 0),
+            pointHoverRadius: 6,
+            pointBackgroundColor: '#242424',
+          },
         ],
       },
       options: {
@@ -294,8 +452,14 @@ function updateChart(weeklyData) {
             borderWidth: 1,
             titleColor: '#f5f5f5',
             bodyColor: '#a0a0a0',
+            // The dashed segment's first point repeats last week's actual
+            filter: (item) => item.datasetIndex === 0 || item.dataIndex === item.dataset.data.length - 1,
             callbacks: {
-              label: (context) => `${formatNumber(context.raw)} sats`,
+              label: (context) => {
+                if (context.datasetIndex === 0) return seriesLabel(context.raw, context.dataset.perDay[context.dataIndex]);
+                const [low, high] = context.dataset.range;
+                return `Projected ${formatNumber(context.raw)} sats (${formatNumber(low)}–${formatNumber(high)})`;
+              },
             },
           },
         },
@@ -317,6 +481,208 @@ function updateChart(weeklyData) {
   }
 }
 
+function updateDistribution(transactions) {
+  const distribution = buildDistribution(
+    transactions.map((tx) => tx.amount),
+    data.tipPresets || DEFAULT_TIP_PRESETS
+  );
+
+  const stat = (value) => (value === null ? 'N/A' : formatNumber(Math.round(value)));
+  elements.distributionStats.textContent = distribution.count === 0
+    ? 'No payments'
+    : `Median ${stat(distribution.median)} · p25 ${stat(distribution.p25)} · p75 ${stat(distribution.p75)} · `
+      + `p90 ${stat(distribution.p90)} · Min ${stat(distribution.min)} · Max ${stat(distribution.max)} sats`;
+
+  const labels = distribution.histogram.map((b) => b.label);
+  const values = distribution.histogram.map((b) => b.count);
+  // Preset buttons in the accent color, custom amounts between them muted
+  const colors = distribution.histogram.map((b) => (b.preset ? '#ff6b35' : '#5a5a5a'));
+
+  if (distributionChart) {
+    distributionChart.data.labels = labels;
+    distributionChart.data.datasets[0].data = values;
+    distributionChart.data.datasets[0].backgroundColor = colors;
+    distributionChart.update();
+    return;
+  }
+
+  distributionChart = new Chart(elements.distributionCanvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [{ label: 'Payments', data: values, backgroundColor: colors }],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: '#242424',
+          borderColor: '#3a3a3a',
+          borderWidth: 1,
+          titleColor: '#f5f5f5',
+          bodyColor: '#a0a0a0',
+          callbacks: {
+            label: (context) => `${formatNumber(context.raw)} payments`,
+          },
+        },
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { color: '#a0a0a0' },
+        },
+        y: {
+          grid: { color: '#3a3a3a' },
+          ticks: { color: '#a0a0a0', precision: 0 },
+        },
+      },
+    },
+  });
+}
+
+function updateHeatmap(transactions) {
+  const heatmap = buildHeatmap(
+    transactions.map((tx) => ({ sats: tx.amount, timestamp: tx.timestamp })),
+    getTimeZone()
+  );
+  const { peak } = heatmap;
+  const hourLabel = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+  elements.heatmapStats.textContent = peak
+    ? `Busiest: ${peak.weekday} ${hourLabel(peak.hour)} (${formatNumber(peak.count)} payments, ${formatNumber(peak.sats)} sats) · ${getTimeZone()}`
+    : 'No payments';
+
+  let html = '<span></span>';
+  for (let hour = 0; hour < 24; hour += 3) {
+    html += `<span class="heatmap-hour">${hour}</span>`;
+  }
+  heatmap.weekdays.forEach((label, day) => {
+    html += `<span>${label}</span>`;
+    heatmap.count[day].forEach((count, hour) => {
+      const title = `${label} ${hourLabel(hour)}: ${formatNumber(count)} payments, ${formatNumber(heatmap.sats[day][hour])} sats`;
+      // Keep the faintest filled cell visible against the empty ones
+      const level = count ? (0.15 + 0.85 * (count / peak.count)).toFixed(2) : 0;
+      html += count
+        ? `<span class="heatmap-cell filled" style="--level: ${level}" title="${title}"></span>`
+        : `<span class="heatmap-cell" title="${title}"></span>`;
+    });
+  });
+  elements.heatmap.innerHTML = html;
+}
+
+// Checks the last 30 days whatever the range, against the full history
+function updateAnomalies() {
+  const transactions = filterBySite(filterByWallet(data.transactions, selectedWallet), selectedSite);
+  const { flags } = detectAnomalies(
+    transactions.map((tx) => ({ sats: tx.amount, timestamp: tx.timestamp })),
+    { timeZone: getTimeZone() }
+  );
+
+  // Outages first: they need action, spikes are good news
+  const sorted = [...flags].sort((a, b) => (a.type === 'spike') - (b.type === 'spike') || b.to.localeCompare(a.to));
+  elements.anomalyBanner.hidden = sorted.length === 0;
+  elements.anomalyBanner.classList.toggle('warning', sorted.some((flag) => flag.type !== 'spike'));
+  elements.anomalyBanner.innerHTML = sorted
+    .map((flag) => `<div class="anomaly ${flag.type}">${describeAnomaly(flag)}</div>`)
+    .join('');
+}
+
+function updateLinkSources(transactions) {
+  const totalSats = transactions.reduce((sum, tx) => sum + tx.amount, 0);
+  elements.linkSourcesTableBody.innerHTML = aggregateByLinkSource(transactions)
+    .map(
+      (s) => `
+      <tr>
+        <td>${escapeHtml(s.source)}</td>
+        <td>${formatNumber(s.sats)}</td>
+        <td>${s.count}</td>
+        <td>${totalSats ? Math.round((s.sats / totalSats) * 100) : 0}%</td>
+      </tr>
+    `
+    )
+    .join('');
+}
+
+function updateSupporters() {
+  // Lifetime totals need every payment, so only the wallet and site filters
+  // apply; the time range picks which supporters and periods are shown
+  const cutoff = rangeCutoff(selectedRange);
+  const transactions = filterBySite(filterByWallet(data.transactions, selectedWallet), selectedSite);
+  const period = selectedRange === 'all' || selectedRange === '365' ? 'monthly' : 'weekly';
+  const report = buildSupporters(
+    transactions.map((tx) => ({ payer: tx.payer || null, sats: tx.amount, timestamp: tx.timestamp })),
+    { period, timeZone: getTimeZone(), since: cutoff === null ? null : Math.floor(cutoff / 1000) }
+  );
+
+  elements.supportersStats.textContent = `${formatNumber(report.identified)} identified `
+    + `(${formatNumber(report.repeat)} repeat) · ${formatNumber(report.anonymous.payments)} anonymous payments `
+    + `(${formatNumber(report.anonymous.sats)} sats)`;
+
+  elements.supportersTableBody.innerHTML = report.supporters
+    .slice(0, TOP_SUPPORTERS)
+    .map(
+      (s) => `
+      <tr>
+        <td title="${escapeHtml(s.key)}">${escapeHtml(s.name)}</td>
+        <td>${formatNumber(s.sats)}</td>
+        <td>${s.payments}</td>
+        <td>${formatDate(s.first)}</td>
+        <td>${formatDate(s.last)}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  const periods = [...report.byPeriod].reverse();
+  const labels = periods.map((p) => p.period);
+  const datasets = [
+    { label: 'New', data: periods.map((p) => p.new), backgroundColor: '#ff6b35' },
+    { label: 'Returning', data: periods.map((p) => p.returning), backgroundColor: '#f7a072' },
+  ];
+
+  if (supportersChart) {
+    supportersChart.data.labels = labels;
+    supportersChart.data.datasets.forEach((dataset, i) => {
+      dataset.data = datasets[i].data;
+    });
+    supportersChart.update();
+    return;
+  }
+
+  supportersChart = new Chart(elements.supportersCanvas.getContext('2d'), {
+    type: 'bar',
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: '#a0a0a0' } },
+        tooltip: {
+          backgroundColor: '#242424',
+          borderColor: '#3a3a3a',
+          borderWidth: 1,
+          titleColor: '#f5f5f5',
+          bodyColor: '#a0a0a0',
+        },
+      },
+      scales: {
+        x: {
+          stacked: true,
+          grid: { display: false },
+          ticks: { color: '#a0a0a0', maxRotation: 45 },
+        },
+        y: {
+          stacked: true,
+          grid: { color: '#3a3a3a' },
+          ticks: { color: '#a0a0a0', precision: 0 },
+        },
+      },
+    },
+  });
+}
+
 function updateTable(sourceData) {
   const sorted = sortSourceData(sourceData);
 
@@ -343,17 +709,48 @@ function updateTable(sourceData) {
   });
 }
 
+// Lifecycle covers every payment to the essay, not just the selected range
+function renderLifecycle(slug) {
+  if (slug === FOOTER_SLUG) return '';
+
+  const payments = filterBySite(filterByWallet(data.transactions, selectedWallet), selectedSite)
+    .filter((tx) => tx.essay === slug)
+    .map((tx) => ({ sats: tx.amount, timestamp: tx.timestamp }));
+  const date = data.essayPublished?.[slug] ? Date.parse(data.essayPublished[slug]) : NaN;
+  const lifecycle = essayLifecycle(payments, Number.isNaN(date) ? null : Math.floor(date / 1000));
+
+  const lastTip = lifecycle.daysSinceLastTip === null ? 'never' : `${lifecycle.daysSinceLastTip}d ago`;
+  if (lifecycle.published === null) {
+    return `<div class="lifecycle"><div class="lifecycle-note">No publish date in the RSS feed · Last tip ${lastTip}</div></div>`;
+  }
+
+  const cells = [
+    ...LIFECYCLE_WINDOWS.map((w) => [w.label, lifecycle[w.key]]),
+    ['Long tail', lifecycle.longTail],
+  ];
+  return `
+    <div class="lifecycle">
+      <div class="lifecycle-note">Published ${formatDate(lifecycle.published)} · Last tip ${lastTip}</div>
+      <div class="lifecycle-grid">
+        ${cells.map(([label, sats]) => `
+          <div><div class="lifecycle-label">${label}</div><div class="lifecycle-value">${formatNumber(sats)}</div></div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
 function updateDrillDown(slug, transactions) {
   const filtered = transactions.filter((tx) => tx.essay === slug);
 
   elements.drillDownTitle.textContent = slug === FOOTER_SLUG ? 'Footer' : getSourceName(slug);
-  elements.drillDownContent.innerHTML = filtered
+  elements.drillDownContent.innerHTML = renderLifecycle(slug) + filtered
     .sort((a, b) => b.timestamp - a.timestamp)
     .map(
       (tx) => `
       <div class="transaction-item">
         <div class="transaction-amount">${formatNumber(tx.amount)} sats</div>
-        <div class="transaction-date">${formatDateTime(tx.timestamp)}</div>
+        <div class="transaction-date">${formatDateTime(tx.timestamp)}${tx.channel === 'zap' ? ' · zap' : ''}</div>
       </div>
     `
     )
@@ -362,6 +759,38 @@ function updateDrillDown(slug, transactions) {
   elements.drillDown.classList.add('open');
 }
 
+function fillSelect(select, names, selected, allLabel) {
+  select.innerHTML = ['all', ...names]
+    .map((name) => `<option value="${name}">${name === 'all' ? allLabel : name}</option>`)
+    .join('');
+  select.value = selected;
+
+  // Only worth showing when there is more than one to choose from
+  select.hidden = names.length <= 1;
+}
+
+function updateSelects() {
+  const wallets = data.wallets || [];
+  if (!wallets.includes(selectedWallet)) {
+    selectedWallet = 'all';
+  }
+  fillSelect(elements.walletSelect, wallets, selectedWallet, 'All wallets');
+
+  const sites = data.sites || [];
+  if (!sites.includes(selectedSite)) {
+    selectedSite = 'all';
+  }
+  fillSelect(elements.siteSelect, sites, selectedSite, 'All sites');
+}
+
+function updateTimeZoneSelect() {
+  const zones = [...new Set([data.timeZone, 'UTC', localTimeZone(), selectedTimeZone].filter(Boolean))];
+  elements.timeZoneSelect.innerHTML = zones
+    .map((zone) => `<option value="${zone}">${zone === data.timeZone ? `${zone} (server)` : zone}</option>`)
+    .join('');
+  elements.timeZoneSelect.value = getTimeZone();
+}
+
 function closeDrillDown() {
   elements.drillDown.classList.remove('open');
   selectedEssay = null;
@@ -377,14 +806,21 @@ function closeDrillDown() {
 function render() {
   if (!data) return;
 
-  const filteredTx = filterByRange(data.transactions, selectedRange);
+  const filteredTx = filterSelected(data.transactions);
   const summary = calculateSummary(filteredTx, data.btcPrice);
   updateSummary(summary, data.btcPrice);
 
-  const weeklyData = aggregateByWeek(filteredTx, selectedRange);
+  const weeklyData = aggregateByWeek(filteredTx, selectedRange, getTimeZone());
   const sourceData = aggregateBySource(filteredTx);
 
-  updateChart(weeklyData);
+  const projection = projectCurrentPeriods();
+  updateProjectionStats(projection);
+  updateChart(selectedSeries === 'weekly' ? weeklyData : seriesByWeek(weeklyData), projection);
+  updateDistribution(filteredTx);
+  updateHeatmap(filteredTx);
+  updateLinkSources(filteredTx);
+  updateSupporters();
+  updateAnomalies();
   updateTable(sourceData);
 
   if (selectedEssay) {
@@ -409,6 +845,8 @@ async function fetchData() {
       throw new Error(`HTTP ${response.status}`);
     }
     data = await response.json();
+    updateSelects();
+    updateTimeZoneSelect();
     render();
     elements.lastRefresh.textContent = `Last refresh: ${new Date().toLocaleTimeString()}`;
   } catch (error) {
@@ -433,6 +871,27 @@ document.querySelectorAll('.time-controls button').forEach((btn) => {
   });
 });
 
+elements.walletSelect.addEventListener('change', () => {
+  selectedWallet = elements.walletSelect.value;
+  render();
+});
+
+elements.siteSelect.addEventListener('change', () => {
+  selectedSite = elements.siteSelect.value;
+  render();
+});
+
+elements.seriesSelect.addEventListener('change', () => {
+  selectedSeries = elements.seriesSelect.value;
+  render();
+});
+
+elements.timeZoneSelect.addEventListener('change', () => {
+  const zone = elements.timeZoneSelect.value;
+  selectedTimeZone = zone === data.timeZone ? null : zone;
+  render();
+});
+
 document.querySelectorAll('#source-table th').forEach((th) => {
   th.addEventListener('click', () => {
     const col = th.dataset.sort;
@@ -456,7 +915,7 @@ elements.sourceTableBody.addEventListener('click', (e) => {
   } else {
     selectedEssay = slug;
     render();
-    updateDrillDown(slug, filterByRange(data.transactions, selectedRange));
+    updateDrillDown(slug, filterSelected(data.transactions));
   }
 });
 
@@ -467,7 +926,11 @@ elements.refreshBtn.addEventListener('click', fetchData);
 // Handle browser back/forward
 window.addEventListener('popstate', () => {
   readUrlState();
-  if (data) render();
+  if (data) {
+    updateSelects();
+    updateTimeZoneSelect();
+    render();
+  }
 });
 
 // Keyboard shortcuts
@@ -0,0 +1,240 @@
+/**
+ * Cache Archive Module
+ * Export every wallet's transaction cache and every site's titles cache into
+ * one portable file, and merge such a file back in on another machine
+ *
+ * Layout (version 1):
+ *   { format, version, exported, schemaVersion,
+ *     wallets: { <name>: { meta, transactions } },
+ *     titles: { <site>: { fetched, titles, published } } }
+ *
+ * The archive is written as a single encrypted envelope while a cache secret
+ * is configured, since it holds the same data as the cache.
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, DEFAULT_WALLET } from './constants.js';
+import { getStorage } from './storage/index.js';
+import { CACHE_SCHEMA_VERSION, migrateCacheData } from './storage/migrations.js';
+import { mergeByHash, isStub, slimTransactions } from './storage/records.js';
+import { getCacheSecret, encryptText, decryptText, isEncrypted } from './storage/encryption.js';
+import { withFileLock, writeFileAtomic } from './storage/file-lock.js';
+import { normalizeRanges } from './coverage.js';
+import { saveTitlesCache } from './cache.js';
+import { getWallets, getWalletCachePath } from './wallets.js';
+import { getSiteTitlesCachePath } from './sites.js';
+import { isV4VPayment } from './transformers.js';
+import { CacheError } from './errors.js';
+import { logger } from './logger.js';
+
+/**
+ * Read a titles cache file regardless of its age
+ * @param {string} path - Titles cache path
+ * @returns {Object|null} { fetched, titles, published } or null if missing/unreadable
+ */
+function readTitlesFile(path) {
+  try {
+    if (!fs.existsSync(path)) return null;
+    const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return { fetched: data.fetched || null, titles: data.titles || {}, published: data.published || {} };
+  } catch (error) {
+    logger.warn('Skipping unreadable titles cache', { path, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Build an archive object from the local caches
+ * @param {Object} [options]
+ * @param {string|string[]|null} [options.wallet] - Wallet name(s) (default: all)
+ * @returns {Object} Archive
+ */
+export function buildArchive({ wallet = null } = {}) {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported: new Date().toISOString(),
+    schemaVersion: CACHE_SCHEMA_VERSION,
+    wallets: {},
+    titles: {},
+  };
+
+  // Without any wallet configured, the default wallet's cache can still be exported
+  const wallets = getWallets(wallet);
+  for (const w of wallets.length > 0 ? wallets : [{ name: DEFAULT_WALLET }]) {
+    const storage = getStorage(getWalletCachePath(w.name));
+    if (!storage.exists()) continue;
+    const { meta, transactions } = storage.read();
+    archive.wallets[w.name] = { meta, transactions };
+  }
+
+  for (const site of CONFIG.sites) {
+    const titles = readTitlesFile(getSiteTitlesCachePath(site.url));
+    if (titles) archive.titles[site.url] = titles;
+  }
+
+  return archive;
+}
+
+/**
+ * Write the local caches to an archive file
+ * @param {string} file - Archive path
+ * @param {Object} [options]
+ * @param {string|string[]|null} [options.wallet] - Wallet name(s) (default: all)
+ * @returns {Object} { wallets: [{ name, transactions }], titles, encrypted }
+ * @throws {CacheError} if there is nothing to export
+ */
+export function exportArchive(file, { wallet = null } = {}) {
+  const archive = buildArchive({ wallet });
+  const wallets = Object.entries(archive.wallets).map(([name, data]) => ({
+    name,
+    transactions: data.transactions.length,
+  }));
+  if (wallets.length === 0) {
+    throw new CacheError('No transaction cache to export', 'export');
+  }
+
+  const encrypted = getCacheSecret() !== null;
+  const json = JSON.stringify(archive);
+  writeFileAtomic(file, encrypted ? `${encryptText(json)}\n` : json);
+
+  logger.debug('Exported cache archive', { file, wallets: wallets.length, encrypted });
+  return { wallets, titles: Object.keys(archive.titles).length, encrypted };
+}
+
+/**
+ * Read and validate an archive file
+ * @param {string} file - Archive path
+ * @returns {Object} Archive
+ * @throws {CacheError} if the file is not a readable archive
+ */
+export function readArchive(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    throw new CacheError(`Cannot read archive ${file} (${error.message})`, 'import');
+  }
+
+  let archive;
+  try {
+    archive = JSON.parse(isEncrypted(text) ? decryptText(text) : text);
+  } catch (error) {
+    if (error instanceof CacheError) throw error;
+    throw new CacheError(`Archive ${file} is not valid JSON (${error.message})`, 'import');
+  }
+
+  if (archive?.format !== ARCHIVE_FORMAT) {
+    throw new CacheError(`${file} is not a v4v cache archive`, 'import');
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    throw new CacheError(
+      `Archive version ${archive.version} is newer than this version of v4v supports (${ARCHIVE_VERSION})`,
+      'import'
+    );
+  }
+  return archive;
+}
+
+/**
+ * Prefer full records over stubs, then the incoming copy
+ * @param {Array} incoming - Archived transactions
+ * @param {Array} existing - Local transactions
+ * @returns {Array} Merged transactions sorted newest first
+ */
+function mergeRecords(incoming, existing) {
+  const all = [...incoming, ...existing];
+  return mergeByHash(all.filter(tx => !isStub(tx)), all);
+}
+
+/**
+ * Combine the metadata of two caches of the same wallet
+ * @param {Object} existing - Local metadata
+ * @param {Object} incoming - Archived metadata
+ * @returns {Object} Merged metadata
+ */
+function mergeMeta(existing, incoming) {
+  // Backfill checkpoints only make sense for the cache that wrote them, so
+  // keep the local one unless the archive has the complete history
+  const backfill = incoming.backfill?.complete && !existing.backfill?.complete
+    ? incoming.backfill
+    : existing.backfill || incoming.backfill;
+
+  return {
+    ...existing,
+    coverage: normalizeRanges([...(existing.coverage || []), ...(incoming.coverage || [])]),
+    ...(backfill && { backfill }),
+    ...((existing.slim || incoming.slim) && { slim: true }),
+  };
+}
+
+/**
+ * Merge an archive file into the local caches by payment_hash
+ * @param {string} file - Archive path
+ * @param {Object} [options]
+ * @param {string|string[]|null} [options.wallet] - Only import these wallets (default: all in the archive)
+ * @returns {Object} { wallets: [{ name, added, total }], titles }
+ * @throws {CacheError} if the archive cannot be read or a cache cannot be written
+ */
+export function importArchive(file, { wallet = null } = {}) {
+  const archive = readArchive(file);
+
+  const requested = wallet
+    ? (Array.isArray(wallet) ? wallet : wallet.split(',')).map(name => name.trim().toLowerCase())
+    : null;
+
+  const wallets = [];
+  for (const [name, data] of Object.entries(archive.wallets || {})) {
+    if (requested && !requested.includes(name)) continue;
+    if (!CONFIG.wallets.some(w => w.name === name)) {
+      logger.warn(`Importing wallet "${name}", which is not configured here`);
+    }
+
+    // Archives from older versions hold older cache schemas
+    const incoming = migrateCacheData({
+      meta: { ...data.meta, schemaVersion: data.meta?.schemaVersion ?? archive.schemaVersion },
+      transactions: data.transactions || [],
+    });
+
+    const path = getWalletCachePath(name);
+    const storage = getStorage(path);
+    const result = withFileLock(path, () => {
+      const existing = storage.exists() ? storage.read() : { meta: {}, transactions: [] };
+      const meta = mergeMeta(existing.meta, incoming.meta);
+      let merged = mergeRecords(incoming.transactions, existing.transactions);
+      if ((CONFIG.slimCache || meta.slim) && CONFIG.sites.length > 0) {
+        merged = slimTransactions(merged, tx => isV4VPayment(tx));
+      }
+      storage.write(merged, meta);
+      return { added: merged.length - existing.transactions.length, total: merged.length };
+    });
+    wallets.push({ name, ...result });
+  }
+
+  let titles = 0;
+  for (const [siteUrl, data] of Object.entries(archive.titles || {})) {
+    if (!CONFIG.sites.some(site => site.url === siteUrl)) {
+      logger.warn(`Skipping titles for site "${siteUrl}", which is not configured here`);
+      continue;
+    }
+
+    // Keep the newer fetch time, so archived titles don't look freshly read
+    // and still get refreshed from the feed once they expire
+    const path = getSiteTitlesCachePath(siteUrl);
+    const existing = readTitlesFile(path);
+    const fetched = [data.fetched, existing?.fetched]
+      .filter(Boolean)
+      .sort((a, b) => new Date(b) - new Date(a))[0] || new Date(0).toISOString();
+    saveTitlesCache(
+      { ...data.titles, ...(existing?.titles || {}) },
+      path,
+      { ...(data.published || {}), ...(existing?.published || {}) },
+      fetched
+    );
+    titles++;
+  }
+
+  logger.debug('Imported cache archive', { file, wallets: wallets.length, titles });
+  return { wallets, titles };
+}
@@ -0,0 +1,214 @@
+/**
+ * Attribution Rules
+ * Map payment descriptions to source keys (essays and other pages)
+ *
+ * Rules live in a JSON file (V4V_RULES_FILE, default `.v4v-rules.json`):
+ *   {
+ *     "rules": [
+ *       { "prefix": "/essays/" },
+ *       { "regex": "^/\\d{4}/\\d{2}/([^/]+)", "key": "$1" },
+ *       { "prefix": "/notes/", "key": "notes", "site": "example.com" },
+ *       { "prefix": "/v4v", "footer": true }
+ *     ],
+ *     "aliases": { "old-slug": "new-slug" }
+ *   }
+ *
+ * Rules are tried in order against the path after the site URL (e.g.
+ * "/essays/foo") and the first match wins. A prefix rule's key defaults to the
+ * rest of the path, a regex rule's to its first capture group. Without a
+ * match the whole path is the key, and a bare site URL is the footer. Keys
+ * are URL-decoded and lowercased, then aliases merge renamed slugs.
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { ConfigurationError } from './errors.js';
+import { logger } from './logger.js';
+
+const EMPTY_RULES = { rules: [], aliases: {} };
+
+// Loaded rules, keyed by path -> { mtimeMs, rules }
+const loaded = new Map();
+
+/**
+ * Normalize a path or key: decoded, lowercased, no surrounding slashes
+ * @param {string} value - Raw path or key
+ * @returns {string}
+ */
+export function normalizeKey(value) {
+  let key = String(value);
+  try {
+    key = decodeURIComponent(key);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+  return key.trim().toLowerCase().replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Compile one rule from the rules file
+ * @param {Object} rule - Rule definition
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Object} Compiled rule; `match(path)` returns [default key, ...captures] or null
+ * @throws {ConfigurationError} if the rule is malformed
+ */
+function compileRule(rule, index) {
+  const label = `Attribution rule ${index + 1}`;
+  const site = rule.site ? normalizeKey(rule.site.replace(/^https?:\/\//, '')) : null;
+
+  let match;
+  if (typeof rule.prefix === 'string') {
+    const prefix = rule.prefix.toLowerCase();
+    match = (path) => (path.toLowerCase().startsWith(prefix) ? [path.slice(prefix.length)] : null);
+  } else if (typeof rule.regex === 'string') {
+    let regex;
+    try {
+      regex = new RegExp(rule.regex, rule.flags ?? 'i');
+    } catch (error) {
+      throw new ConfigurationError(`${label} has an invalid regex (${error.message})`);
+    }
+    match = (path) => {
+      const result = path.match(regex);
+      return result ? [result[1] ?? result[0], ...result] : null;
+    };
+  } else {
+    throw new ConfigurationError(`${label} needs a "prefix" or "regex"`);
+  }
+
+  if (rule.key !== undefined && typeof rule.key !== 'string') {
+    throw new ConfigurationError(`${label} has a non-string "key"`);
+  }
+
+  return {
+    site,
+    footer: rule.footer === true,
+    key: rule.key ?? null,
+    match,
+  };
+}
+
+/**
+ * Validate and compile rules file contents
+ * @param {Object} data - Parsed rules file
+ * @returns {Object} { rules, aliases }
+ * @throws {ConfigurationError} if the file is malformed
+ */
+export function compileRules(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigurationError('Attribution rules must be a JSON object with "rules" and/or "aliases"');
+  }
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new ConfigurationError('Attribution "rules" must be a list');
+  }
+  if (data.aliases !== undefined && (typeof data.aliases !== 'object' || Array.isArray(data.aliases))) {
+    throw new ConfigurationError('Attribution "aliases" must be an object of old -> new keys');
+  }
+
+  const aliases = {};
+  for (const [from, to] of Object.entries(data.aliases || {})) {
+    aliases[normalizeKey(from)] = normalizeKey(to);
+  }
+
+  return { rules: (data.rules || []).map(compileRule), aliases };
+}
+
+/**
+ * Load the attribution rules file (cached until the file changes)
+ * A missing file means no rules: every path is its own key
+ * @param {string} [path] - Rules file (for testing)
+ * @returns {Object} Compiled rules
+ * @throws {ConfigurationError} if the file is not valid JSON or malformed
+ */
+export function loadAttributionRules(path = CONFIG.paths.rules) {
+  if (!path || !fs.existsSync(path)) return EMPTY_RULES;
+
+  const { mtimeMs } = fs.statSync(path);
+  const cached = loaded.get(path);
+  if (cached?.mtimeMs === mtimeMs) return cached.rules;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read attribution rules ${path} (${error.message})`);
+  }
+
+  const rules = compileRules(data);
+  loaded.set(path, { mtimeMs, rules });
+  logger.debug('Loaded attribution rules', { path, rules: rules.rules.length });
+  return rules;
+}
+
+/**
+ * Follow aliases to the current key
+ * @param {string} key - Normalized key
+ * @param {Object} aliases - Old -> new keys
+ * @returns {string}
+ */
+export function resolveAlias(key, aliases) {
+  const visited = new Set();
+  while (aliases[key] && !visited.has(key)) {
+    visited.add(key);
+    key = aliases[key];
+  }
+  return key;
+}
+
+/**
+ * Find the key the rules give a path, before aliases
+ * @param {string} path - Path after the site URL
+ * @param {string|null} site - Site the path belongs to
+ * @param {Object} rules - Compiled rules
+ * @returns {string|null} Normalized key, or null for the footer
+ */
+function matchKey(path, site, rules) {
+  for (const rule of rules.rules) {
+    if (rule.site && rule.site !== site) continue;
+    const result = rule.match(path);
+    if (!result) continue;
+
+    if (rule.footer) return null;
+    const key = rule.key === null
+      ? result[0]
+      : rule.key.replace(/\$(\d)/g, (_, i) => result[Number(i) + 1] ?? '');
+    return normalizeKey(key) || null;
+  }
+  return normalizeKey(path) || null;
+}
+
+/**
+ * Attribute a site path to a source key
+ * @param {string} path - Path after the site URL, e.g. "/essays/foo"
+ * @param {Object} [options]
+ * @param {string|null} [options.site] - Site the path belongs to
+ * @param {Object} [options.rules] - Compiled rules (default: the rules file)
+ * @returns {string|null} Source key, or null for the footer
+ */
+export function attributePath(path, { site = null, rules = loadAttributionRules() } = {}) {
+  const key = matchKey(path, site, rules);
+  return key && resolveAlias(key, rules.aliases);
+}
+
+/**
+ * Re-key RSS titles (or publish dates) keyed by URL path by source key
+ * When an alias folds an old slug into a new one, the new slug's title wins
+ * @param {Object} titles - Path -> title
+ * @param {Object} [options]
+ * @param {string|null} [options.site] - Site the feed belongs to
+ * @param {Object} [options.rules] - Compiled rules (default: the rules file)
+ * @returns {Object} Source key -> title
+ */
+export function attributeTitles(titles, { site = null, rules = loadAttributionRules() } = {}) {
+  const keyed = {};
+  const current = new Set();
+
+  for (const [path, title] of Object.entries(titles)) {
+    const matched = matchKey(`/${path}`, site, rules);
+    if (!matched) continue;
+    const key = resolveAlias(matched, rules.aliases);
+    if (current.has(key)) continue;
+    keyed[key] = title;
+    if (key === matched) current.add(key);
+  }
+  return keyed;
+}
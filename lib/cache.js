@@ -6,40 +6,150 @@
 import fs from 'fs';
 import { CONFIG } from './config.js';
 import { logger } from './logger.js';
+import { findGaps } from './coverage.js';
+import { getStorage } from './storage/index.js';
+import { getCacheSecret } from './storage/encryption.js';
+import { slimTransactions, isStub, stampState } from './storage/records.js';
+import { isV4VPayment } from './transformers.js';
+import { withFileLock, readWithRetry, writeFileAtomic } from './storage/file-lock.js';
+import { CacheError } from './errors.js';
+
+/**
+ * Copy unreadable cache files aside so a rebuild cannot lose them
+ * @param {string} path - Cache path
+ * @returns {string[]} Backup file paths
+ */
+export function backupCorruptCache(path = CONFIG.paths.cache) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return getStorage(path, { migrate: false }).files().map(file => {
+    const backup = `${file}.corrupt-${stamp}`;
+    fs.copyFileSync(file, backup);
+    return backup;
+  });
+}
+
+/**
+ * Turn a cache failure into a clear, actionable error
+ * Corrupt caches are backed up before the error is raised
+ * @param {Error} error - Original error
+ * @param {string} path - Cache path
+ * @throws {CacheError} always
+ */
+function raiseCacheError(error, path) {
+  if (error.operation === 'migrate') {
+    throw new CacheError(`${error.message}. Upgrade v4v or run \`v4v cache --rebuild\`.`, 'migrate');
+  }
+  if (error.operation === 'lock') {
+    throw new CacheError(`${error.message}. Another v4v command is still writing the cache; try again when it finishes.`, 'lock');
+  }
+  if (error.operation !== 'read') {
+    throw error;
+  }
+
+  let backups = [];
+  try {
+    backups = backupCorruptCache(path);
+  } catch (backupError) {
+    logger.warn('Failed to back up corrupt cache', { path, error: backupError.message });
+  }
+
+  const saved = backups.length > 0 ? ` A backup was saved to ${backups.join(', ')}.` : '';
+  throw new CacheError(
+    `${error.message}: ${path}.${saved} Run \`v4v cache --rebuild\` to start a fresh cache.`,
+    error.operation
+  );
+}
+
+/**
+ * Check whether a cache stores non-V4V transactions as stubs
+ * @param {Object} meta - Cache metadata
+ * @returns {boolean} True if slim mode is configured or the cache was compacted
+ */
+function isSlim(meta) {
+  return CONFIG.slimCache || meta?.slim === true;
+}
+
+/**
+ * Stub out non-V4V transactions before they are written to a slim cache
+ * @param {Array} transactions - Transactions to store
+ * @param {Object} meta - Cache metadata
+ * @returns {Array}
+ */
+function prepareForStorage(transactions, meta) {
+  // Without a site to match, every transaction would become a stub
+  if (!isSlim(meta) || CONFIG.sites.length === 0) return transactions;
+  return slimTransactions(transactions, tx => isV4VPayment(tx));
+}
 
 /**
  * Load cached transactions
  * @param {string} [path] - Custom cache path (for testing)
  * @returns {Array} Cached transactions or empty array
+ * @throws {CacheError} if the cache is corrupt (after backing it up)
  */
 export function loadTransactionCache(path = CONFIG.paths.cache) {
   try {
-    if (fs.existsSync(path)) {
-      const data = JSON.parse(fs.readFileSync(path, 'utf8'));
-      return data.transactions || [];
-    }
+    return getStorage(path).read().transactions;
   } catch (error) {
+    if (error instanceof CacheError) raiseCacheError(error, path);
     logger.warn('Failed to load transaction cache', { path, error: error.message });
   }
   return [];
 }
 
 /**
- * Save transactions to cache
+ * Load cache metadata (everything stored alongside the transactions)
+ * @param {string} [path] - Custom cache path (for testing)
+ * @returns {Object} Metadata such as the backfill checkpoint, or empty object
+ * @throws {CacheError} if the cache is corrupt (after backing it up)
+ */
+export function loadCacheMeta(path = CONFIG.paths.cache) {
+  try {
+    return getStorage(path).readMeta();
+  } catch (error) {
+    if (error instanceof CacheError) raiseCacheError(error, path);
+    logger.warn('Failed to load cache metadata', { path, error: error.message });
+  }
+  return {};
+}
+
+/**
+ * Save transactions to cache, replacing its contents
  * @param {Array} transactions - Transactions to cache
  * @param {string} [path] - Custom cache path (for testing)
+ * @param {Object} [meta] - Metadata to store (default: keep existing metadata)
  */
-export function saveTransactionCache(transactions, path = CONFIG.paths.cache) {
+export function saveTransactionCache(transactions, path = CONFIG.paths.cache, meta = null) {
   try {
-    fs.writeFileSync(path, JSON.stringify({
-      updated: new Date().toISOString(),
-      transactions,
-    }, null, 2));
+    const storage = getStorage(path);
+    const cacheMeta = meta || storage.readMeta();
+    storage.write(prepareForStorage(transactions, cacheMeta), cacheMeta);
   } catch (error) {
+    if (error instanceof CacheError) raiseCacheError(error, path);
     logger.warn('Failed to save transaction cache', { path, error: error.message });
   }
 }
 
+/**
+ * Add or update transactions in the cache
+ * Each record notes when its current state was first seen, and a pending copy
+ * never replaces a final one. Backends that support it append only new or
+ * changed records
+ * @param {Array} transactions - New or updated transactions
+ * @param {string} [path] - Custom cache path (for testing)
+ * @param {Object} [meta] - Metadata to store (default: keep existing metadata)
+ */
+export function appendTransactionCache(transactions, path = CONFIG.paths.cache, meta = null) {
+  try {
+    const storage = getStorage(path);
+    const stamped = transactions.map(tx => stampState(tx));
+    storage.upsert(prepareForStorage(stamped, meta || storage.readMeta()), meta);
+  } catch (error) {
+    if (error instanceof CacheError) raiseCacheError(error, path);
+    logger.warn('Failed to update transaction cache', { path, error: error.message });
+  }
+}
+
 /**
  * Get cache file path
  * @param {string} [path] - Custom cache path (for testing)
@@ -56,8 +166,7 @@ export function getCacheFile(path = CONFIG.paths.cache) {
  */
 export function clearCache(path = CONFIG.paths.cache) {
   try {
-    if (fs.existsSync(path)) {
-      fs.unlinkSync(path);
+    if (getStorage(path, { migrate: false }).clear()) {
       logger.debug('Cleared transaction cache');
       return true;
     }
@@ -71,49 +180,131 @@ export function clearCache(path = CONFIG.paths.cache) {
  * Get cache statistics
  * @param {string} [path] - Custom cache path (for testing)
  * @returns {Object|null} Cache stats or null if no cache
+ * @throws {CacheError} if the cache is corrupt (after backing it up)
  */
 export function getCacheStats(path = CONFIG.paths.cache) {
-  if (!fs.existsSync(path)) {
+  try {
+    const storage = getStorage(path);
+    const stats = storage.stats();
+    if (!stats) {
+      return null;
+    }
+
+    return {
+      file: path,
+      backend: storage.type,
+      sizeKb: (stats.sizeBytes / 1024).toFixed(1),
+      updated: stats.updated,
+      totalTransactions: stats.count,
+      oldest: stats.oldest,
+      newest: stats.newest,
+      backfill: stats.meta.backfill || null,
+      coverage: stats.meta.coverage || [],
+      gaps: findGaps(stats.meta.coverage || [], stats.oldest, stats.newest),
+      schemaVersion: stats.meta.schemaVersion,
+      encrypted: storage.isEncrypted(),
+      slim: isSlim(stats.meta),
+    };
+  } catch (error) {
+    if (error instanceof CacheError) raiseCacheError(error, path);
+    logger.warn('Failed to get cache stats', { path, error: error.message });
     return null;
   }
+}
+
+/**
+ * Copy the cache from another backend's file into the configured one
+ * @param {string} fromPath - Source cache path
+ * @param {string} [toPath] - Destination cache path (for testing)
+ * @returns {number} Number of transactions copied
+ */
+export function migrateCache(fromPath, toPath = CONFIG.paths.cache) {
+  const from = getStorage(fromPath);
+  const { meta, transactions } = from.read();
+  getStorage(toPath).write(transactions, meta, { encrypt: from.isEncrypted() });
+  logger.debug('Migrated transaction cache', { fromPath, toPath, count: transactions.length });
+  return transactions.length;
+}
+
+/**
+ * Convert the cache to slim mode, stubbing out every non-V4V transaction
+ * Later writes keep the cache slim even without V4V_SLIM_CACHE
+ * @param {string} [path] - Custom cache path (for testing)
+ * @returns {Object|null} { kept, stubbed, sizeBefore, sizeAfter } in bytes, or null if no cache
+ * @throws {CacheError} if the cache cannot be read
+ */
+export function compactCache(path = CONFIG.paths.cache) {
+  if (CONFIG.sites.length === 0) {
+    throw new CacheError('V4V_SITE_URL is required to tell which transactions to keep', 'compact');
+  }
 
   try {
-    const stats = fs.statSync(path);
-    const data = JSON.parse(fs.readFileSync(path, 'utf8'));
-    const transactions = data.transactions || [];
+    const storage = getStorage(path);
+    const before = storage.stats();
+    if (!before) return null;
 
-    const timestamps = transactions
-      .map(tx => tx.settled_at || tx.created_at)
-      .filter(Boolean);
+    withFileLock(path, () => {
+      const { meta, transactions } = storage.read();
+      storage.write(slimTransactions(transactions, tx => isV4VPayment(tx)), { ...meta, slim: true });
+    });
 
+    const { transactions } = storage.read();
+    const stubbed = transactions.filter(isStub).length;
+    logger.debug('Compacted transaction cache', { path, stubbed });
     return {
-      file: path,
-      sizeKb: (stats.size / 1024).toFixed(1),
-      updated: data.updated,
-      totalTransactions: transactions.length,
-      oldest: timestamps.length > 0 ? Math.min(...timestamps) : null,
-      newest: timestamps.length > 0 ? Math.max(...timestamps) : null,
+      kept: transactions.length - stubbed,
+      stubbed,
+      sizeBefore: before.sizeBytes,
+      sizeAfter: storage.stats().sizeBytes,
     };
   } catch (error) {
-    logger.warn('Failed to get cache stats', { path, error: error.message });
-    return null;
+    if (error instanceof CacheError) raiseCacheError(error, path);
+    throw error;
   }
 }
 
 /**
- * Load cached titles
+ * Rewrite the transaction cache encrypted or in plaintext
+ * @param {boolean} encrypt - True to encrypt, false to decrypt
  * @param {string} [path] - Custom cache path (for testing)
- * @returns {Object|null} Cached titles or null if expired/missing
+ * @returns {number|null} Transactions rewritten, or null if there is no cache
+ * @throws {CacheError} if no secret is configured or the cache cannot be read
  */
-export function loadTitlesCache(path = CONFIG.paths.titlesCache) {
+export function setCacheEncryption(encrypt, path = CONFIG.paths.cache) {
+  if (!getCacheSecret()) {
+    throw new CacheError(
+      `Set V4V_CACHE_PASSPHRASE or V4V_CACHE_KEY_FILE to ${encrypt ? 'encrypt' : 'decrypt'} the cache`,
+      'encrypt'
+    );
+  }
+
+  try {
+    const storage = getStorage(path);
+    if (!storage.exists()) return null;
+
+    return withFileLock(path, () => {
+      const { meta, transactions } = storage.read();
+      storage.write(transactions, meta, { encrypt });
+      logger.debug(encrypt ? 'Encrypted transaction cache' : 'Decrypted transaction cache', { path });
+      return transactions.length;
+    });
+  } catch (error) {
+    if (error instanceof CacheError) raiseCacheError(error, path);
+    throw error;
+  }
+}
+
+/**
+ * Read the titles cache file if it is younger than the TTL
+ * @param {string} path - Titles cache path
+ * @returns {Object|null} { fetched, titles, published } or null if expired/missing
+ */
+function readFreshTitlesCache(path) {
   try {
     if (fs.existsSync(path)) {
-      const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+      const data = readWithRetry(path, () => JSON.parse(fs.readFileSync(path, 'utf8')));
       const age = Date.now() - new Date(data.fetched).getTime();
-      if (age < CONFIG.titlesCacheTtl) {
-        logger.debug('Using cached titles', { count: Object.keys(data.titles || {}).length });
-        return data.titles;
-      }
+      if (age < CONFIG.titlesCacheTtl) return data;
     }
   } catch (error) {
     logger.warn('Failed to load titles cache', { path, error: error.message });
@@ -121,17 +312,42 @@ export function loadTitlesCache(path = CONFIG.paths.titlesCache) {
   return null;
 }
 
+/**
+ * Load cached titles
+ * @param {string} [path] - Custom cache path (for testing)
+ * @returns {Object|null} Cached titles or null if expired/missing
+ */
+export function loadTitlesCache(path = CONFIG.paths.titlesCache) {
+  const data = readFreshTitlesCache(path);
+  if (!data) return null;
+  logger.debug('Using cached titles', { count: Object.keys(data.titles || {}).length });
+  return data.titles;
+}
+
+/**
+ * Load cached publish dates (stored next to the titles)
+ * @param {string} [path] - Custom cache path (for testing)
+ * @returns {Object|null} ISO dates by path, or null if expired/missing or
+ *   cached before publish dates were kept
+ */
+export function loadPublishedCache(path = CONFIG.paths.titlesCache) {
+  return readFreshTitlesCache(path)?.published || null;
+}
+
 /**
  * Save titles to cache
  * @param {Object} titles - Title mappings to cache
  * @param {string} [path] - Custom cache path (for testing)
+ * @param {Object|null} [published] - Publish dates (ISO) by path
+ * @param {string} [fetched] - When the feed was read (ISO), default now
  */
-export function saveTitlesCache(titles, path = CONFIG.paths.titlesCache) {
+export function saveTitlesCache(titles, path = CONFIG.paths.titlesCache, published = null, fetched = new Date().toISOString()) {
   try {
-    fs.writeFileSync(path, JSON.stringify({
-      fetched: new Date().toISOString(),
+    withFileLock(path, () => writeFileAtomic(path, JSON.stringify({
+      fetched,
       titles,
-    }, null, 2));
+      ...(published && { published }),
+    }, null, 2)));
     logger.debug('Saved titles to cache', { count: Object.keys(titles).length });
   } catch (error) {
     logger.warn('Failed to save titles cache', { path, error: error.message });
@@ -154,8 +370,12 @@ export function getTitlesCacheFile(path = CONFIG.paths.titlesCache) {
  */
 export function clearTitlesCache(path = CONFIG.paths.titlesCache) {
   try {
-    if (fs.existsSync(path)) {
+    const cleared = withFileLock(path, () => {
+      if (!fs.existsSync(path)) return false;
       fs.unlinkSync(path);
+      return true;
+    });
+    if (cleared) {
       logger.debug('Cleared titles cache');
       return true;
     }
@@ -173,7 +393,7 @@ export function clearTitlesCache(path = CONFIG.paths.titlesCache) {
 export function getTitlesCacheInfo(path = CONFIG.paths.titlesCache) {
   try {
     if (fs.existsSync(path)) {
-      const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+      const data = readWithRetry(path, () => JSON.parse(fs.readFileSync(path, 'utf8')));
       return {
         count: Object.keys(data.titles || {}).length,
         fetched: data.fetched,
@@ -3,98 +3,439 @@
  * Manage transaction and titles cache
  */
 
+import { CONFIG } from '../config.js';
 import {
   getCacheStats,
   clearCache,
+  migrateCache,
+  setCacheEncryption,
+  compactCache,
   getTitlesCacheInfo,
   clearTitlesCache,
 } from '../cache.js';
 import { createClient } from '../nwc-client.js';
-import { fetchTransactions } from '../transactions.js';
+import { backfillTransactions, verifyGaps, repairGaps } from '../transactions.js';
 import { filterV4VPayments } from '../transformers.js';
+import { getWallets, getWalletCachePath } from '../wallets.js';
+import { getSiteTitlesCachePath } from '../sites.js';
+import { exportArchive, importArchive } from '../archive.js';
+import { DEFAULT_WALLET } from '../constants.js';
+import { bold, error as errorColor } from '../colors.js';
+
+/**
+ * Format a Unix timestamp as YYYY-MM-DD
+ * @param {number} timestamp - Unix seconds
+ * @returns {string}
+ */
+function formatDay(timestamp) {
+  return timestamp > 0 ? new Date(timestamp * 1000).toISOString().split('T')[0] : 'beginning';
+}
+
+/**
+ * Describe how far back the cached history is known to be complete
+ * @param {Object|null} backfill - Backfill checkpoint from cache stats
+ * @returns {string}
+ */
+function describeCoverage(backfill) {
+  if (!backfill) {
+    return 'recent transactions only (run `v4v cache --backfill` to fetch older history)';
+  }
+  if (backfill.complete) {
+    return 'full wallet history';
+  }
+  const reached = backfill.oldest ? formatDay(backfill.oldest) : 'start';
+  return `back to ${reached} (backfill in progress, run \`v4v cache --backfill\` to continue)`;
+}
 
 /**
  * Show cache statistics
+ * @param {Object} wallet - Wallet whose cache to show
  */
-export function showCacheStats() {
-  const stats = getCacheStats();
+export function showCacheStats(wallet) {
+  const stats = getCacheStats(getWalletCachePath(wallet.name));
 
   if (!stats) {
     console.log('No transaction cache found.');
   } else {
     console.log('\nV4V Cache Statistics');
     console.log('====================');
-    console.log(`File: ${stats.file}`);
+    const flags = [stats.encrypted && 'encrypted', stats.slim && 'slim'].filter(Boolean);
+    const mode = flags.map(flag => `, ${flag}`).join('');
+    console.log(`File: ${stats.file} (${stats.backend}, schema v${stats.schemaVersion}${mode})`);
     console.log(`Size: ${stats.sizeKb} KB`);
     console.log(`Last updated: ${stats.updated || 'unknown'}`);
     console.log(`Total transactions: ${stats.totalTransactions}`);
 
     if (stats.oldest && stats.newest) {
-      const oldestDate = new Date(stats.oldest * 1000).toISOString().split('T')[0];
-      const newestDate = new Date(stats.newest * 1000).toISOString().split('T')[0];
-      console.log(`Date range: ${oldestDate} to ${newestDate}`);
+      console.log(`Date range: ${formatDay(stats.oldest)} to ${formatDay(stats.newest)}`);
+    }
+
+    console.log(`History coverage: ${describeCoverage(stats.backfill)}`);
+
+    if (stats.coverage.length > 0) {
+      console.log('Fetched ranges:');
+      for (const range of stats.coverage) {
+        console.log(`  ${formatDay(range.from)} to ${formatDay(range.until)}`);
+      }
+    }
+
+    if (stats.gaps.length > 0) {
+      console.log(`Gaps: ${stats.gaps.length} (run \`v4v cache --verify\` to check them)`);
+      for (const gap of stats.gaps) {
+        console.log(`  ${formatDay(gap.from)} to ${formatDay(gap.until)}`);
+      }
+    } else {
+      console.log('Gaps: none');
     }
   }
 
-  // Show titles cache info too
-  const titlesInfo = getTitlesCacheInfo();
-  if (titlesInfo) {
-    console.log(`\nTitles cache: ${titlesInfo.count} titles`);
-    console.log(`Fetched: ${titlesInfo.fetched}`);
+}
+
+/**
+ * Get each site's titles cache (the default one if no site is configured)
+ * @returns {Array<{label: string, path: string}>}
+ */
+function getTitlesCaches() {
+  if (CONFIG.sites.length === 0) {
+    return [{ label: '', path: CONFIG.paths.titlesCache }];
+  }
+  return CONFIG.sites.map(site => ({
+    label: CONFIG.sites.length > 1 ? ` (${site.url})` : '',
+    path: getSiteTitlesCachePath(site.url),
+  }));
+}
+
+/**
+ * Show titles cache info for each site (shared by all wallets)
+ */
+function showTitlesCacheInfo() {
+  for (const { label, path } of getTitlesCaches()) {
+    const titlesInfo = getTitlesCacheInfo(path);
+    if (titlesInfo) {
+      console.log(`\nTitles cache${label}: ${titlesInfo.count} titles`);
+      console.log(`Fetched: ${titlesInfo.fetched}`);
+    }
   }
 }
 
 /**
- * Clear all caches
+ * Clear a wallet's transaction cache
+ * @param {Object} wallet - Wallet whose cache to clear
  */
-export function doClearCache() {
-  const transactionsCleared = clearCache();
+export function doClearCache(wallet) {
+  const transactionsCleared = clearCache(getWalletCachePath(wallet.name));
   if (transactionsCleared) {
     console.log('Transaction cache cleared.');
   } else {
     console.log('No transaction cache to clear.');
   }
+}
+
+/**
+ * Fetch older history from the backfill checkpoint
+ * @param {Object} wallet - Wallet to backfill
+ * @returns {Promise<Array>} Cached transactions after the run
+ */
+async function runBackfill(wallet) {
+  const client = createClient({ wallet });
 
-  const titlesCleared = clearTitlesCache();
-  if (titlesCleared) {
-    console.log('Titles cache cleared.');
+  try {
+    const transactions = await backfillTransactions(client, (count) => {
+      process.stdout.write(`\rFetching transactions... (${count} found)`);
+    }, getWalletCachePath(wallet.name));
+    console.log('');
+    return transactions;
+  } finally {
+    client.close();
   }
 }
 
+/**
+ * Print backfill results and how to continue if history is incomplete
+ * @param {Object} wallet - Wallet that was backfilled
+ * @param {Array} transactions - Cached transactions after the run
+ */
+function printBackfillResult(wallet, transactions) {
+  const v4vPayments = filterV4VPayments(transactions);
+  const stats = getCacheStats(getWalletCachePath(wallet.name));
+
+  console.log(`  Total transactions: ${transactions.length}`);
+  console.log(`  V4V payments: ${v4vPayments.length}`);
+  console.log(`  History coverage: ${describeCoverage(stats?.backfill)}`);
+}
+
 /**
  * Rebuild cache by clearing and fetching all transactions
+ * @param {Object} wallet - Wallet whose cache to rebuild
  */
-async function rebuildCache() {
+async function rebuildCache(wallet) {
   console.log('Clearing existing cache...');
-  clearCache();
+  clearCache(getWalletCachePath(wallet.name));
 
   console.log('Fetching all transactions from Alby Hub...');
-  const client = createClient();
+  const transactions = await runBackfill(wallet);
+
+  console.log(`\nCache rebuilt successfully.`);
+  printBackfillResult(wallet, transactions);
+}
+
+/**
+ * Continue fetching older history into the cache
+ * @param {Object} wallet - Wallet to backfill
+ */
+async function backfillCache(wallet) {
+  console.log('Backfilling transaction history from Alby Hub...');
+  const transactions = await runBackfill(wallet);
+
+  console.log(`\nBackfill run finished.`);
+  printBackfillResult(wallet, transactions);
+}
+
+/**
+ * Check gaps in the cached history against the wallet
+ * @param {Object} wallet - Wallet to check
+ */
+async function verifyCache(wallet) {
+  const cachePath = getWalletCachePath(wallet.name);
+  const stats = getCacheStats(cachePath);
+  if (!stats) {
+    console.log('No transaction cache found.');
+    return;
+  }
+  if (stats.gaps.length === 0) {
+    console.log('No gaps in cached history.');
+    return;
+  }
+
+  console.log(`Checking ${stats.gaps.length} gap(s) in cached history...`);
+  const client = createClient({ wallet });
+
+  let results;
+  try {
+    results = await verifyGaps(client, cachePath);
+  } finally {
+    client.close();
+  }
+
+  let missingTotal = 0;
+  for (const gap of results) {
+    const range = `${formatDay(gap.from)} to ${formatDay(gap.until)}`;
+    let status;
+    if (gap.missing === null) {
+      status = 'could not check (relay timeout)';
+    } else if (gap.missing === 0 && !gap.more) {
+      status = 'no missing transactions';
+    } else {
+      status = `${gap.missing}${gap.more ? '+' : ''} missing transactions`;
+    }
+    missingTotal += gap.missing || 0;
+    console.log(`  ${range.padEnd(28)} ${status}`);
+  }
+
+  if (missingTotal > 0 || results.some(gap => gap.more || gap.missing === null)) {
+    console.log('\nRun `v4v cache --repair` to fill them.');
+  }
+}
+
+/**
+ * Fetch every gap in the cached history
+ * @param {Object} wallet - Wallet to repair
+ */
+async function repairCache(wallet) {
+  const cachePath = getWalletCachePath(wallet.name);
+  const before = getCacheStats(cachePath);
+  if (!before || before.gaps.length === 0) {
+    console.log('No gaps in cached history.');
+    return;
+  }
+
+  console.log(`Repairing ${before.gaps.length} gap(s) in cached history...`);
+  const client = createClient({ wallet });
 
   try {
-    const transactions = await fetchTransactions(client, (count) => {
+    const transactions = await repairGaps(client, (count) => {
       process.stdout.write(`\rFetching transactions... (${count} found)`);
-    });
+    }, cachePath);
     console.log('');
 
-    const v4vPayments = filterV4VPayments(transactions);
-    console.log(`\nCache rebuilt successfully.`);
-    console.log(`  Total transactions: ${transactions.length}`);
-    console.log(`  V4V payments: ${v4vPayments.length}`);
+    const after = getCacheStats(cachePath);
+    console.log(`\nCache repaired.`);
+    console.log(`  Transactions added: ${transactions.length - before.totalTransactions}`);
+    console.log(`  Remaining gaps: ${after.gaps.length}`);
   } finally {
     client.close();
   }
 }
 
 /**
- * Execute cache command
+ * Copy the cache written by the other storage backend into the configured one
+ * @param {Object} wallet - Wallet whose cache to migrate
+ */
+function migrateFromOtherBackend(wallet) {
+  const otherBackend = CONFIG.cacheBackend === 'ndjson' ? 'json' : 'ndjson';
+  const fromPath = getWalletCachePath(wallet.name, otherBackend);
+
+  if (!getCacheStats(fromPath)) {
+    console.log(`No ${otherBackend} cache found to migrate.`);
+    return;
+  }
+
+  const count = migrateCache(fromPath, getWalletCachePath(wallet.name));
+  console.log(`Migrated ${count} transactions from ${otherBackend} to ${CONFIG.cacheBackend} cache.`);
+  console.log(`The old cache at ${fromPath} was left in place.`);
+}
+
+/**
+ * Convert the cache to slim mode
+ * @param {Object} wallet - Wallet whose cache to compact
+ */
+function doCompactCache(wallet) {
+  const result = compactCache(getWalletCachePath(wallet.name));
+  if (!result) {
+    console.log('No transaction cache found.');
+    return;
+  }
+
+  const kb = bytes => (bytes / 1024).toFixed(1);
+  console.log('Cache compacted.');
+  console.log(`  V4V payments kept: ${result.kept}`);
+  console.log(`  Other transactions stubbed: ${result.stubbed}`);
+  console.log(`  Size: ${kb(result.sizeBefore)} KB -> ${kb(result.sizeAfter)} KB`);
+  console.log('\nThe cache stays slim from now on. Run `v4v cache --rebuild` to store full records again.');
+}
+
+/**
+ * Encrypt or decrypt the transaction cache in place
+ * @param {Object} wallet - Wallet whose cache to convert
+ * @param {boolean} encrypt - True to encrypt, false to decrypt
  */
-export async function cacheCommand(options) {
+function convertCacheEncryption(wallet, encrypt) {
+  const cachePath = getWalletCachePath(wallet.name);
+  const stats = getCacheStats(cachePath);
+  if (!stats) {
+    console.log('No transaction cache found.');
+    return;
+  }
+  if (stats.encrypted === encrypt) {
+    console.log(`Transaction cache is already ${encrypt ? 'encrypted' : 'unencrypted'}.`);
+    return;
+  }
+
+  const count = setCacheEncryption(encrypt, cachePath);
+  if (encrypt) {
+    console.log(`Encrypted ${count} cached transactions.`);
+    console.log('Keep V4V_CACHE_PASSPHRASE or V4V_CACHE_KEY_FILE set to read the cache; without it the cache cannot be recovered.');
+  } else {
+    console.log(`Decrypted ${count} cached transactions.`);
+  }
+}
+
+// Options that run an action instead of showing stats
+const ACTIONS = ['rebuild', 'backfill', 'migrate', 'compact', 'encrypt', 'decrypt', 'verify', 'repair', 'clear'];
+
+/**
+ * Run one cache action against a wallet's cache
+ * @param {Object} wallet - Wallet
+ * @param {Object} options - Command options
+ */
+async function runCacheAction(wallet, options) {
   if (options.rebuild) {
-    await rebuildCache();
+    await rebuildCache(wallet);
+  } else if (options.backfill) {
+    await backfillCache(wallet);
+  } else if (options.migrate) {
+    migrateFromOtherBackend(wallet);
+  } else if (options.compact) {
+    doCompactCache(wallet);
+  } else if (options.encrypt) {
+    convertCacheEncryption(wallet, true);
+  } else if (options.decrypt) {
+    convertCacheEncryption(wallet, false);
+  } else if (options.verify) {
+    await verifyCache(wallet);
+  } else if (options.repair) {
+    await repairCache(wallet);
   } else if (options.clear) {
-    doClearCache();
+    doClearCache(wallet);
   } else {
-    showCacheStats();
+    showCacheStats(wallet);
+  }
+}
+
+/**
+ * Write every cache to an archive file
+ * @param {string} file - Archive path
+ * @param {Object} options - Command options
+ */
+function doExportArchive(file, options) {
+  const result = exportArchive(file, { wallet: options.wallet });
+  for (const { name, transactions } of result.wallets) {
+    console.log(`Exported ${transactions} transactions from wallet "${name}".`);
+  }
+  if (result.titles > 0) {
+    console.log(`Exported titles for ${result.titles} site(s).`);
+  }
+  console.log(`Archive written to ${file}${result.encrypted ? ' (encrypted)' : ''}.`);
+}
+
+/**
+ * Merge an archive file into the local caches
+ * @param {string} file - Archive path
+ * @param {Object} options - Command options
+ */
+function doImportArchive(file, options) {
+  const result = importArchive(file, { wallet: options.wallet });
+  if (result.wallets.length === 0) {
+    console.log('No matching wallets in the archive.');
+  }
+  for (const { name, added, total } of result.wallets) {
+    console.log(`Wallet "${name}": ${added} new transactions (${total} cached).`);
+  }
+  if (result.titles > 0) {
+    console.log(`Imported titles for ${result.titles} site(s).`);
+  }
+}
+
+/**
+ * Execute cache command
+ * `export <file>` and `import <file>` cover every wallet in one archive; the
+ * options run against every configured wallet unless --wallet narrows it down
+ */
+export async function cacheCommand(action, file, options) {
+  if (action) {
+    if (!['export', 'import'].includes(action) || !file) {
+      console.error(errorColor(`Usage: v4v cache export <file> | v4v cache import <file>`));
+      process.exit(1);
+    }
+    if (action === 'export') {
+      doExportArchive(file, options);
+    } else {
+      doImportArchive(file, options);
+    }
+    return;
+  }
+
+  let wallets = getWallets(options.wallet);
+  if (wallets.length === 0) {
+    // Nothing configured yet: cache stats and clearing still work
+    wallets = [{ name: DEFAULT_WALLET, connectionString: null }];
+  }
+
+  for (const wallet of wallets) {
+    if (wallets.length > 1) {
+      console.log(bold(`\n[${wallet.name}]`));
+    }
+    await runCacheAction(wallet, options);
+  }
+
+  if (options.clear) {
+    const titlesCleared = getTitlesCaches()
+      .map(({ path }) => clearTitlesCache(path))
+      .some(Boolean);
+    if (titlesCleared) {
+      console.log('Titles cache cleared.');
+    }
+  } else if (!ACTIONS.some(action => options[action])) {
+    showTitlesCacheInfo();
   }
 }
@@ -11,7 +11,8 @@ import {
   aggregateByPeriod,
   simplifyTransaction,
 } from '../transformers.js';
-import { fetchEssayTitles } from '../rss-titles.js';
+import { fetchSiteTitles, fetchSitePublished } from '../rss-titles.js';
+import { isValidTimeZone } from '../shared/periods.js';
 
 /**
  * Start dashboard server
@@ -22,6 +23,8 @@ export async function dashboardCommand(options) {
   const app = express();
 
   app.use(express.static(CONFIG.paths.dashboard));
+  // Modules the frontend shares with the CLI (period bucketing)
+  app.use('/shared', express.static(CONFIG.paths.shared));
 
   app.get('/api/data', async (req, res) => {
     // Serve mock data for screenshots/demos
@@ -31,16 +34,22 @@ export async function dashboardCommand(options) {
       return res.json(mockData);
     }
 
+    const timeZone = req.query.tz || CONFIG.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
     try {
-      // Fetch essay titles from RSS (cached)
-      const essayTitles = await fetchEssayTitles();
+      // Fetch essay titles from every site's RSS feed (cached)
+      const essayTitles = await fetchSiteTitles();
+      const essayPublished = await fetchSitePublished();
 
       // Fetch V4V data (same as original)
       const data = await fetchV4VData({ usd: true });
 
       // Build aggregations
       const byEssay = aggregateByEssay(data.transactions, 'sats');
-      const byMonth = aggregateByPeriod(data.transactions, 'monthly');
+      const byMonth = aggregateByPeriod(data.transactions, 'monthly', timeZone);
 
       const essayData = [...byEssay.entries()].map(([slug, d]) => ({
         slug,
@@ -63,7 +72,13 @@ export async function dashboardCommand(options) {
         byMonth: monthlyData,
         transactions,
         btcPrice: data.btcPrice,
+        timeZone,
+        tipPresets: CONFIG.tipPresets,
+        pending: data.pending,
         essayTitles,
+        essayPublished,
+        wallets: data.wallets,
+        sites: data.sites,
       });
     } catch (error) {
       console.error('Error fetching data:', error.message);
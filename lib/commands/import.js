@@ -0,0 +1,31 @@
+/**
+ * Import Command
+ * Load payments from an Alby Hub, LND or Core Lightning export into the cache
+ */
+
+import { importFromSource, DATA_SOURCES } from '../sources/index.js';
+import { dim, success, error as errorColor } from '../colors.js';
+
+/**
+ * Execute import command
+ */
+export async function importCommand(file, options) {
+  if (!options.source) {
+    console.error(errorColor('Error: --source is required'));
+    for (const [name, source] of Object.entries(DATA_SOURCES)) {
+      console.error(dim(`  ${name.padEnd(6)} ${source.description}`));
+    }
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = importFromSource(options.source, file, { wallet: options.wallet });
+  } catch (err) {
+    console.error(errorColor(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(success(`Imported ${result.added} payments into wallet "${result.wallet}"`));
+  console.log(dim(`${result.read} settled in ${file}, ${result.read - result.added} already cached, ${result.total} cached in total`));
+}
@@ -3,15 +3,43 @@
  * Generate V4V payment reports
  */
 
-import { createClient } from '../nwc-client.js';
 import { fetchBtcPrice } from '../price.js';
-import { fetchTransactions } from '../transactions.js';
-import { filterV4VPayments, filterByDateRange, parseEssaySlug } from '../transformers.js';
-import { fetchEssayTitles } from '../rss-titles.js';
-import { printSummary, printByEssay, printTimeSeries, printComparison } from '../formatters/text.js';
+import { fetchWalletTransactions, getWallets } from '../wallets.js';
+import { getSites } from '../sites.js';
+import {
+  filterV4VPayments,
+  filterByDateRange,
+  filterBySite,
+  filterSettled,
+  paymentChannel,
+  summarizePending,
+  detectPaymentAnomalies,
+  projectPaymentTotals,
+  aggregateSeries,
+  parseEssaySlug,
+} from '../transformers.js';
+import { fetchSiteTitles, fetchSitePublished } from '../rss-titles.js';
+import {
+  printSummary,
+  printPending,
+  printAnomalies,
+  printByEssay,
+  printByWallet,
+  printBySite,
+  printByChannel,
+  printBySource,
+  printTimeSeries,
+  printComparison,
+  printProjection,
+  printDistribution,
+  printHeatmap,
+  printLifecycle,
+} from '../formatters/text.js';
 import { buildJsonReport } from '../formatters/json.js';
 import { exportCSV, formatCSV } from '../formatters/csv.js';
-import { parseDuration } from '../config.js';
+import { CONFIG, parseDuration } from '../config.js';
+import { isValidTimeZone } from '../shared/periods.js';
+import { parseRollingWindow, ROLLING_WINDOWS } from '../shared/series.js';
 import { dim, error as errorColor, warning } from '../colors.js';
 
 /**
@@ -20,121 +48,212 @@ import { dim, error as errorColor, warning } from '../colors.js';
 export async function reportCommand(options) {
   const isQuiet = options.format === 'json' || options.format === 'csv';
 
-  let client;
+  // Handle date filtering (--from, --to, --since)
+  let fromDate = options.from ? new Date(options.from) : null;
+  const toDate = options.to ? new Date(options.to + 'T23:59:59') : null;
+
+  // --since takes precedence over --from if both provided
+  if (options.since) {
+    const sinceDate = parseDuration(options.since);
+    if (!sinceDate) {
+      console.error(errorColor(`Invalid duration: ${options.since}`));
+      console.error(dim('Use formats like: 7d, 2w, 1m, 3mo, 1y'));
+      process.exit(1);
+    }
+    fromDate = sinceDate;
+  }
+
+  const timeZone = options.tz || CONFIG.timeZone;
+  if (!isValidTimeZone(timeZone)) {
+    console.error(errorColor(`Invalid time zone: ${timeZone}`));
+    console.error(dim('Use an IANA name like UTC, Europe/Berlin or America/New_York'));
+    process.exit(1);
+  }
+
+  const rolling = options.rolling ? parseRollingWindow(options.rolling) : null;
+  if (options.rolling && !rolling) {
+    console.error(errorColor(`Invalid rolling window: ${options.rolling}`));
+    console.error(dim(`Use one of: ${ROLLING_WINDOWS.map(days => `${days}d`).join(', ')}`));
+    process.exit(1);
+  }
+
+  // Resolve --wallet and --site up front so a typo fails before anything is fetched
+  let wallets;
+  let sites;
   try {
-    client = createClient();
+    wallets = getWallets(options.wallet);
+    sites = getSites(options.site);
   } catch (err) {
     console.error(errorColor(`Error: ${err.message}`));
-    if (err.message.includes('NWC_CONNECTION_STRING')) {
-      console.error(dim('\nRun `v4v init` to set up your connection.'));
-    }
     process.exit(1);
   }
 
-  try {
-    // Fetch BTC price if needed
-    let btcPrice = null;
-    if (options.usd) {
-      btcPrice = await fetchBtcPrice();
-      if (!btcPrice && !isQuiet) {
-        console.log(warning('Warning: Could not fetch BTC price'));
-      }
+  // Fetch BTC price if needed
+  let btcPrice = null;
+  if (options.usd) {
+    btcPrice = await fetchBtcPrice();
+    if (!btcPrice && !isQuiet) {
+      console.log(warning('Warning: Could not fetch BTC price'));
     }
+  }
 
-    // Show progress during fetch
-    let lastProgress = 0;
-    const onProgress = (count) => {
-      if (!isQuiet && count > lastProgress) {
-        process.stdout.write(`\rFetching transactions... ${dim(`(${count} new)`)}`);
-        lastProgress = count;
-      }
-    };
-
-    if (!isQuiet) {
-      process.stdout.write('Fetching transactions...');
+  // Show progress during fetch
+  let lastProgress = 0;
+  const onProgress = (count) => {
+    if (!isQuiet && count > lastProgress) {
+      process.stdout.write(`\rFetching transactions... ${dim(`(${count} new)`)}`);
+      lastProgress = count;
     }
+  };
 
-    let allTransactions;
-    try {
-      allTransactions = await fetchTransactions(client, onProgress);
-    } catch (err) {
-      if (!isQuiet) process.stdout.write('\r');
-      console.error(errorColor(`\nError: ${err.message}`));
-      if (err.message.includes('timeout')) {
-        console.error(dim('\nIs your Alby Hub running?'));
-      }
-      process.exit(1);
-    }
+  if (!isQuiet) {
+    process.stdout.write('Fetching transactions...');
+  }
 
-    if (!isQuiet) {
-      process.stdout.write('\r' + ' '.repeat(50) + '\r'); // Clear progress line
+  let allTransactions;
+  try {
+    // With a date range, fetch exactly the part of it the cache is missing
+    const window = fromDate || toDate ? { from: fromDate, until: toDate } : null;
+    allTransactions = await fetchWalletTransactions({ wallet: options.wallet, window, onProgress });
+  } catch (err) {
+    if (!isQuiet) process.stdout.write('\r');
+    console.error(errorColor(`\nError: ${err.message}`));
+    if (err.message.includes('NWC_CONNECTION_STRING')) {
+      console.error(dim('\nRun `v4v init` to set up your connection.'));
     }
-
-    let v4vPayments = filterV4VPayments(allTransactions);
-
-    // Handle date filtering (--from, --to, --since)
-    let fromDate = options.from ? new Date(options.from) : null;
-    const toDate = options.to ? new Date(options.to + 'T23:59:59') : null;
-
-    // --since takes precedence over --from if both provided
-    if (options.since) {
-      const sinceDate = parseDuration(options.since);
-      if (!sinceDate) {
-        console.error(errorColor(`Invalid duration: ${options.since}`));
-        console.error(dim('Use formats like: 7d, 2w, 1m, 3mo, 1y'));
-        process.exit(1);
-      }
-      fromDate = sinceDate;
+    if (err.message.includes('timeout')) {
+      console.error(dim('\nIs your Alby Hub running?'));
     }
+    process.exit(1);
+  }
 
-    if (fromDate || toDate) {
-      v4vPayments = filterByDateRange(v4vPayments, fromDate, toDate);
-    }
+  if (!isQuiet) {
+    process.stdout.write('\r' + ' '.repeat(50) + '\r'); // Clear progress line
+  }
 
-    // Handle different output formats
-    if (options.format === 'json') {
-      const report = buildJsonReport(v4vPayments, {
-        ...options,
-        fromDate,
-        toDate,
-      }, btcPrice);
-      console.log(JSON.stringify(report, null, 2));
-      return;
-    }
+  let v4vPayments = filterV4VPayments(allTransactions);
 
-    if (options.format === 'csv') {
-      const csv = formatCSV(v4vPayments);
-      console.log(csv);
-      return;
-    }
+  if (options.site) {
+    v4vPayments = filterBySite(v4vPayments, sites.map(site => site.url));
+  }
 
-    // Default: text format
-    printSummary(v4vPayments, fromDate, toDate, btcPrice);
-
-    if (options.byEssay) {
-      const titles = await fetchEssayTitles();
-      printByEssay(v4vPayments, {
-        sortBy: options.sort || 'sats',
-        top: options.top,
-        btcPrice,
-        titles,
-      });
+  // The baseline, projections and running totals need history from before
+  // --from/--since, so compute them before filtering by date
+  const anomalies = detectPaymentAnomalies(filterSettled(v4vPayments), { timeZone });
+  const projection = options.projection
+    ? projectPaymentTotals(filterSettled(v4vPayments), { timeZone })
+    : null;
+  const period = typeof options.timeSeries === 'string' ? options.timeSeries : 'monthly';
+  const cumulative = Boolean(options.cumulative);
+  const series = rolling || cumulative
+    ? {
+      rolling,
+      cumulative,
+      data: aggregateSeries(filterSettled(v4vPayments), {
+        period, timeZone, rolling, cumulative, from: fromDate, to: toDate,
+      }),
     }
+    : null;
 
-    if (options.timeSeries) {
-      const period = typeof options.timeSeries === 'string' ? options.timeSeries : 'monthly';
-      printTimeSeries(v4vPayments, period, btcPrice);
-    }
+  if (fromDate || toDate) {
+    v4vPayments = filterByDateRange(v4vPayments, fromDate, toDate);
+  }
 
-    if (options.compare) {
-      const period = typeof options.timeSeries === 'string' ? options.timeSeries : 'monthly';
-      printComparison(v4vPayments, period, btcPrice);
-    }
+  // Only settled payments count; open invoices are reported separately
+  const pending = options.pending ? summarizePending(v4vPayments) : null;
+  v4vPayments = filterSettled(v4vPayments);
 
-    if (options.export) {
-      exportCSV(v4vPayments, options.export);
-    }
-  } finally {
-    client.close();
+  // Publish dates come from the same RSS feeds (and cache) as the titles
+  const published = options.lifecycle ? await fetchSitePublished(sites.map(site => site.url)) : {};
+
+  // Handle different output formats
+  if (options.format === 'json') {
+    const report = buildJsonReport(v4vPayments, {
+      ...options,
+      fromDate,
+      toDate,
+      byWallet: wallets.length > 1,
+      bySite: sites.length > 1,
+      pending,
+      timeZone,
+      published,
+      anomalies,
+      projection,
+      series,
+    }, btcPrice);
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  if (options.format === 'csv') {
+    const csv = formatCSV(v4vPayments);
+    console.log(csv);
+    return;
+  }
+
+  // Default: text format
+  printSummary(v4vPayments, fromDate, toDate, btcPrice);
+
+  if (pending) {
+    printPending(pending);
+  }
+
+  printAnomalies(anomalies);
+
+  if (sites.length > 1) {
+    printBySite(v4vPayments, btcPrice);
+  }
+
+  if (wallets.length > 1) {
+    printByWallet(v4vPayments, btcPrice);
+  }
+
+  if (v4vPayments.some(tx => paymentChannel(tx) === 'zap')) {
+    printByChannel(v4vPayments, btcPrice);
+  }
+
+  if (options.bySource) {
+    printBySource(v4vPayments, btcPrice);
+  }
+
+  const titles = options.byEssay || options.lifecycle
+    ? await fetchSiteTitles(sites.map(site => site.url))
+    : {};
+
+  if (options.byEssay) {
+    printByEssay(v4vPayments, {
+      sortBy: options.sort || 'sats',
+      top: options.top,
+      btcPrice,
+      titles,
+    });
+  }
+
+  if (options.lifecycle) {
+    printLifecycle(v4vPayments, { titles, published, top: options.top });
+  }
+
+  if (options.timeSeries) {
+    printTimeSeries(v4vPayments, period, btcPrice, timeZone, series);
+  }
+
+  if (options.compare) {
+    printComparison(v4vPayments, period, btcPrice, timeZone);
+  }
+
+  if (projection) {
+    printProjection(projection);
+  }
+
+  if (options.heatmap) {
+    printHeatmap(v4vPayments, timeZone);
+  }
+
+  if (options.distribution) {
+    printDistribution(v4vPayments, btcPrice);
+  }
+
+  if (options.export) {
+    exportCSV(v4vPayments, options.export);
   }
 }
@@ -6,6 +6,10 @@
 import fs from 'fs';
 import { CONFIG } from '../config.js';
 import { getCacheStats, getTitlesCacheInfo } from '../cache.js';
+import { getWalletCachePath } from '../wallets.js';
+import { getSiteTitlesCachePath } from '../sites.js';
+import { loadAttributionRules } from '../attribution.js';
+import { DEFAULT_WALLET } from '../constants.js';
 import { logger } from '../logger.js';
 import {
   success, error, warning, dim, bold, cyan, green, red, yellow,
@@ -13,18 +17,19 @@ import {
 
 /**
  * Test NWC connection
+ * @param {Object} wallet - Wallet to test
  */
-async function testNwcConnection() {
-  if (!CONFIG.nwcConnectionString) {
+async function testNwcConnection(wallet) {
+  if (!wallet?.connectionString) {
     return { success: false, error: 'Not configured' };
   }
 
   const { NWCClient } = await import('@getalby/sdk');
 
-  logger.debug('Testing NWC connection');
+  logger.debug('Testing NWC connection', { wallet: wallet.name });
 
   const client = new NWCClient({
-    nostrWalletConnectUrl: CONFIG.nwcConnectionString,
+    nostrWalletConnectUrl: wallet.connectionString,
     timeout: 15000,
   });
 
@@ -42,6 +47,51 @@ async function testNwcConnection() {
   }
 }
 
+/**
+ * Print troubleshooting hints for a failed connection
+ * @param {string} message - Connection error message
+ */
+function printTroubleshooting(message) {
+  console.log(dim('\n  Troubleshooting:'));
+  if (message.includes('timeout')) {
+    console.log(dim('    • Is your Alby Hub running?'));
+    console.log(dim('    • Check your internet connection'));
+  } else if (message.includes('Invalid')) {
+    console.log(dim('    • Check your NWC connection string'));
+    console.log(dim('    • Run `v4v init` to reconfigure'));
+  }
+}
+
+/**
+ * Print transaction cache stats
+ * @param {string} cachePath - Cache file path
+ */
+function printCacheStats(cachePath) {
+  let cacheStats = null;
+  let cacheError = null;
+  try {
+    cacheStats = getCacheStats(cachePath);
+  } catch (err) {
+    cacheError = err;
+  }
+
+  if (cacheError) {
+    console.log(`  Transactions:     ${red('✗')} ${cacheError.message}`);
+  } else if (cacheStats) {
+    console.log(`  Transactions:     ${cyan(cacheStats.totalTransactions.toString())} cached`);
+    console.log(`  Cache size:       ${dim(cacheStats.sizeKb + ' KB')}`);
+    console.log(`  Last updated:     ${dim(cacheStats.updated || 'Unknown')}`);
+
+    if (cacheStats.oldest && cacheStats.newest) {
+      const oldest = new Date(cacheStats.oldest * 1000).toISOString().split('T')[0];
+      const newest = new Date(cacheStats.newest * 1000).toISOString().split('T')[0];
+      console.log(`  Date range:       ${dim(`${oldest} to ${newest}`)}`);
+    }
+  } else {
+    console.log(`  Transactions:     ${dim('No cache')}`);
+  }
+}
+
 /**
  * Format a status indicator
  */
@@ -64,67 +114,76 @@ export async function statusCommand(options = {}) {
   const envExists = fs.existsSync(envPath);
 
   console.log(`  .env file:        ${statusIndicator(envExists, envExists ? 'Found' : 'Not found')}`);
-  console.log(`  NWC Connection:   ${statusIndicator(!!CONFIG.nwcConnectionString, CONFIG.nwcConnectionString ? 'Configured' : 'Missing')}`);
-  console.log(`  Site URL:         ${statusIndicator(!!CONFIG.siteUrl, CONFIG.siteUrl || 'Missing')}`);
+  const walletCount = CONFIG.wallets.length;
+  const walletLabel = walletCount > 1
+    ? `${walletCount} wallets (${CONFIG.wallets.map(w => w.name).join(', ')})`
+    : 'Configured';
+  console.log(`  NWC Connection:   ${statusIndicator(walletCount > 0, walletCount > 0 ? walletLabel : 'Missing')}`);
+  const siteLabel = CONFIG.sites.map(site => site.url).join(', ');
+  console.log(`  Site URL:         ${statusIndicator(!!siteLabel, siteLabel || 'Missing')}`);
+
+  for (const site of CONFIG.sites) {
+    const rssUrl = site.url === CONFIG.siteUrl ? CONFIG.rssUrl : site.rssUrl;
+    if (rssUrl) {
+      const label = CONFIG.sites.length > 1 ? `RSS (${site.url}):` : 'RSS URL:';
+      console.log(`  ${label.padEnd(18)}${dim(rssUrl)}`);
+    }
+  }
 
-  if (CONFIG.rssUrl) {
-    console.log(`  RSS URL:          ${dim(CONFIG.rssUrl)}`);
+  if (fs.existsSync(CONFIG.paths.rules)) {
+    try {
+      const { rules, aliases } = loadAttributionRules();
+      const count = `${rules.length} rules, ${Object.keys(aliases).length} aliases`;
+      console.log(`  Attribution:      ${statusIndicator(true, count)}`);
+    } catch (err) {
+      console.log(`  Attribution:      ${statusIndicator(false, err.message)}`);
+    }
   }
 
   // Cache status
   console.log(bold('\nCache'));
   console.log('─'.repeat(40));
 
-  const cacheStats = getCacheStats();
-  if (cacheStats) {
-    console.log(`  Transactions:     ${cyan(cacheStats.totalTransactions.toString())} cached`);
-    console.log(`  Cache size:       ${dim(cacheStats.sizeKb + ' KB')}`);
-    console.log(`  Last updated:     ${dim(cacheStats.updated || 'Unknown')}`);
-
-    if (cacheStats.oldest && cacheStats.newest) {
-      const oldest = new Date(cacheStats.oldest * 1000).toISOString().split('T')[0];
-      const newest = new Date(cacheStats.newest * 1000).toISOString().split('T')[0];
-      console.log(`  Date range:       ${dim(`${oldest} to ${newest}`)}`);
+  // Named wallets each have their own cache; show the default one if none are set up
+  const cacheWallets = walletCount > 0 ? CONFIG.wallets : [{ name: DEFAULT_WALLET }];
+  for (const wallet of cacheWallets) {
+    if (cacheWallets.length > 1) {
+      console.log(`  ${bold(wallet.name)}`);
     }
-  } else {
-    console.log(`  Transactions:     ${dim('No cache')}`);
+    printCacheStats(getWalletCachePath(wallet.name));
   }
 
-  const titlesInfo = getTitlesCacheInfo();
-  if (titlesInfo) {
-    console.log(`  Essay titles:     ${cyan(titlesInfo.count.toString())} cached`);
+  const titleCount = CONFIG.sites
+    .map(site => getTitlesCacheInfo(getSiteTitlesCachePath(site.url)))
+    .reduce((sum, info) => sum + (info ? info.count : 0), 0);
+  if (titleCount > 0) {
+    console.log(`  Essay titles:     ${cyan(titleCount.toString())} cached`);
   }
 
   // Connection test
   console.log(bold('\nConnection Test'));
   console.log('─'.repeat(40));
 
-  if (!CONFIG.nwcConnectionString) {
+  if (walletCount === 0) {
     console.log(`  NWC:              ${red('✗')} ${dim('Not configured')}`);
     console.log(dim('\n  Run `v4v init` to set up your connection.\n'));
     return;
   }
 
-  process.stdout.write(`  NWC:              ${dim('Testing...')}`);
+  for (const wallet of CONFIG.wallets) {
+    const label = walletCount > 1 ? `NWC (${wallet.name}):`.padEnd(18) : 'NWC:'.padEnd(18);
+    process.stdout.write(`  ${label}${dim('Testing...')}`);
 
-  const result = await testNwcConnection();
+    const result = await testNwcConnection(wallet);
 
-  // Clear the "Testing..." text
-  process.stdout.write('\r');
+    // Clear the "Testing..." text
+    process.stdout.write('\r');
 
-  if (result.success) {
-    console.log(`  NWC:              ${green('✓')} Connected ${dim(`(${result.latency}ms)`)}`);
-  } else {
-    console.log(`  NWC:              ${red('✗')} ${result.error}`);
-
-    // Provide troubleshooting hints
-    console.log(dim('\n  Troubleshooting:'));
-    if (result.error.includes('timeout')) {
-      console.log(dim('    • Is your Alby Hub running?'));
-      console.log(dim('    • Check your internet connection'));
-    } else if (result.error.includes('Invalid')) {
-      console.log(dim('    • Check your NWC connection string'));
-      console.log(dim('    • Run `v4v init` to reconfigure'));
+    if (result.success) {
+      console.log(`  ${label}${green('✓')} Connected ${dim(`(${result.latency}ms)`)}`);
+    } else {
+      console.log(`  ${label}${red('✗')} ${result.error}`);
+      printTroubleshooting(result.error);
     }
   }
 
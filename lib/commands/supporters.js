@@ -0,0 +1,72 @@
+/**
+ * Supporters Command
+ * Show repeat supporters and new vs returning supporters per period
+ */
+
+import { CONFIG, parseDuration } from '../config.js';
+import { fetchV4VData } from '../v4v-data.js';
+import { buildSupporterReport } from '../transformers.js';
+import { isValidTimeZone, PERIODS } from '../shared/periods.js';
+import { printSupporters } from '../formatters/text.js';
+import { buildSupportersJson } from '../formatters/json.js';
+import { dim, error as errorColor } from '../colors.js';
+
+/**
+ * Execute supporters command
+ */
+export async function supportersCommand(options) {
+  const isQuiet = options.format === 'json';
+  const period = options.period || 'monthly';
+  const timeZone = options.tz || CONFIG.timeZone;
+
+  let since = null;
+  try {
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Invalid period: ${period} (use ${PERIODS.join(', ')})`);
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    if (options.since) {
+      const sinceDate = parseDuration(options.since);
+      if (!sinceDate) {
+        throw new Error(`Invalid duration: ${options.since} (use formats like 7d, 2w, 1m, 3mo, 1y)`);
+      }
+      since = Math.floor(sinceDate.getTime() / 1000);
+    }
+  } catch (err) {
+    console.error(errorColor(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (!isQuiet) {
+    process.stdout.write('Fetching transactions...');
+  }
+
+  let data;
+  try {
+    // Lifetime totals and first-support dates need all of history, so --since
+    // only narrows what is shown
+    data = await fetchV4VData({ wallet: options.wallet, site: options.site });
+  } catch (err) {
+    if (!isQuiet) process.stdout.write('\r');
+    console.error(errorColor(`\nError: ${err.message}`));
+    if (err.message.includes('NWC_CONNECTION_STRING')) {
+      console.error(dim('\nRun `v4v init` to set up your connection.'));
+    }
+    process.exit(1);
+  }
+
+  if (!isQuiet) {
+    process.stdout.write('\r' + ' '.repeat(50) + '\r');
+  }
+
+  const report = buildSupporterReport(data.transactions, { period, timeZone, since });
+
+  if (isQuiet) {
+    console.log(JSON.stringify(buildSupportersJson(report, { top: options.top, period, timeZone, since }), null, 2));
+    return;
+  }
+
+  printSupporters(report, { top: options.top ?? 20, period });
+}
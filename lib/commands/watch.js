@@ -0,0 +1,73 @@
+/**
+ * Watch Command
+ * Print new V4V payments as they arrive
+ */
+
+import { CONFIG } from '../config.js';
+import { getWallets } from '../wallets.js';
+import { watchPayments } from '../watch.js';
+import { fetchSiteTitles } from '../rss-titles.js';
+import { printPayment } from '../formatters/text.js';
+import { SECOND } from '../constants.js';
+import { bold, dim, error as errorColor } from '../colors.js';
+
+/**
+ * Execute watch command
+ */
+export async function watchCommand(options) {
+  let wallets;
+  let interval = CONFIG.watchInterval;
+  try {
+    wallets = getWallets(options.wallet);
+    if (options.interval) {
+      const seconds = parseInt(options.interval, 10);
+      if (!(seconds > 0)) {
+        throw new Error(`Invalid interval: ${options.interval} (use a number of seconds)`);
+      }
+      interval = seconds * SECOND;
+    }
+  } catch (err) {
+    console.error(errorColor(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const titles = await fetchSiteTitles();
+  const display = {
+    titles,
+    showWallet: wallets.length > 1,
+    showSite: CONFIG.sites.length > 1,
+  };
+
+  console.log(bold('Watching for V4V payments') + dim(' (Ctrl+C to stop)'));
+
+  let stop;
+  try {
+    stop = await watchPayments({
+      wallet: options.wallet,
+      poll: options.poll,
+      interval,
+      onPayment: tx => printPayment(tx, display),
+      onStatus: ({ wallet, mode }) => {
+        const how = mode === 'notifications'
+          ? 'live notifications'
+          : `polling every ${Math.round(interval / SECOND)}s`;
+        console.log(dim(`  ${wallets.length > 1 ? `${wallet}: ` : ''}${how}`));
+      },
+    });
+  } catch (err) {
+    console.error(errorColor(`\nError: ${err.message}`));
+    if (err.message.includes('NWC_CONNECTION_STRING')) {
+      console.error(dim('\nRun `v4v init` to set up your connection.'));
+    }
+    if (err.message.includes('timeout')) {
+      console.error(dim('\nIs your Alby Hub running?'));
+    }
+    process.exit(1);
+  }
+
+  process.once('SIGINT', () => {
+    stop();
+    console.log(dim('\nStopped watching.'));
+    process.exit(0);
+  });
+}
@@ -13,29 +13,111 @@ import {
   DEFAULT_MAX_BATCHES,
   DEFAULT_MAX_RETRIES,
   DEFAULT_CACHE_TTL,
+  DEFAULT_LOCK_TIMEOUT,
+  DEFAULT_WATCH_INTERVAL,
+  CACHE_FILES,
+  DEFAULT_WALLET,
 } from './constants.js';
 import { logger } from './logger.js';
+import { localTimeZone, isValidTimeZone } from './shared/periods.js';
+import { DEFAULT_TIP_PRESETS } from './shared/distribution.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Load environment variables from .env if present
 config({ path: path.join(__dirname, '..', '.env'), quiet: true });
 
+// Transaction cache backend: json (single file, default) or ndjson (append-only log)
+const cacheBackend = process.env.V4V_CACHE_BACKEND === 'ndjson' ? 'ndjson' : 'json';
+
+/**
+ * Collect wallet connections from the environment
+ * NWC_CONNECTION_STRING is the "default" wallet and NWC_CONNECTION_STRING_<NAME>
+ * adds a wallet named <name> (lowercased, underscores become dashes)
+ * @param {Object} env - Environment variables
+ * @returns {Array<{name: string, connectionString: string}>} Wallets, default first
+ */
+export function parseWallets(env) {
+  const wallets = [];
+  if (env.NWC_CONNECTION_STRING) {
+    wallets.push({ name: DEFAULT_WALLET, connectionString: env.NWC_CONNECTION_STRING });
+  }
+
+  const named = Object.keys(env)
+    .filter(key => /^NWC_CONNECTION_STRING_[A-Z0-9_]+$/.test(key) && env[key])
+    .sort();
+  for (const key of named) {
+    const name = key.slice('NWC_CONNECTION_STRING_'.length).toLowerCase().replace(/_/g, '-');
+    wallets.push({ name, connectionString: env[key] });
+  }
+  return wallets;
+}
+
+/**
+ * Get the environment variable suffix for a site (notes.example.com -> NOTES_EXAMPLE_COM)
+ * @param {string} siteUrl - Site URL
+ * @returns {string}
+ */
+function siteEnvSuffix(siteUrl) {
+  return siteUrl.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+/**
+ * Collect sites from the environment
+ * V4V_SITE_URL is a comma-separated list; the first site is the primary one.
+ * Each site's feed comes from V4V_RSS_URL_<SITE>, with V4V_RSS_URL as the
+ * primary site's fallback
+ * @param {Object} env - Environment variables
+ * @returns {Array<{url: string, rssUrl: string|null}>} Sites, primary first
+ */
+export function parseSites(env) {
+  const urls = (env.V4V_SITE_URL || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return [...new Set(urls)].map((url, index) => ({
+    url,
+    rssUrl: env[`V4V_RSS_URL_${siteEnvSuffix(url)}`] || (index === 0 ? env.V4V_RSS_URL : null) || null,
+  }));
+}
+
+const sites = parseSites(process.env);
+
+/**
+ * Parse V4V_TIP_PRESETS ("500,1000,5000,10000")
+ * @param {string} [value] - Comma-separated amounts in sats
+ * @returns {number[]} Presets, or the payment page's defaults if none are valid
+ */
+export function parseTipPresets(value) {
+  const presets = (value || '')
+    .split(',')
+    .map(amount => Number(amount.trim()))
+    .filter(amount => Number.isInteger(amount) && amount > 0);
+  return presets.length > 0 ? presets : DEFAULT_TIP_PRESETS;
+}
+
 /**
  * Configuration object with defaults and env overrides
  */
 export const CONFIG = {
-  // Site URL for V4V payment filtering (required)
-  siteUrl: process.env.V4V_SITE_URL || null,
+  // Primary site URL for V4V payment filtering (required)
+  siteUrl: sites[0]?.url || null,
+
+  // All sites sharing this installation's wallets and cache
+  sites,
 
   // NWC connection string
   nwcConnectionString: process.env.NWC_CONNECTION_STRING || null,
 
+  // All wallet connections (default + NWC_CONNECTION_STRING_<NAME>)
+  wallets: parseWallets(process.env),
+
   // NWC request timeout in ms
   nwcTimeout: parseInt(process.env.NWC_TIMEOUT, 10) || DEFAULT_NWC_TIMEOUT,
 
-  // RSS feed URL (defaults to site + /feed.xml)
-  rssUrl: process.env.V4V_RSS_URL || null,
+  // Primary site's RSS feed URL (defaults to site + /feed.xml)
+  rssUrl: sites[0]?.rssUrl || null,
 
   // Maximum batches to fetch per request (limits to ~200 transactions)
   maxBatches: parseInt(process.env.V4V_MAX_BATCHES, 10) || DEFAULT_MAX_BATCHES,
@@ -52,12 +134,36 @@ export const CONFIG = {
   // Titles cache TTL in ms (24 hours default)
   titlesCacheTtl: parseInt(process.env.V4V_TITLES_CACHE_TTL, 10) || DEFAULT_CACHE_TTL,
 
+  // Max time to wait for another command's cache write in ms
+  lockTimeout: parseInt(process.env.V4V_LOCK_TIMEOUT, 10) || DEFAULT_LOCK_TIMEOUT,
+
+  // Poll interval for `v4v watch` when the wallet has no notifications, in ms
+  watchInterval: parseInt(process.env.V4V_WATCH_INTERVAL, 10) || DEFAULT_WATCH_INTERVAL,
+
+  // Time zone for daily/weekly/monthly buckets (default: the system's)
+  timeZone: process.env.V4V_TZ || localTimeZone(),
+
+  // Payment page's amount buttons in sats, for the tip-size histogram
+  tipPresets: parseTipPresets(process.env.V4V_TIP_PRESETS),
+
+  // Transaction cache backend
+  cacheBackend,
+
+  // Slim cache: store non-V4V transactions as payment_hash/timestamp stubs
+  slimCache: process.env.V4V_SLIM_CACHE === 'true' || process.env.V4V_SLIM_CACHE === '1',
+
+  // Secret for the encrypted cache: a passphrase, or a file holding one
+  cachePassphrase: process.env.V4V_CACHE_PASSPHRASE || null,
+  cacheKeyFile: process.env.V4V_CACHE_KEY_FILE || null,
+
   // Cache file paths
   paths: {
     root: path.join(__dirname, '..'),
-    cache: path.join(__dirname, '..', '.v4v-cache.json'),
+    cache: path.join(__dirname, '..', CACHE_FILES[cacheBackend]),
     titlesCache: path.join(__dirname, '..', '.titles-cache.json'),
+    rules: process.env.V4V_RULES_FILE || path.join(__dirname, '..', '.v4v-rules.json'),
     dashboard: path.join(__dirname, '..', 'dashboard'),
+    shared: path.join(__dirname, 'shared'),
   },
 };
 
@@ -71,37 +177,50 @@ export function validateConfig() {
   }
 
   // Validate URL format
-  try {
-    new URL(`https://${CONFIG.siteUrl}`);
-  } catch (error) {
-    throw new Error(`Invalid V4V_SITE_URL: ${CONFIG.siteUrl}`);
+  for (const site of CONFIG.sites) {
+    try {
+      new URL(`https://${site.url}`);
+    } catch (error) {
+      throw new Error(`Invalid V4V_SITE_URL: ${site.url}`);
+    }
   }
 
-  if (!CONFIG.nwcConnectionString) {
+  if (CONFIG.wallets.length === 0) {
     throw new Error('NWC_CONNECTION_STRING not found. Set it in your environment or .env file.');
   }
 
   // Validate NWC connection string format
-  if (!CONFIG.nwcConnectionString.startsWith('nostr+walletconnect://')) {
-    throw new Error('NWC_CONNECTION_STRING must start with nostr+walletconnect://');
+  for (const wallet of CONFIG.wallets) {
+    if (!wallet.connectionString.startsWith('nostr+walletconnect://')) {
+      throw new Error(`Connection string for wallet "${wallet.name}" must start with nostr+walletconnect://`);
+    }
+  }
+
+  if (!isValidTimeZone(CONFIG.timeZone)) {
+    throw new Error(`Invalid V4V_TZ: ${CONFIG.timeZone}`);
   }
 
   logger.debug('Configuration validated', {
-    siteUrl: CONFIG.siteUrl,
+    sites: CONFIG.sites.map(site => site.url),
     hasRss: !!CONFIG.rssUrl,
+    wallets: CONFIG.wallets.map(w => w.name),
     nwcTimeout: CONFIG.nwcTimeout,
   });
 }
 
 /**
- * Get RSS feed URL (computed from siteUrl if not set)
+ * Get RSS feed URL (computed from the site URL if not set)
+ * @param {string} [siteUrl] - Site to get the feed for (default: primary site)
  */
-export function getRssUrl() {
-  if (CONFIG.rssUrl) {
-    return CONFIG.rssUrl;
+export function getRssUrl(siteUrl = CONFIG.siteUrl) {
+  const rssUrl = siteUrl === CONFIG.siteUrl
+    ? CONFIG.rssUrl
+    : CONFIG.sites.find(site => site.url === siteUrl)?.rssUrl;
+  if (rssUrl) {
+    return rssUrl;
   }
-  if (CONFIG.siteUrl) {
-    return `https://${CONFIG.siteUrl.replace(/^https?:\/\//, '')}/feed.xml`;
+  if (siteUrl) {
+    return `https://${siteUrl.replace(/^https?:\/\//, '')}/feed.xml`;
   }
   return null;
 }
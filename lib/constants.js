@@ -15,6 +15,38 @@ export const SATS_PER_BTC = 100_000_000;
 export const MAX_WEEKS_FOR_ALL_TIME = 52;
 export const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
+/**
+ * Cache file locking
+ */
+export const DEFAULT_LOCK_TIMEOUT = 10000; // 10 seconds
+export const LOCK_STALE_AGE = 2 * 60 * 1000; // 2 minutes
+export const LOCK_RETRY_DELAY = 50; // 50ms
+
+/**
+ * Transaction cache file names by storage backend
+ */
+export const CACHE_FILES = {
+  json: '.v4v-cache.json',
+  ndjson: '.v4v-cache.ndjson',
+};
+
+/**
+ * Cache export archive format (bump the version when the layout changes)
+ */
+export const ARCHIVE_FORMAT = 'v4v-cache-archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Invoice states, as reported by NIP-47 wallets
+ */
+export const INVOICE_STATES = ['pending', 'settled', 'expired', 'failed'];
+export const DEFAULT_INVOICE_EXPIRY = 24 * 60 * 60; // seconds, for invoices without expires_at
+
+/**
+ * Wallet name for NWC_CONNECTION_STRING (named wallets add their own)
+ */
+export const DEFAULT_WALLET = 'default';
+
 /**
  * Time units in milliseconds
  */
@@ -38,6 +70,11 @@ export const DEFAULT_BATCH_DELAY = 300; // 300ms
 export const DEFAULT_MAX_BATCHES = 100; // ~1000 transactions max
 export const DEFAULT_MAX_RETRIES = 2;
 
+/**
+ * Live watch
+ */
+export const DEFAULT_WATCH_INTERVAL = 30000; // 30 seconds between polls
+
 /**
  * Retry delays
  */
@@ -57,4 +94,9 @@ export const MIN_USD_THRESHOLD = 0.01;
 /**
  * Essay slug placeholder
  */
-export const FOOTER_SLUG = '(footer/general)';
\ No newline at end of file
+export const FOOTER_SLUG = '(footer/general)';
+
+/**
+ * Source placeholder for payments without a ?source= link parameter
+ */
+export const DIRECT_SOURCE = '(direct)';
@@ -0,0 +1,93 @@
+/**
+ * Coverage Module
+ * Pure functions for tracking which time ranges the cache has fully fetched
+ *
+ * @typedef {Object} TimeRange
+ * @property {number} from - Range start (Unix seconds, inclusive)
+ * @property {number} until - Range end (Unix seconds, inclusive)
+ */
+
+/**
+ * Sort ranges and merge any that overlap or touch
+ * @param {TimeRange[]} ranges - Ranges in any order
+ * @returns {TimeRange[]} Sorted, non-overlapping ranges
+ */
+export function normalizeRanges(ranges = []) {
+  const sorted = ranges
+    .filter(r => r && Number.isFinite(r.from) && Number.isFinite(r.until) && r.from <= r.until)
+    .map(r => ({ from: r.from, until: r.until }))
+    .sort((a, b) => a.from - b.from);
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.from <= last.until + 1) {
+      last.until = Math.max(last.until, range.until);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Add a covered range
+ * @param {TimeRange[]} ranges - Existing covered ranges
+ * @param {TimeRange|null} range - Newly covered range
+ * @returns {TimeRange[]} Updated covered ranges
+ */
+export function addRange(ranges, range) {
+  if (!range) return normalizeRanges(ranges);
+  return normalizeRanges([...(ranges || []), range]);
+}
+
+/**
+ * Find the parts of a window that are not covered yet
+ * @param {TimeRange} window - Window to check
+ * @param {TimeRange[]} ranges - Covered ranges
+ * @returns {TimeRange[]} Uncovered spans within the window
+ */
+export function missingRanges(window, ranges) {
+  const missing = [];
+  let cursor = window.from;
+
+  for (const range of normalizeRanges(ranges)) {
+    if (range.until < cursor) continue;
+    if (range.from > window.until) break;
+    if (range.from > cursor) {
+      missing.push({ from: cursor, until: range.from - 1 });
+    }
+    cursor = range.until + 1;
+    if (cursor > window.until) break;
+  }
+
+  if (cursor <= window.until) {
+    missing.push({ from: cursor, until: window.until });
+  }
+  return missing;
+}
+
+/**
+ * Find holes in the covered history
+ *
+ * Looks between the oldest known point (oldest cached transaction or start
+ * of coverage) and the newest, so history that was never backfilled is not
+ * reported as a gap. Cached transactions outside any covered range (e.g. from
+ * caches written before coverage was tracked) count as unverified.
+ *
+ * @param {TimeRange[]} ranges - Covered ranges
+ * @param {number|null} [oldest] - Oldest cached transaction timestamp
+ * @param {number|null} [newest] - Newest cached transaction timestamp
+ * @returns {TimeRange[]} Uncovered spans
+ */
+export function findGaps(ranges, oldest = null, newest = null) {
+  const covered = normalizeRanges(ranges);
+  const starts = [oldest, covered[0]?.from].filter(Number.isFinite);
+  const ends = [newest, covered[covered.length - 1]?.until].filter(Number.isFinite);
+
+  if (starts.length === 0 || ends.length === 0) {
+    return [];
+  }
+
+  return missingRanges({ from: Math.min(...starts), until: Math.max(...ends) }, covered);
+}
@@ -4,8 +4,8 @@
  */
 
 import fs from 'fs';
-import { parseEssaySlug } from '../transformers.js';
-import { MILLISATS_PER_SAT } from '../constants.js';
+import { parseEssaySlug, parsePaymentSource, matchSite, paymentDescription, paymentChannel } from '../transformers.js';
+import { MILLISATS_PER_SAT, DEFAULT_WALLET } from '../constants.js';
 
 /**
  * Format transactions as CSV string
@@ -13,14 +13,17 @@ import { MILLISATS_PER_SAT } from '../constants.js';
  * @returns {string} CSV formatted string
  */
 export function formatCSV(transactions) {
-  const headers = ['date', 'amount_sats', 'essay_slug', 'description'];
+  const headers = ['date', 'amount_sats', 'essay_slug', 'description', 'wallet', 'site', 'channel', 'source'];
   const rows = transactions.map(tx => {
     const timestamp = tx.settled_at || tx.created_at;
     const date = timestamp ? new Date(timestamp * 1000).toISOString() : '';
     const sats = Math.floor(tx.amount / MILLISATS_PER_SAT);
-    const slug = parseEssaySlug(tx.description) || '';
+    const description = paymentDescription(tx);
+    const slug = parseEssaySlug(description) || '';
     const desc = (tx.description || '').replace(/"/g, '""');
-    return `${date},${sats},"${slug}","${desc}"`;
+    const site = matchSite(description) || '';
+    const source = parsePaymentSource(description) || '';
+    return `${date},${sats},"${slug}","${desc}","${tx.wallet || DEFAULT_WALLET}","${site}","${paymentChannel(tx)}","${source}"`;
   });
 
   return [headers.join(','), ...rows].join('\n');
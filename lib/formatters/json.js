@@ -3,8 +3,20 @@
  * Build JSON report for CLI output
  */
 
+import { CONFIG } from '../config.js';
 import { satsToUsd } from '../price.js';
-import { buildSummary, aggregateByEssay, aggregateByPeriod } from '../transformers.js';
+import {
+  buildSummary,
+  aggregateByEssay,
+  aggregateByPeriod,
+  aggregateByWeekdayHour,
+  aggregateByWallet,
+  aggregateBySite,
+  aggregateByChannel,
+  aggregateByPaymentSource,
+  buildTipDistribution,
+  buildLifecycle,
+} from '../transformers.js';
 
 /**
  * Build JSON report from transactions
@@ -26,6 +38,10 @@ export function buildJsonReport(transactions, options, btcPrice) {
     },
   };
 
+  if (options.pending) {
+    report.summary.pending = { sats: options.pending.sats, invoices: options.pending.count };
+  }
+
   if (btcPrice) {
     report.summary.btcPrice = btcPrice;
     report.summary.totalUsd = summary.totalUsd;
@@ -33,6 +49,40 @@ export function buildJsonReport(transactions, options, btcPrice) {
     report.summary.general.usd = summary.general.usd;
   }
 
+  if (options.byWallet) {
+    report.byWallet = [...aggregateByWallet(transactions).entries()].map(([wallet, data]) => ({
+      wallet,
+      sats: data.sats,
+      payments: data.count,
+      ...(btcPrice && { usd: satsToUsd(data.sats, btcPrice) }),
+    }));
+  }
+
+  if (options.bySite) {
+    report.bySite = [...aggregateBySite(transactions).entries()].map(([site, data]) => ({
+      site,
+      sats: data.sats,
+      payments: data.count,
+      ...(btcPrice && { usd: satsToUsd(data.sats, btcPrice) }),
+    }));
+  }
+
+  report.byChannel = [...aggregateByChannel(transactions).entries()].map(([channel, data]) => ({
+    channel,
+    sats: data.sats,
+    payments: data.count,
+    ...(btcPrice && { usd: satsToUsd(data.sats, btcPrice) }),
+  }));
+
+  if (options.bySource) {
+    report.bySource = [...aggregateByPaymentSource(transactions).entries()].map(([source, data]) => ({
+      source,
+      sats: data.sats,
+      payments: data.count,
+      ...(btcPrice && { usd: satsToUsd(data.sats, btcPrice) }),
+    }));
+  }
+
   if (options.byEssay) {
     const byEssay = aggregateByEssay(transactions, options.sort);
     let entries = [...byEssay.entries()];
@@ -46,24 +96,36 @@ export function buildJsonReport(transactions, options, btcPrice) {
     }));
   }
 
+  const timeZone = options.timeZone || CONFIG.timeZone;
+
   if (options.timeSeries) {
     const period = typeof options.timeSeries === 'string' ? options.timeSeries : 'monthly';
-    const byPeriod = aggregateByPeriod(transactions, period);
+    const { series } = options;
+
+    // With a rolling window or running totals every period is listed, newest first
+    const rows = series
+      ? [...series.data].reverse().map(({ date, ...data }) => [date, { ...data, count: data.payments }])
+      : aggregateByPeriod(transactions, period, timeZone);
 
     report.timeSeries = {
       period,
-      data: [...byPeriod.entries()].map(([date, data]) => ({
+      timeZone,
+      ...(series?.rolling && { rolling: series.rolling }),
+      ...(series?.cumulative && { cumulative: true }),
+      data: [...rows].map(([date, data]) => ({
         date,
         sats: data.sats,
         payments: data.count,
         ...(btcPrice && { usd: satsToUsd(data.sats, btcPrice) }),
+        ...(data.rolling && { rolling: data.rolling }),
+        ...(data.cumulative && { cumulative: data.cumulative }),
       })),
     };
   }
 
   if (options.compare) {
     const period = typeof options.timeSeries === 'string' ? options.timeSeries : 'monthly';
-    const byPeriod = aggregateByPeriod(transactions, period);
+    const byPeriod = aggregateByPeriod(transactions, period, timeZone);
     const periods = [...byPeriod.entries()];
 
     if (periods.length >= 2) {
@@ -83,5 +145,61 @@ export function buildJsonReport(transactions, options, btcPrice) {
     }
   }
 
+  if (options.anomalies) {
+    report.anomalies = options.anomalies;
+  }
+
+  if (options.projection) {
+    report.projection = { timeZone, ...options.projection };
+  }
+
+  if (options.lifecycle) {
+    let entries = buildLifecycle(transactions, options.published);
+    if (options.top) entries = entries.slice(0, options.top);
+
+    report.lifecycle = entries.map(e => ({
+      ...e,
+      published: e.published ? new Date(e.published * 1000).toISOString() : null,
+      lastPayment: e.lastPayment ? new Date(e.lastPayment * 1000).toISOString() : null,
+    }));
+  }
+
+  if (options.heatmap) {
+    report.heatmap = { timeZone, ...aggregateByWeekdayHour(transactions, timeZone) };
+  }
+
+  if (options.distribution) {
+    report.distribution = buildTipDistribution(transactions, options.tipPresets);
+  }
+
   return report;
 }
+
+/**
+ * Build JSON output for `v4v supporters`
+ * @param {Object} report - From buildSupporterReport
+ * @param {Object} options - { top, period, timeZone, since }
+ */
+export function buildSupportersJson(report, { top = null, period, timeZone, since = null }) {
+  const date = (timestamp) => new Date(timestamp * 1000).toISOString();
+  const supporters = top ? report.supporters.slice(0, top) : report.supporters;
+
+  return {
+    summary: {
+      identified: report.identified,
+      repeat: report.repeat,
+      anonymous: report.anonymous,
+      since: since ? date(since) : null,
+    },
+    supporters: supporters.map(s => ({
+      name: s.name,
+      key: s.key,
+      source: s.source,
+      sats: s.sats,
+      payments: s.payments,
+      first: date(s.first),
+      last: date(s.last),
+    })),
+    byPeriod: { period, timeZone, data: report.byPeriod },
+  };
+}
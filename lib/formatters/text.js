@@ -3,8 +3,26 @@
  * CLI text output formatting with colors
  */
 
+import { CONFIG } from '../config.js';
 import { formatNumber, formatUsd, satsToUsd } from '../price.js';
-import { buildSummary, aggregateByEssay, aggregateByPeriod } from '../transformers.js';
+import {
+  buildSummary,
+  aggregateByEssay,
+  aggregateByPeriod,
+  aggregateByWeekdayHour,
+  aggregateByWallet,
+  aggregateBySite,
+  aggregateByChannel,
+  aggregateByPaymentSource,
+  paymentDescription,
+  paymentChannel,
+  buildTipDistribution,
+  buildLifecycle,
+  parseEssaySlug,
+  matchSite,
+} from '../transformers.js';
+import { MILLISATS_PER_SAT, FOOTER_SLUG, DIRECT_SOURCE } from '../constants.js';
+import { describeAnomaly } from '../shared/anomalies.js';
 import { bold, dim, cyan, yellow, green, red, sats as satsColor, trend } from '../colors.js';
 
 /**
@@ -39,6 +57,32 @@ export function printSummary(transactions, fromDate, toDate, btcPrice = null) {
   }
 }
 
+/**
+ * Print anomaly flags (nothing but a quiet line when there are none)
+ * @param {Object} anomalies - From detectPaymentAnomalies
+ */
+export function printAnomalies(anomalies) {
+  if (anomalies.flags.length === 0) {
+    const note = anomalies.baseline ? 'none' : 'not enough history yet';
+    console.log(dim(`Anomalies (${anomalies.from} to ${anomalies.to}): ${note}`));
+    return;
+  }
+
+  console.log(bold(`\nAnomalies`) + dim(` (${anomalies.from} to ${anomalies.to}):`));
+  for (const flag of anomalies.flags) {
+    const marker = flag.type === 'spike' ? green('▲') : red(flag.type === 'drop' ? '▼' : '!');
+    const line = describeAnomaly(flag);
+    console.log(`  ${marker} ${flag.ongoing ? red(line) : line}`);
+  }
+}
+
+/**
+ * Print invoices still waiting to be paid (not counted in the totals)
+ */
+export function printPending(pending) {
+  console.log(`Pending: ${satsColor(formatNumber(pending.sats))} sats ${dim(`(${formatNumber(pending.count)} open invoices, not counted)`)}`);
+}
+
 /**
  * Print breakdown by essay
  */
@@ -55,7 +99,7 @@ export function printByEssay(transactions, { sortBy = 'sats', top = null, btcPri
 
   for (const [slug, data] of entries) {
     // Use fetched title if available, otherwise use slug
-    const displayName = slug === '(footer/general)' ? dim(slug) : (titles[`essays/${slug}`] || titles[slug] || slug);
+    const displayName = slug === FOOTER_SLUG ? dim(slug) : (titles[slug] || slug);
     const paddedName = String(displayName).slice(0, 40).padEnd(40);
     const usdVal = satsToUsd(data.sats, btcPrice);
     const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
@@ -67,26 +111,143 @@ export function printByEssay(transactions, { sortBy = 'sats', top = null, btcPri
   }
 }
 
+/**
+ * Print breakdown by receiving wallet
+ */
+export function printByWallet(transactions, btcPrice = null) {
+  const byWallet = aggregateByWallet(transactions);
+
+  console.log(bold('\nBy Wallet:'));
+
+  for (const [wallet, data] of byWallet) {
+    const usdVal = satsToUsd(data.sats, btcPrice);
+    const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
+    console.log(`  ${wallet.padEnd(20)} ${satsColor(formatNumber(data.sats).padStart(10))} sats${usdStr} ${dim(`(${data.count})`)}`);
+  }
+}
+
+/**
+ * Print breakdown by site
+ */
+export function printBySite(transactions, btcPrice = null) {
+  const bySite = aggregateBySite(transactions);
+
+  console.log(bold('\nBy Site:'));
+
+  for (const [site, data] of bySite) {
+    const usdVal = satsToUsd(data.sats, btcPrice);
+    const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
+    console.log(`  ${site.padEnd(20)} ${satsColor(formatNumber(data.sats).padStart(10))} sats${usdStr} ${dim(`(${data.count})`)}`);
+  }
+}
+
+/**
+ * Print breakdown by channel (payment-page tips vs Nostr zaps)
+ */
+export function printByChannel(transactions, btcPrice = null) {
+  const byChannel = aggregateByChannel(transactions);
+  const labels = { tip: 'Tips', zap: 'Zaps' };
+
+  console.log(bold('\nBy Channel:'));
+
+  for (const [channel, data] of byChannel) {
+    const usdVal = satsToUsd(data.sats, btcPrice);
+    const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
+    console.log(`  ${labels[channel].padEnd(20)} ${satsColor(formatNumber(data.sats).padStart(10))} sats${usdStr} ${dim(`(${data.count})`)}`);
+  }
+}
+
+/**
+ * Print breakdown by the ?source= link parameter (newsletter, nostr-bio...)
+ */
+export function printBySource(transactions, btcPrice = null) {
+  const bySource = aggregateByPaymentSource(transactions);
+
+  console.log(bold('\nBy Source:'));
+
+  for (const [source, data] of bySource) {
+    const usdVal = satsToUsd(data.sats, btcPrice);
+    const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
+    const label = source.slice(0, 20).padEnd(20);
+    console.log(`  ${source === DIRECT_SOURCE ? dim(label) : label} ${satsColor(formatNumber(data.sats).padStart(10))} sats${usdStr} ${dim(`(${data.count})`)}`);
+  }
+}
+
 /**
  * Print time series data
+ * @param {string} [timeZone] - Time zone the periods are in
+ * @param {Object} [series] - From aggregateSeries: adds rolling and cumulative columns
+ * @param {number|null} [series.rolling] - Window in days
+ * @param {boolean} [series.cumulative] - Whether running totals were built
+ * @param {Object[]} [series.data] - Periods oldest first
  */
-export function printTimeSeries(transactions, period, btcPrice = null) {
-  const byPeriod = aggregateByPeriod(transactions, period);
+export function printTimeSeries(transactions, period, btcPrice = null, timeZone = CONFIG.timeZone, series = null) {
+  const label = [timeZone];
+  if (series?.rolling) label.push(`rolling ${series.rolling} days`);
+  if (series?.cumulative) label.push('cumulative');
+  console.log(bold(`\n${period.charAt(0).toUpperCase() + period.slice(1)} Trend`) + dim(` (${label.join(', ')}):`));
+
+  // Newest first, like the plain trend; empty periods stay in so windows read evenly
+  const rows = series
+    ? [...series.data].reverse().map(point => [point.date, { ...point, count: point.payments }])
+    : aggregateByPeriod(transactions, period, timeZone);
 
-  console.log(bold(`\n${period.charAt(0).toUpperCase() + period.slice(1)} Trend:`));
-  
-  for (const [date, data] of byPeriod) {
+  for (const [date, data] of rows) {
     const usdVal = satsToUsd(data.sats, btcPrice);
     const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
-    console.log(`  ${dim(date)}  ${satsColor(formatNumber(data.sats).padStart(10))} sats${usdStr} ${dim(`(${data.count})`)}`);
+    let extra = '';
+    if (data.rolling) {
+      extra += `  ${dim(`${series.rolling}d`)} ${satsColor(formatNumber(data.rolling.sats).padStart(10))} sats ${dim(`${formatNumber(data.rolling.perDay)}/day`.padEnd(9))}`;
+    }
+    if (data.cumulative) {
+      extra += `  ${dim('total')} ${satsColor(formatNumber(data.cumulative.sats).padStart(11))} sats ${dim(`(${data.cumulative.payments})`)}`;
+    }
+    const count = `(${data.count})`;
+    console.log(`  ${dim(date)}  ${satsColor(formatNumber(data.sats).padStart(10))} sats${usdStr} ${dim(extra ? count.padEnd(6) : count)}${extra}`);
   }
 }
 
+/**
+ * Print a weekday × hour grid of payment counts
+ * @param {string} [timeZone] - Time zone for weekdays and hours
+ */
+export function printHeatmap(transactions, timeZone = CONFIG.timeZone) {
+  const heatmap = aggregateByWeekdayHour(transactions, timeZone);
+
+  console.log(bold('\nWhen Readers Tip') + dim(` (payments by weekday and hour, ${timeZone}):`));
+  if (!heatmap.peak) {
+    console.log(dim('  No payments'));
+    return;
+  }
+
+  // Two columns per hour, labelled every three hours
+  const shades = ['░', '▒', '▓', '█'];
+  const max = heatmap.peak.count;
+  let header = '';
+  for (let hour = 0; hour < 24; hour += 3) header += String(hour).padEnd(6);
+  console.log(dim(`       ${header.trimEnd()}`));
+
+  heatmap.weekdays.forEach((label, day) => {
+    const cells = heatmap.count[day].map((value) => {
+      if (value === 0) return dim('· ');
+      const shade = shades[Math.ceil((value / max) * shades.length) - 1];
+      return satsColor(shade.repeat(2));
+    });
+    const total = heatmap.count[day].reduce((sum, value) => sum + value, 0);
+    console.log(`  ${label}  ${cells.join('')} ${dim(String(total).padStart(5))}`);
+  });
+
+  const { peak } = heatmap;
+  console.log(dim(`  ░ ▒ ▓ █ = up to 25/50/75/100% of the busiest hour (${formatNumber(max)} payments)`));
+  console.log(`  Busiest: ${peak.weekday} ${String(peak.hour).padStart(2, '0')}:00 ${dim(`(${formatNumber(peak.count)} payments, ${formatNumber(peak.sats)} sats)`)}`);
+}
+
 /**
  * Print period comparison
+ * @param {string} [timeZone] - Time zone the periods are in
  */
-export function printComparison(transactions, period, btcPrice = null) {
-  const byPeriod = aggregateByPeriod(transactions, period);
+export function printComparison(transactions, period, btcPrice = null, timeZone = CONFIG.timeZone) {
+  const byPeriod = aggregateByPeriod(transactions, period, timeZone);
   const periods = [...byPeriod.entries()];
 
   if (periods.length < 2) {
@@ -112,3 +273,158 @@ export function printComparison(transactions, period, btcPrice = null) {
     console.log(`  USD:      ${yellow('$' + currentUsd.toFixed(2).padStart(9))} vs ${dim('$' + previousUsd.toFixed(2).padStart(9))}`);
   }
 }
+
+/**
+ * Print run-rates and projected totals for the current periods
+ * @param {Object} projection - From projectPaymentTotals
+ */
+export function printProjection(projection) {
+  const basis = projection.trailing
+    ? `${projection.trailing.days}-day average ${formatNumber(Math.round(projection.trailing.perDay))} sats/day`
+    : 'not enough history for an average';
+  console.log(bold('\nProjection') + dim(` (as of ${projection.asOf}, ${basis}):`));
+  console.log(dim(`  ${'Period'.padEnd(8)} ${'So far'.padStart(10)} ${'Run-rate'.padStart(10)} ${'Projected'.padStart(10)}  ${'Range'.padEnd(23)} Last year`));
+
+  const sats = (value) => formatNumber(value).padStart(10);
+  for (const p of projection.periods) {
+    const runRate = `${formatNumber(p.runRate)}/d`.padStart(10);
+    const lastYear = p.lastYear ? `${formatNumber(p.lastYear.total)} (${p.lastYear.key})` : dim('-');
+    if (p.projected === null) {
+      console.log(`  ${p.key.padEnd(8)} ${satsColor(sats(p.actual))} ${runRate} ${dim('-'.padStart(10))}  ${dim('-'.padEnd(23))} ${lastYear}`);
+      continue;
+    }
+    const range = `${formatNumber(p.low)} – ${formatNumber(p.high)}`.padEnd(23);
+    console.log(`  ${p.key.padEnd(8)} ${satsColor(sats(p.actual))} ${runRate} ${satsColor(sats(p.projected))}  ${dim(range)} ${lastYear}`);
+  }
+  console.log(dim('  Projected: mean of the trailing average and last year\'s rest of the period; range ~90%'));
+}
+
+/**
+ * Print tip-size statistics and a histogram around the preset amounts
+ * @param {number[]} [presets] - Payment page's preset amounts in sats
+ */
+export function printDistribution(transactions, btcPrice = null, presets = CONFIG.tipPresets) {
+  const distribution = buildTipDistribution(transactions, presets);
+
+  console.log(bold('\nTip Sizes:'));
+  if (distribution.count === 0) {
+    console.log(dim('  No payments'));
+    return;
+  }
+
+  const sats = (value) => satsColor(formatNumber(Math.round(value)));
+  const usdVal = satsToUsd(distribution.median, btcPrice);
+  const usdStr = usdVal ? yellow(` (~$${usdVal.toFixed(2)})`) : '';
+  console.log(`  Median: ${sats(distribution.median)} sats${usdStr}  ${dim('Mean:')} ${sats(distribution.mean)}`);
+  console.log(`  ${dim('p25')} ${sats(distribution.p25)}  ${dim('p75')} ${sats(distribution.p75)}  ${dim('p90')} ${sats(distribution.p90)}  ${dim('Min')} ${sats(distribution.min)}  ${dim('Max')} ${sats(distribution.max)}`);
+
+  const width = 30;
+  const largest = Math.max(...distribution.histogram.map(bucket => bucket.count));
+  console.log('');
+  for (const bucket of distribution.histogram) {
+    const bar = '█'.repeat(Math.round((bucket.count / largest) * width));
+    const label = bucket.label.padEnd(14);
+    const share = `${(bucket.share * 100).toFixed(0)}%`.padStart(4);
+    console.log(`  ${bucket.preset ? label : dim(label)} ${satsColor(bar.padEnd(width))} ${String(bucket.count).padStart(5)} ${dim(share)}`);
+  }
+  console.log(dim('  Dimmed rows are custom amounts between the presets'));
+}
+
+/**
+ * Print each essay's earnings after publishing
+ * @param {Object} [options]
+ * @param {Object} [options.titles] - Essay titles by slug
+ * @param {Object} [options.published] - ISO publish dates by slug
+ * @param {number|null} [options.top] - Limit to the top N essays
+ */
+export function printLifecycle(transactions, { titles = {}, published = {}, top = null } = {}) {
+  const lifecycle = buildLifecycle(transactions, published);
+  const entries = top ? lifecycle.slice(0, top) : lifecycle;
+
+  console.log(bold('\nEssay Lifecycle') + dim(' (sats after publishing):'));
+  if (entries.length === 0) {
+    console.log(dim('  No essays'));
+    return;
+  }
+
+  const cell = (value) => (value === null ? dim('-'.padStart(8)) : satsColor(formatNumber(value).padStart(8)));
+  console.log(dim(`  ${'Essay'.padEnd(32)} ${'Published'.padEnd(10)} ${'24h'.padStart(8)} ${'7d'.padStart(8)} ${'30d'.padStart(8)} ${'Tail'.padStart(8)}  Last tip`));
+
+  for (const e of entries) {
+    const name = String(titles[e.slug] || e.slug).slice(0, 32).padEnd(32);
+    const date = e.published ? new Date(e.published * 1000).toISOString().split('T')[0] : '-';
+    const lastTip = e.daysSinceLastTip === null ? dim('never') : `${e.daysSinceLastTip}d ago`;
+    console.log(`  ${name} ${dim(date.padEnd(10))} ${cell(e.first24h)} ${cell(e.first7d)} ${cell(e.first30d)} ${cell(e.longTail)}  ${lastTip}`);
+  }
+
+  if (top && lifecycle.length > top) {
+    console.log(dim(`  ... and ${lifecycle.length - top} more`));
+  }
+  if (entries.some(e => e.published === null)) {
+    console.log(dim('  - no publish date in the RSS feed'));
+  }
+}
+
+/**
+ * Print the supporter report
+ * @param {Object} report - From buildSupporterReport
+ * @param {Object} [options]
+ * @param {number|null} [options.top] - Limit the supporter list
+ * @param {string} [options.period] - Period the report was built with
+ */
+export function printSupporters(report, { top = null, period = 'monthly' } = {}) {
+  const identifiedSats = report.supporters.reduce((sum, s) => sum + s.sats, 0);
+  const identifiedPayments = report.supporters.reduce((sum, s) => sum + s.payments, 0);
+
+  console.log(bold('\nSupporters'));
+  console.log(dim('═'.repeat(40)));
+  console.log(`Identified: ${formatNumber(report.identified)} supporters ${dim(`(${formatNumber(report.repeat)} repeat)`)}  ${satsColor(formatNumber(identifiedSats))} sats ${dim(`(${formatNumber(identifiedPayments)} payments)`)}`);
+  console.log(`Anonymous:  ${satsColor(formatNumber(report.anonymous.sats))} sats ${dim(`(${formatNumber(report.anonymous.payments)} payments)`)}`);
+
+  if (report.supporters.length > 0) {
+    const entries = top ? report.supporters.slice(0, top) : report.supporters;
+    const date = (timestamp) => new Date(timestamp * 1000).toISOString().split('T')[0];
+
+    console.log(bold('\nTop Supporters') + dim(' (lifetime):'));
+    for (const s of entries) {
+      const name = String(s.name).slice(0, 28).padEnd(28);
+      console.log(`  ${name} ${satsColor(formatNumber(s.sats).padStart(10))} sats ${dim(`(${s.payments})`.padEnd(6))} ${dim(`${date(s.first)} → ${date(s.last)}`)} ${dim(s.source)}`);
+    }
+    if (top && report.supporters.length > top) {
+      console.log(dim(`  ... and ${report.supporters.length - top} more`));
+    }
+  }
+
+  if (report.byPeriod.length > 0) {
+    console.log(bold(`\nNew vs Returning`) + dim(` (${period}):`));
+    for (const p of report.byPeriod) {
+      console.log(`  ${dim(p.period.padEnd(10))} ${green(`${p.new} new`.padStart(8))}  ${cyan(`${p.returning} returning`.padStart(13))}  ${dim(`${p.anonymous} anonymous`)}`);
+    }
+  }
+}
+
+/**
+ * Print one live payment line (used by `v4v watch`)
+ * @param {Object} tx - Raw transaction
+ * @param {Object} options
+ * @param {Object} [options.titles] - Essay titles by slug
+ * @param {boolean} [options.showWallet] - Include the wallet name
+ * @param {boolean} [options.showSite] - Include the site
+ */
+export function printPayment(tx, { titles = {}, showWallet = false, showSite = false } = {}) {
+  const timestamp = tx.settled_at || tx.created_at;
+  const time = new Date((timestamp || Date.now() / 1000) * 1000).toLocaleTimeString();
+  const sats = Math.floor(tx.amount / MILLISATS_PER_SAT);
+  const description = paymentDescription(tx);
+  const slug = parseEssaySlug(description);
+  const name = slug ? (titles[slug] || slug) : dim(FOOTER_SLUG);
+
+  const extras = [
+    paymentChannel(tx) === 'zap' && 'zap',
+    showSite && matchSite(description),
+    showWallet && tx.wallet,
+  ].filter(Boolean);
+  const extrasStr = extras.length > 0 ? dim(` [${extras.join(', ')}]`) : '';
+
+  console.log(`${dim(time)}  ${green('+')}${satsColor(formatNumber(sats).padStart(9))} sats  ${name}${extrasStr}`);
+}
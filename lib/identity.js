@@ -0,0 +1,114 @@
+/**
+ * Payer Identity
+ * Find out who sent a payment from whatever the wallet recorded
+ *
+ * In order of preference:
+ *   nostr  - pubkey of a NIP-57 zap request (kind 9734), from the
+ *            transaction metadata or the invoice description
+ *   lud18  - LUD-18 payerdata: pubkey, lightning address, email or name
+ *   note   - a lightning address or npub in the payer note or LUD-12
+ *            comment; free-text sign-offs are ignored, since closings like
+ *            "- thanks!" would merge unrelated readers
+ *
+ * Keys are prefixed with their source so the same string from two sources
+ * can't merge two people. Payments without any of these are anonymous.
+ */
+
+const HEX_PUBKEY = /^[0-9a-f]{64}$/i;
+const ADDRESS = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const NPUB = /\bnpub1[02-9ac-hj-np-z]{58}\b/;
+
+/**
+ * Parse a JSON object that may already be parsed
+ * @param {Object|string|undefined} value
+ * @returns {Object|null}
+ */
+function asObject(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string' || !value.trim().startsWith('{')) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Shorten a hex pubkey for display
+ * @param {string} pubkey
+ * @returns {string}
+ */
+function shortKey(pubkey) {
+  return `${pubkey.slice(0, 8)}…${pubkey.slice(-4)}`;
+}
+
+/**
+ * Get the zap request of a payment, if it was a zap
+ * @param {Object} tx - Transaction
+ * @returns {Object|null} Zap request event
+ */
+export function zapRequest(tx) {
+  const fromMetadata = asObject(tx.metadata?.nostr);
+  if (fromMetadata?.pubkey) return fromMetadata;
+
+  // NIP-57 puts the zap request in the invoice description
+  const fromDescription = asObject(tx.description);
+  return fromDescription?.kind === 9734 ? fromDescription : null;
+}
+
+/**
+ * Get a payment's LUD-18 payerdata
+ * @param {Object} tx - Transaction
+ * @returns {Object|null}
+ */
+function payerData(tx) {
+  return asObject(tx.metadata?.payer_data) || asObject(tx.metadata?.payerdata);
+}
+
+/**
+ * Get the free-text note the payer left
+ * @param {Object} tx - Transaction
+ * @returns {string|null}
+ */
+export function payerNote(tx) {
+  const note = tx.metadata?.payer_note ?? tx.metadata?.comment;
+  return typeof note === 'string' && note.trim() ? note.trim() : null;
+}
+
+/**
+ * Identify the payer of a transaction
+ * @param {Object} tx - Transaction
+ * @returns {{key: string, name: string, source: string}|null} null if anonymous
+ */
+export function payerIdentity(tx) {
+  const payer = payerData(tx);
+  const payerName = typeof payer?.name === 'string' && payer.name.trim() ? payer.name.trim() : null;
+
+  const zap = zapRequest(tx);
+  if (typeof zap?.pubkey === 'string' && HEX_PUBKEY.test(zap.pubkey)) {
+    const pubkey = zap.pubkey.toLowerCase();
+    return { key: `nostr:${pubkey}`, name: payerName || shortKey(pubkey), source: 'nostr' };
+  }
+
+  if (payer) {
+    const identifier = [payer.pubkey, payer.identifier, payer.email]
+      .find(value => typeof value === 'string' && value.trim());
+    if (identifier) {
+      const value = identifier.trim();
+      const name = payerName || (HEX_PUBKEY.test(value) ? shortKey(value) : value);
+      return { key: `lud18:${value.toLowerCase()}`, name, source: 'lud18' };
+    }
+    if (payerName) {
+      return { key: `lud18:${payerName.toLowerCase()}`, name: payerName, source: 'lud18' };
+    }
+  }
+
+  const note = payerNote(tx);
+  const signed = note && (note.match(ADDRESS) || note.match(NPUB));
+  if (signed) {
+    const [name] = signed;
+    return { key: `note:${name.toLowerCase()}`, name, source: 'note' };
+  }
+
+  return null;
+}
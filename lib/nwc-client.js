@@ -11,19 +11,22 @@ import { logger } from './logger.js';
  * Create NWC client
  * @param {Object} options
  * @param {number} options.timeout - Request timeout in ms
- * @throws {Error} if NWC_CONNECTION_STRING is not configured
+ * @param {Object} [options.wallet] - Wallet to connect to (default: NWC_CONNECTION_STRING)
+ * @throws {Error} if no connection string is configured
  */
 export function createClient(options = {}) {
-  if (!CONFIG.nwcConnectionString) {
+  const connectionString = options.wallet?.connectionString || CONFIG.nwcConnectionString;
+  if (!connectionString) {
     throw new Error('NWC_CONNECTION_STRING not found. Set it in your environment or .env file.');
   }
 
   logger.debug('Creating NWC client', {
+    wallet: options.wallet?.name,
     timeout: options.timeout || CONFIG.nwcTimeout,
   });
 
   return new NWCClient({
-    nostrWalletConnectUrl: CONFIG.nwcConnectionString,
+    nostrWalletConnectUrl: connectionString,
     timeout: options.timeout || CONFIG.nwcTimeout,
   });
 }
@@ -1,12 +1,15 @@
 /**
  * RSS Title Fetcher
- * Fetch essay titles from site's RSS feed for friendly display names
+ * Fetch essay titles from site's RSS feed for friendly display names, and
+ * their publish dates for lifecycle analytics
  */
 
 import https from 'https';
 import { CONFIG, getRssUrl } from './config.js';
-import { loadTitlesCache, saveTitlesCache, getTitlesCacheFile } from './cache.js';
+import { loadTitlesCache, loadPublishedCache, saveTitlesCache, getTitlesCacheFile } from './cache.js';
 import { DEFAULT_HTTP_TIMEOUT } from './constants.js';
+import { getSiteTitlesCachePath } from './sites.js';
+import { attributeTitles } from './attribution.js';
 import { logger } from './logger.js';
 import { ParseError } from './errors.js';
 
@@ -39,23 +42,25 @@ function fetchRss(url) {
 }
 
 /**
- * Parse RSS XML to extract title/link pairs
+ * Parse RSS XML to extract titles and publish dates by link
  * Simple regex-based parser (avoids XML dependency)
  * @param {string} xml - RSS XML content
- * @returns {Object} Title mappings by slug
+ * @returns {{titles: Object, published: Object}} Titles and ISO publish dates by slug
  * @throws {ParseError}
  */
-function parseRss(xml) {
+export function parseRss(xml) {
   if (!xml || typeof xml !== 'string') {
     throw new ParseError('Invalid RSS XML content', xml);
   }
 
   const titles = {};
+  const published = {};
 
   // Match <item>...</item> blocks
   const itemRegex = /<item>([\s\S]*?)<\/item>/g;
   const titleRegex = /<title><!\[CDATA\[(.*?)\]\]><\/title>|<title>(.*?)<\/title>/;
   const linkRegex = /<link>(.*?)<\/link>/;
+  const pubDateRegex = /<pubDate>(.*?)<\/pubDate>/;
 
   let match;
   let itemCount = 0;
@@ -76,6 +81,11 @@ function parseRss(xml) {
         if (slug && title) {
           titles[slug] = title;
           itemCount++;
+
+          const date = new Date(item.match(pubDateRegex)?.[1]?.trim());
+          if (!Number.isNaN(date.getTime())) {
+            published[slug] = date.toISOString();
+          }
         }
       } catch (error) {
         logger.debug('Failed to parse link', { link, error: error.message });
@@ -89,45 +99,100 @@ function parseRss(xml) {
     logger.debug('Parsed RSS feed', { itemCount });
   }
 
-  return titles;
+  return { titles, published };
 }
 
 /**
- * Fetch essay titles from RSS feed
- * @param {string} siteUrl - Site URL (default: from V4V_SITE_URL env)
+ * Fetch a site's feed, or read it from the titles cache
+ * @param {string} site - Site URL
  * @param {boolean} forceRefresh - Skip cache and fetch fresh
- * @returns {Promise<Object>} Title mappings by slug
+ * @returns {Promise<{titles: Object, published: Object}>} By slug
  */
-export async function fetchEssayTitles(siteUrl = null, forceRefresh = false) {
-  const site = siteUrl || CONFIG.siteUrl;
-  if (!site) {
-    logger.warn('V4V_SITE_URL not set, skipping RSS title fetch');
-    return {};
-  }
+async function fetchFeed(site, forceRefresh) {
+  const cachePath = getSiteTitlesCachePath(site);
 
-  // Check cache first
+  // Check cache first (caches from before publish dates were kept are refetched)
   if (!forceRefresh) {
-    const cached = loadTitlesCache();
-    if (cached) {
-      return cached;
+    const titles = loadTitlesCache(cachePath);
+    const published = loadPublishedCache(cachePath);
+    if (titles && published) {
+      return { titles, published };
     }
   }
 
   // Fetch RSS feed
-  const feedUrl = getRssUrl();
+  const feedUrl = getRssUrl(site);
   logger.debug('Fetching RSS feed', { url: feedUrl });
 
   try {
     const xml = await fetchRss(feedUrl);
-    const titles = parseRss(xml);
-    saveTitlesCache(titles);
-    return titles;
+    const feed = parseRss(xml);
+    saveTitlesCache(feed.titles, cachePath, feed.published);
+    return feed;
   } catch (error) {
     logger.warn(`Could not fetch RSS feed from ${feedUrl}`, { error: error.message });
     // Return cached titles even if expired, or empty object
-    const cached = loadTitlesCache();
-    return cached || {};
+    return {
+      titles: loadTitlesCache(cachePath) || {},
+      published: loadPublishedCache(cachePath) || {},
+    };
+  }
+}
+
+/**
+ * Fetch essay titles from RSS feed
+ * @param {string} siteUrl - Site URL (default: primary site from V4V_SITE_URL)
+ * @param {boolean} forceRefresh - Skip cache and fetch fresh
+ * @returns {Promise<Object>} Title mappings by slug
+ */
+export async function fetchEssayTitles(siteUrl = null, forceRefresh = false) {
+  const site = siteUrl || CONFIG.siteUrl;
+  if (!site) {
+    logger.warn('V4V_SITE_URL not set, skipping RSS title fetch');
+    return {};
+  }
+  return (await fetchFeed(site, forceRefresh)).titles;
+}
+
+/**
+ * Fetch essay publish dates from RSS feed
+ * @param {string} siteUrl - Site URL (default: primary site from V4V_SITE_URL)
+ * @param {boolean} forceRefresh - Skip cache and fetch fresh
+ * @returns {Promise<Object>} ISO publish dates by slug
+ */
+export async function fetchEssayPublished(siteUrl = null, forceRefresh = false) {
+  const site = siteUrl || CONFIG.siteUrl;
+  if (!site) return {};
+  return (await fetchFeed(site, forceRefresh)).published;
+}
+
+/**
+ * Fetch essay titles for several sites and merge them
+ * Titles are keyed by source key (see attribution.js), so they line up with
+ * parseEssaySlug. Earlier sites win when two sites share a key
+ * @param {string[]} siteUrls - Site URLs (default: all configured sites)
+ * @returns {Promise<Object>} Title mappings by source key
+ */
+export async function fetchSiteTitles(siteUrls = CONFIG.sites.map(site => site.url)) {
+  const merged = {};
+  for (const siteUrl of [...siteUrls].reverse()) {
+    Object.assign(merged, attributeTitles(await fetchEssayTitles(siteUrl), { site: siteUrl }));
+  }
+  return merged;
+}
+
+/**
+ * Fetch essay publish dates for several sites and merge them
+ * Keyed by source key like fetchSiteTitles
+ * @param {string[]} siteUrls - Site URLs (default: all configured sites)
+ * @returns {Promise<Object>} ISO publish dates by source key
+ */
+export async function fetchSitePublished(siteUrls = CONFIG.sites.map(site => site.url)) {
+  const merged = {};
+  for (const siteUrl of [...siteUrls].reverse()) {
+    Object.assign(merged, attributeTitles(await fetchEssayPublished(siteUrl), { site: siteUrl }));
   }
+  return merged;
 }
 
 // Re-export for backwards compatibility
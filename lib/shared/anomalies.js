@@ -0,0 +1,213 @@
+/**
+ * Anomaly Detection
+ * Flag days whose payments fall far outside a rolling baseline, so a broken
+ * payment page shows up in the data instead of weeks later
+ *
+ * Tips are rare and bursty, so counts are treated as Poisson arrivals at the
+ * baseline rate (the mean of the previous BASELINE_DAYS days):
+ *   zero-streak - consecutive days without payments that are unlikely at that
+ *                 rate, e.g. 5 quiet days when 2 tips a day is normal
+ *   drop        - a 7-day window with far fewer payments than expected
+ *   spike       - a day with far more payments than expected, or sats
+ *                 SATS_SPIKE_FACTOR times the daily average
+ * Nothing is flagged until the baseline has MIN_BASELINE_DAYS days and
+ * MIN_BASELINE_PAYMENTS payments since the first payment.
+ */
+
+import { periodKey, recentPeriodKeys } from './periods.js';
+
+export const BASELINE_DAYS = 28;
+export const MIN_BASELINE_DAYS = 14;
+export const MIN_BASELINE_PAYMENTS = 5;
+export const DROP_WINDOW_DAYS = 7;
+export const SATS_SPIKE_FACTOR = 5;
+
+// Probability below which an outcome counts as anomalous
+const DROP_P = 0.01;
+const SPIKE_P = 0.001;
+const MIN_SPIKE_COUNT = 3;
+
+/**
+ * Poisson cumulative probability P(X <= k)
+ * @param {number} k - Count
+ * @param {number} mean - Expected count
+ * @returns {number}
+ */
+export function poissonCdf(k, mean) {
+  if (k < 0) return 0;
+  let term = Math.exp(-mean);
+  let sum = term;
+  for (let i = 1; i <= k; i++) {
+    term *= mean / i;
+    sum += term;
+  }
+  return Math.min(1, sum);
+}
+
+/**
+ * Get the baseline before a day
+ * @param {Object[]} series - Daily { count, sats }
+ * @param {number} index - Day to get the baseline for
+ * @param {number} firstIndex - Index of the first day with a payment
+ * @returns {{countPerDay: number, satsPerDay: number}|null} null if too little history
+ */
+function baselineAt(series, index, firstIndex) {
+  const start = Math.max(firstIndex, index - BASELINE_DAYS);
+  const days = series.slice(start, index);
+  const payments = days.reduce((sum, d) => sum + d.count, 0);
+  if (days.length < MIN_BASELINE_DAYS || payments < MIN_BASELINE_PAYMENTS) return null;
+  return {
+    countPerDay: payments / days.length,
+    satsPerDay: days.reduce((sum, d) => sum + d.sats, 0) / days.length,
+  };
+}
+
+/**
+ * Detect anomalies in daily payment counts and sats
+ * @param {Array<{sats: number, timestamp: number}>} payments - Settled payments (all of history)
+ * @param {Object} options
+ * @param {string} options.timeZone - IANA time zone for days
+ * @param {number} [options.days] - How many recent days to check
+ * @param {number} [options.now] - Current time (Unix seconds)
+ * @returns {Object} { from, to, baseline, flags } with flags oldest first;
+ *   baseline is the rate before the last day checked (null if too little history)
+ */
+export function detectAnomalies(payments, { timeZone, days = 30, now = Math.floor(Date.now() / 1000) }) {
+  const keys = recentPeriodKeys(days + BASELINE_DAYS, 'daily', timeZone, now);
+  const index = new Map(keys.map((key, i) => [key, i]));
+  const series = keys.map(date => ({ date, count: 0, sats: 0 }));
+
+  let first = null;
+  for (const payment of payments) {
+    if (!payment.timestamp || payment.timestamp > now) continue;
+    if (first === null || payment.timestamp < first) first = payment.timestamp;
+    const day = series[index.get(periodKey(payment.timestamp, 'daily', timeZone))];
+    if (day) {
+      day.count += 1;
+      day.sats += payment.sats;
+    }
+  }
+
+  const checkFrom = keys.length - days;
+  const result = { from: keys[checkFrom], to: keys[keys.length - 1], baseline: null, flags: [] };
+  if (first === null) return result;
+
+  // Days before the first payment ever aren't a quiet baseline
+  const firstKey = periodKey(first, 'daily', timeZone);
+  const firstIndex = index.has(firstKey) ? index.get(firstKey) : 0;
+  result.baseline = baselineAt(series, keys.length - 1, firstIndex);
+
+  // Zero-payment streaks, judged at the rate before the streak started
+  const inStreak = new Set();
+  let streakStart = null;
+  for (let i = firstIndex; i <= keys.length; i++) {
+    const quiet = i < keys.length && series[i].count === 0;
+    if (quiet) {
+      if (streakStart === null) streakStart = i;
+      continue;
+    }
+    if (streakStart !== null && i > checkFrom) {
+      const length = i - streakStart;
+      const baseline = baselineAt(series, streakStart, firstIndex);
+      const expected = baseline ? baseline.countPerDay * length : 0;
+      if (baseline && poissonCdf(0, expected) < DROP_P) {
+        result.flags.push({
+          type: 'zero-streak',
+          metric: 'count',
+          from: keys[streakStart],
+          to: keys[i - 1],
+          days: length,
+          actual: 0,
+          expected,
+          ongoing: i === keys.length,
+        });
+        for (let j = streakStart; j < i; j++) inStreak.add(j);
+      }
+    }
+    streakStart = null;
+  }
+
+  let drop = null;
+  for (let i = Math.max(checkFrom, firstIndex); i < keys.length; i++) {
+    const day = series[i];
+
+    // Drops: 7-day windows well below the rate before them (windows ending in a
+    // flagged streak are already reported by it)
+    const windowStart = i - DROP_WINDOW_DAYS + 1;
+    const windowBaseline = windowStart >= firstIndex && !inStreak.has(i)
+      ? baselineAt(series, windowStart, firstIndex)
+      : null;
+    const windowCount = series.slice(windowStart, i + 1).reduce((sum, d) => sum + d.count, 0);
+    const expectedWindow = windowBaseline ? windowBaseline.countPerDay * DROP_WINDOW_DAYS : 0;
+    if (windowBaseline && windowCount > 0 && poissonCdf(windowCount, expectedWindow) < DROP_P) {
+      if (drop && drop.to === keys[i - 1]) {
+        drop.to = day.date;
+        drop.days += 1;
+        drop.actual = Math.min(drop.actual, windowCount);
+      } else {
+        drop = {
+          type: 'drop',
+          metric: 'count',
+          from: keys[windowStart],
+          to: day.date,
+          days: DROP_WINDOW_DAYS,
+          actual: windowCount,
+          expected: expectedWindow,
+        };
+        result.flags.push(drop);
+      }
+    }
+
+    // Spikes: one day far above the rate before it
+    const baseline = baselineAt(series, i, firstIndex);
+    if (!baseline) continue;
+    if (day.count >= MIN_SPIKE_COUNT && 1 - poissonCdf(day.count - 1, baseline.countPerDay) < SPIKE_P) {
+      result.flags.push({
+        type: 'spike',
+        metric: 'count',
+        from: day.date,
+        to: day.date,
+        days: 1,
+        actual: day.count,
+        expected: baseline.countPerDay,
+      });
+    }
+    if (baseline.satsPerDay > 0 && day.sats >= SATS_SPIKE_FACTOR * baseline.satsPerDay) {
+      result.flags.push({
+        type: 'spike',
+        metric: 'sats',
+        from: day.date,
+        to: day.date,
+        days: 1,
+        actual: day.sats,
+        expected: baseline.satsPerDay,
+      });
+    }
+  }
+
+  result.flags.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  return result;
+}
+
+/**
+ * Describe a flag in one line
+ * @param {Object} flag - From detectAnomalies
+ * @returns {string}
+ */
+export function describeAnomaly(flag) {
+  const round = (value) => Math.round(value).toLocaleString('en-US');
+  const expected = flag.expected < 10 ? flag.expected.toFixed(1) : round(flag.expected);
+
+  if (flag.type === 'zero-streak') {
+    const until = flag.ongoing ? 'today' : flag.to;
+    return `No payments for ${flag.days} days (${flag.from} to ${until}), ~${expected} expected`
+      + (flag.ongoing ? ' - is the payment page working?' : '');
+  }
+  if (flag.type === 'drop') {
+    return `Payments fell to ${flag.actual} per ${DROP_WINDOW_DAYS} days (${flag.from} to ${flag.to}), ~${expected} expected`;
+  }
+  if (flag.metric === 'sats') {
+    return `${round(flag.actual)} sats on ${flag.from}, ~${expected} on a usual day`;
+  }
+  return `${flag.actual} payments on ${flag.from}, ~${expected} on a usual day`;
+}
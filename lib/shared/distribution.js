@@ -0,0 +1,95 @@
+/**
+ * Tip-Size Distribution
+ * Percentiles and a histogram of payment amounts (in sats)
+ *
+ * The histogram is bucketed around the payment page's preset amounts: one
+ * bucket per preset for payments of exactly that amount, and one "custom"
+ * bucket for each range between them, e.g. with presets 500 and 1000:
+ *   < 500 | 500 | 501–999 | 1,000 | > 1,000
+ */
+
+// Amount buttons on hugo/layouts/v4v/single.html
+export const DEFAULT_TIP_PRESETS = [500, 1000, 5000, 10000];
+
+function formatSats(value) {
+  return value.toLocaleString('en-US');
+}
+
+/**
+ * Get a percentile of sorted values (linear interpolation between ranks)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} null without values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Build histogram buckets around the preset amounts
+ * @param {number[]} presets - Preset amounts in sats
+ * @returns {Array<{label: string, min: number, max: number|null, preset: boolean}>}
+ *   Empty buckets, smallest first; max is null for the open-ended last bucket
+ */
+export function presetBuckets(presets) {
+  const sorted = [...new Set(presets.filter(amount => Number.isInteger(amount) && amount > 0))]
+    .sort((a, b) => a - b);
+  const buckets = [];
+
+  let next = 1;
+  for (const amount of sorted) {
+    if (amount > next) {
+      const label = next === 1 ? `< ${formatSats(amount)}` : `${formatSats(next)}–${formatSats(amount - 1)}`;
+      buckets.push({ label, min: next, max: amount - 1, preset: false });
+    }
+    buckets.push({ label: formatSats(amount), min: amount, max: amount, preset: true });
+    next = amount + 1;
+  }
+  buckets.push({
+    label: sorted.length > 0 ? `> ${formatSats(next - 1)}` : 'All',
+    min: next,
+    max: null,
+    preset: false,
+  });
+
+  return buckets;
+}
+
+/**
+ * Summarize the distribution of payment amounts
+ * @param {number[]} amounts - Payment amounts in sats
+ * @param {number[]} [presets] - Preset amounts in sats
+ * @returns {Object} { count, min, max, mean, median, p25, p75, p90, histogram }
+ *   Statistics are null without payments; each histogram bucket also has
+ *   count, sats and share (fraction of payments)
+ */
+export function buildDistribution(amounts, presets = DEFAULT_TIP_PRESETS) {
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, amount) => sum + amount, 0);
+
+  const histogram = presetBuckets(presets).map(bucket => ({ ...bucket, count: 0, sats: 0, share: 0 }));
+  for (const amount of sorted) {
+    const bucket = histogram.find(b => amount <= (b.max ?? Infinity)) || histogram[0];
+    bucket.count += 1;
+    bucket.sats += amount;
+  }
+  for (const bucket of histogram) {
+    bucket.share = sorted.length > 0 ? bucket.count / sorted.length : 0;
+  }
+
+  return {
+    count: sorted.length,
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    mean: sorted.length > 0 ? total / sorted.length : null,
+    median: percentile(sorted, 50),
+    p25: percentile(sorted, 25),
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90),
+    histogram,
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Weekday × Hour Heatmap
+ * When readers tip: payments bucketed by local weekday and hour of day
+ *
+ * Rows are ISO weekdays (Monday first), columns hours 0-23 in the chosen time
+ * zone, so a tip at 23:30 UTC lands on the next day in Berlin.
+ */
+
+import { zonedParts } from './periods.js';
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Bucket payments by weekday and hour
+ * @param {Array<{sats: number, timestamp: number}>} payments - Settled payments
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { weekdays, count, sats, total, peak } where count and sats
+ *   are 7×24 matrices (count[0][9] = Mondays 09:00-09:59), total is
+ *   { count, sats } and peak the busiest { weekday, hour, count, sats } (null
+ *   without payments)
+ */
+export function buildHeatmap(payments, timeZone) {
+  const matrix = () => WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  const count = matrix();
+  const sats = matrix();
+  const total = { count: 0, sats: 0 };
+
+  for (const payment of payments) {
+    if (!payment.timestamp) continue;
+    const { weekday, hour } = zonedParts(payment.timestamp, timeZone);
+    count[weekday - 1][hour] += 1;
+    sats[weekday - 1][hour] += payment.sats;
+    total.count += 1;
+    total.sats += payment.sats;
+  }
+
+  // Most payments wins; sats break ties
+  let peak = null;
+  count.forEach((row, day) => row.forEach((value, hour) => {
+    if (value === 0) return;
+    if (!peak || value > peak.count || (value === peak.count && sats[day][hour] > peak.sats)) {
+      peak = { weekday: WEEKDAY_LABELS[day], hour, count: value, sats: sats[day][hour] };
+    }
+  }));
+
+  return { weekdays: WEEKDAY_LABELS, count, sats, total, peak };
+}
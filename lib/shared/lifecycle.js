@@ -0,0 +1,57 @@
+/**
+ * Essay Lifecycle
+ * How an essay's earnings spread out after it was published
+ *
+ * Windows are cumulative from the publish date: first7d includes first24h,
+ * and longTail is everything after the first 30 days. Tips that arrive before
+ * the feed's publish date (scheduled posts, edited dates) count as launch tips.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export const LIFECYCLE_WINDOWS = [
+  { key: 'first24h', label: '24h', seconds: DAY_SECONDS },
+  { key: 'first7d', label: '7d', seconds: 7 * DAY_SECONDS },
+  { key: 'first30d', label: '30d', seconds: 30 * DAY_SECONDS },
+];
+
+const LONG_TAIL_AFTER = LIFECYCLE_WINDOWS[LIFECYCLE_WINDOWS.length - 1].seconds;
+
+/**
+ * Summarize one essay's lifecycle
+ * @param {Array<{sats: number, timestamp: number}>} payments - The essay's payments
+ * @param {number|null} published - Publish time (Unix seconds), null if unknown
+ * @param {number} [now] - Current time (Unix seconds)
+ * @returns {Object} { published, ageDays, sats, payments, first24h, first7d,
+ *   first30d, longTail, lastPayment, daysSinceLastTip }; the windows and
+ *   ageDays are null without a publish date, daysSinceLastTip without payments
+ */
+export function essayLifecycle(payments, published, now = Math.floor(Date.now() / 1000)) {
+  const windows = Object.fromEntries(LIFECYCLE_WINDOWS.map(w => [w.key, published ? 0 : null]));
+  let longTail = published ? 0 : null;
+  let sats = 0;
+  let lastPayment = null;
+
+  for (const payment of payments) {
+    sats += payment.sats;
+    if (lastPayment === null || payment.timestamp > lastPayment) lastPayment = payment.timestamp;
+    if (!published) continue;
+
+    const age = Math.max(0, payment.timestamp - published);
+    for (const w of LIFECYCLE_WINDOWS) {
+      if (age < w.seconds) windows[w.key] += payment.sats;
+    }
+    if (age >= LONG_TAIL_AFTER) longTail += payment.sats;
+  }
+
+  return {
+    published,
+    ageDays: published ? Math.floor((now - published) / DAY_SECONDS) : null,
+    sats,
+    payments: payments.length,
+    ...windows,
+    longTail,
+    lastPayment,
+    daysSinceLastTip: lastPayment === null ? null : Math.floor((now - lastPayment) / DAY_SECONDS),
+  };
+}
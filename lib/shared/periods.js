@@ -0,0 +1,161 @@
+/**
+ * Period Bucketing
+ * Assign payment timestamps to daily, ISO-weekly and monthly buckets in one
+ * time zone
+ *
+ * Every module in lib/shared runs unchanged in the CLI (wrapped by
+ * transformers.js) and in the dashboard, which loads it from /shared/, so
+ * modules there may only import each other. This one imports nothing.
+ *
+ * Keys sort chronologically as strings:
+ *   daily   2024-03-31
+ *   weekly  2024-W13 (ISO 8601: weeks start on Monday, week 1 holds the
+ *           year's first Thursday, so late-December days can be in week 1)
+ *   monthly 2024-03
+ */
+
+export const PERIODS = ['daily', 'weekly', 'monthly'];
+
+const DAY_SECONDS = 24 * 60 * 60;
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+// Intl formatters are slow to build, so keep one per time zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the system's time zone
+ * @returns {string} IANA time zone name (UTC if unknown)
+ */
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check whether a time zone name is supported
+ * @param {string} timeZone - IANA name like "Europe/Berlin", or "UTC"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date and time of a timestamp in a time zone
+ * @param {number} timestamp - Unix seconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, weekday: number}}
+ *   weekday is 1 (Monday) to 7 (Sunday)
+ */
+export function zonedParts(timestamp, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp * 1000))) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Get the ISO week of a calendar date
+ * @param {number} year - Calendar year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {{year: number, week: number}} ISO week-numbering year and week
+ */
+export function isoWeek(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  // The Thursday of the same week decides which year the week belongs to
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const weekYear = date.getUTCFullYear();
+  const week = Math.ceil(((date - Date.UTC(weekYear, 0, 1)) / (DAY_SECONDS * 1000) + 1) / 7);
+  return { year: weekYear, week };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Get the bucket key for a calendar date
+ * @param {{year: number, month: number, day: number}} date - Calendar date
+ * @param {string} period - daily, weekly or monthly
+ * @returns {string}
+ */
+function dateKey({ year, month, day }, period) {
+  if (period === 'daily') return `${year}-${pad(month)}-${pad(day)}`;
+  if (period === 'weekly') {
+    const iso = isoWeek(year, month, day);
+    return `${iso.year}-W${pad(iso.week)}`;
+  }
+  return `${year}-${pad(month)}`;
+}
+
+/**
+ * Get the bucket key for a timestamp
+ * @param {number} timestamp - Unix seconds
+ * @param {string} period - daily, weekly or monthly (anything else is monthly)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+export function periodKey(timestamp, period, timeZone) {
+  return dateKey(zonedParts(timestamp, timeZone), period);
+}
+
+/**
+ * List the keys of the most recent periods, oldest first
+ * Empty periods are included, so charts keep an even spacing
+ * @param {number} count - Number of periods
+ * @param {string} period - daily, weekly or monthly
+ * @param {string} timeZone - IANA time zone
+ * @param {number} [now] - Current time (Unix seconds)
+ * @returns {string[]}
+ */
+export function recentPeriodKeys(count, period, timeZone, now = Math.floor(Date.now() / 1000)) {
+  const today = zonedParts(now, timeZone);
+  const keys = [];
+
+  // Step through calendar dates in UTC so DST changes can't skip a period
+  for (let i = count - 1; i >= 0; i--) {
+    let date;
+    if (period === 'daily') {
+      date = new Date(Date.UTC(today.year, today.month - 1, today.day - i));
+    } else if (period === 'weekly') {
+      date = new Date(Date.UTC(today.year, today.month - 1, today.day - (today.weekday - 1) - i * 7));
+    } else {
+      date = new Date(Date.UTC(today.year, today.month - 1 - i, 1));
+    }
+    keys.push(dateKey({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+    }, period));
+  }
+  return keys;
+}
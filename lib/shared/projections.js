@@ -0,0 +1,185 @@
+/**
+ * Projections
+ * Run-rate and projected totals for the current week, month, quarter or year
+ *
+ * The rest of a period is projected two ways, and the estimate is their mean:
+ *   trailing - the average sats per day over the last TRAILING_DAYS days
+ *   lastYear - what came in during the rest of the same period last year
+ *              (52 weeks back for a week), if history reaches back that far
+ * The range spans both estimates, widened by CONFIDENCE_Z standard deviations
+ * of the trailing daily sats over the days left, and never drops below what
+ * has already come in.
+ */
+
+import { zonedParts, isoWeek } from './periods.js';
+
+export const PROJECTION_PERIODS = ['month', 'quarter', 'year'];
+export const TRAILING_DAYS = 90;
+export const MIN_TRAILING_DAYS = 14;
+
+// About a 90% range, if daily sats were independent and roughly normal
+const CONFIDENCE_Z = 1.645;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Calendar dates as whole days since the epoch, so periods are easy to step through
+function dayNumber(year, month, day) {
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function calendarDate(number) {
+  const date = new Date(number * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay() || 7,
+  };
+}
+
+function dayKey(number) {
+  const { year, month, day } = calendarDate(number);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Get the bounds of the period containing a date
+ * @param {string} period - week, month, quarter or year
+ * @param {{year: number, month: number, day: number, weekday: number}} today - Calendar date
+ * @returns {{key: string, start: number, end: number, lastYearStart: number, lastYearEnd: number}}
+ *   day numbers, end exclusive
+ */
+function periodBounds(period, { year, month, day, weekday }) {
+  if (period === 'week') {
+    const start = dayNumber(year, month, day) - (weekday - 1);
+    const iso = isoWeek(year, month, day);
+    return {
+      key: `${iso.year}-W${pad(iso.week)}`,
+      start,
+      end: start + 7,
+      lastYearStart: start - 364,
+      lastYearEnd: start - 357,
+    };
+  }
+
+  let first = 1;
+  let months = 12;
+  let key = String(year);
+  if (period === 'month') {
+    first = month;
+    months = 1;
+    key = `${year}-${pad(month)}`;
+  } else if (period === 'quarter') {
+    first = month - ((month - 1) % 3);
+    months = 3;
+    key = `${year}-Q${(first + 2) / 3}`;
+  }
+  return {
+    key,
+    start: dayNumber(year, first, 1),
+    end: dayNumber(year, first + months, 1),
+    lastYearStart: dayNumber(year - 1, first, 1),
+    lastYearEnd: dayNumber(year - 1, first + months, 1),
+  };
+}
+
+/**
+ * Project totals for the current periods
+ * @param {Array<{sats: number, timestamp: number}>} payments - Settled payments (all of history)
+ * @param {Object} options
+ * @param {string} options.timeZone - IANA time zone for periods
+ * @param {string[]} [options.periods] - Any of week, month, quarter, year
+ * @param {number} [options.now] - Current time (Unix seconds)
+ * @returns {Object} { asOf, trailing, periods } where trailing is { days, perDay, sd }
+ *   (null with less than MIN_TRAILING_DAYS of history) and each period is
+ *   { period, key, start, end, elapsedDays, totalDays, actual, runRate,
+ *   lastYear, methods, projected, low, high }; projected, low and high are
+ *   null when neither method applies
+ */
+export function projectTotals(payments, {
+  timeZone,
+  periods = PROJECTION_PERIODS,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const today = zonedParts(now, timeZone);
+  const todayNumber = dayNumber(today.year, today.month, today.day);
+
+  const daily = new Map();
+  let firstDay = null;
+  for (const payment of payments) {
+    if (!payment.timestamp || payment.timestamp > now) continue;
+    const parts = zonedParts(payment.timestamp, timeZone);
+    const number = dayNumber(parts.year, parts.month, parts.day);
+    daily.set(number, (daily.get(number) || 0) + payment.sats);
+    if (firstDay === null || number < firstDay) firstDay = number;
+  }
+
+  const satsBetween = (from, to) => {
+    let sum = 0;
+    for (let n = from; n < to; n++) sum += daily.get(n) || 0;
+    return sum;
+  };
+
+  // Completed days only: today is still filling up
+  let trailing = null;
+  const trailingStart = Math.max(todayNumber - TRAILING_DAYS, firstDay ?? todayNumber);
+  const trailingDays = todayNumber - trailingStart;
+  if (trailingDays >= MIN_TRAILING_DAYS) {
+    const values = [];
+    for (let n = trailingStart; n < todayNumber; n++) values.push(daily.get(n) || 0);
+    const perDay = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - perDay) ** 2, 0) / (values.length - 1);
+    trailing = { days: trailingDays, perDay, sd: Math.sqrt(variance) };
+  }
+
+  const results = periods.map((period) => {
+    const bounds = periodBounds(period, today);
+    const dayIndex = todayNumber - bounds.start;
+    const elapsedDays = dayIndex + today.hour / 24;
+    const totalDays = bounds.end - bounds.start;
+    const remaining = totalDays - elapsedDays;
+    const actual = satsBetween(bounds.start, todayNumber + 1);
+
+    const methods = {
+      trailing: trailing ? Math.round(actual + trailing.perDay * remaining) : null,
+      lastYear: null,
+    };
+
+    // Last year up to the same point, counting the same share of that day
+    let lastYear = null;
+    if (firstDay !== null && firstDay <= bounds.lastYearStart) {
+      const sameDay = bounds.lastYearStart + dayIndex;
+      const toDate = satsBetween(bounds.lastYearStart, sameDay)
+        + Math.round((daily.get(sameDay) || 0) * today.hour / 24);
+      const total = satsBetween(bounds.lastYearStart, bounds.lastYearEnd);
+      lastYear = { key: periodBounds(period, calendarDate(bounds.lastYearStart)).key, toDate, total };
+      methods.lastYear = actual + (total - toDate);
+    }
+
+    const estimates = Object.values(methods).filter(value => value !== null);
+    const spread = trailing ? CONFIDENCE_Z * trailing.sd * Math.sqrt(remaining) : 0;
+    return {
+      period,
+      key: bounds.key,
+      start: dayKey(bounds.start),
+      end: dayKey(bounds.end - 1),
+      elapsedDays: Math.round(elapsedDays * 100) / 100,
+      totalDays,
+      actual,
+      runRate: Math.round(actual / Math.max(1, elapsedDays)),
+      lastYear,
+      methods,
+      projected: estimates.length
+        ? Math.round(estimates.reduce((sum, v) => sum + v, 0) / estimates.length)
+        : null,
+      low: estimates.length ? Math.max(actual, Math.round(Math.min(...estimates) - spread)) : null,
+      high: estimates.length ? Math.round(Math.max(...estimates) + spread) : null,
+    };
+  });
+
+  return { asOf: dayKey(todayNumber), trailing, periods: results };
+}
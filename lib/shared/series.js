@@ -0,0 +1,113 @@
+/**
+ * Cumulative and Rolling Series
+ * Running totals and trailing-window sums per period, which smooth out bursty
+ * tipping where disjoint buckets jump between empty and busy
+ *
+ * Every period from the first payment up to now is listed, empty ones
+ * included, with the values as of its last day (today for the current one):
+ *   cumulative - sats and payments since the first payment
+ *   rolling    - sats and payments over the last N days (7, 30 or 90), and
+ *                their average per day; days before the first payment don't
+ *                count toward the average
+ */
+
+import { zonedParts, periodKey } from './periods.js';
+
+export const ROLLING_WINDOWS = [7, 30, 90];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Calendar dates as whole days since the epoch, so windows are easy to step through
+function dayNumber(timestamp, timeZone) {
+  const { year, month, day } = zonedParts(timestamp, timeZone);
+  return Date.UTC(year, month - 1, day) / (DAY_SECONDS * 1000);
+}
+
+/**
+ * Parse a rolling window like "30d"
+ * @param {string|number} value - 7d, 30d or 90d (the "d" is optional)
+ * @returns {number|null} Days, or null if not one of ROLLING_WINDOWS
+ */
+export function parseRollingWindow(value) {
+  const match = String(value ?? '').trim().match(/^(\d+)d?$/i);
+  const days = match ? Number(match[1]) : null;
+  return ROLLING_WINDOWS.includes(days) ? days : null;
+}
+
+/**
+ * Build a cumulative and/or rolling series
+ * @param {Array<{sats: number, timestamp: number}>} payments - Settled payments (all of history,
+ *   so windows and totals don't start at the beginning of a date filter)
+ * @param {Object} options
+ * @param {string} options.period - daily, weekly or monthly
+ * @param {string} options.timeZone - IANA time zone for periods
+ * @param {number|null} [options.rolling] - Window in days, one of ROLLING_WINDOWS
+ * @param {boolean} [options.cumulative] - Include running totals
+ * @param {number|null} [options.from] - List periods from this time on (Unix seconds)
+ * @param {number|null} [options.to] - List periods up to this time (Unix seconds)
+ * @param {number} [options.now] - Current time (Unix seconds)
+ * @returns {Object[]} Oldest first: { date, sats, payments } for the period itself, plus
+ *   cumulative { sats, payments } and rolling { sats, payments, perDay } when asked for
+ */
+export function buildSeries(payments, {
+  period,
+  timeZone,
+  rolling = null,
+  cumulative = false,
+  from = null,
+  to = null,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const end = to !== null ? Math.min(to, now) : now;
+
+  const daily = new Map();
+  let firstDay = null;
+  for (const payment of payments) {
+    if (!payment.timestamp || payment.timestamp > end) continue;
+    const number = dayNumber(payment.timestamp, timeZone);
+    const day = daily.get(number) || { sats: 0, count: 0 };
+    day.sats += payment.sats;
+    day.count += 1;
+    daily.set(number, day);
+    if (firstDay === null || number < firstDay) firstDay = number;
+  }
+  if (firstDay === null) return [];
+
+  const lastDay = dayNumber(end, timeZone);
+  const fromDay = from !== null ? dayNumber(from, timeZone) : firstDay;
+  const empty = { sats: 0, count: 0 };
+  const total = { sats: 0, count: 0 };
+  const window = { sats: 0, count: 0 };
+
+  const points = [];
+  let point = null;
+  for (let n = firstDay; n <= lastDay; n++) {
+    const day = daily.get(n) || empty;
+    total.sats += day.sats;
+    total.count += day.count;
+    if (rolling) {
+      const dropped = daily.get(n - rolling) || empty;
+      window.sats += day.sats - dropped.sats;
+      window.count += day.count - dropped.count;
+    }
+    if (n < fromDay) continue;
+
+    // Day numbers are calendar dates, so key them in UTC
+    const key = periodKey(n * DAY_SECONDS + DAY_SECONDS / 2, period, 'UTC');
+    if (!point || point.date !== key) {
+      point = { date: key, sats: 0, payments: 0 };
+      points.push(point);
+    }
+    point.sats += day.sats;
+    point.payments += day.count;
+    if (cumulative) {
+      point.cumulative = { sats: total.sats, payments: total.count };
+    }
+    if (rolling) {
+      const days = Math.min(rolling, n - firstDay + 1);
+      point.rolling = { sats: window.sats, payments: window.count, perDay: Math.round(window.sats / days) };
+    }
+  }
+
+  return points;
+}
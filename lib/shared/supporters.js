@@ -0,0 +1,103 @@
+/**
+ * Supporter Model
+ * Repeat supporters, lifetime totals and new vs returning supporters per
+ * period, from payments that carry a payer identity
+ *
+ * Input payments are { payer, sats, timestamp }, where payer is the
+ * { key, name, source } identity from lib/identity.js, or null if anonymous.
+ * A supporter is "new" in the period of their first payment ever and
+ * "returning" in any later period they pay in, even when `since` hides the
+ * periods before.
+ */
+
+import { periodKey } from './periods.js';
+
+/**
+ * Build the supporter report
+ * @param {Object[]} payments - Payments (see above)
+ * @param {Object} options
+ * @param {string} [options.period] - daily, weekly or monthly
+ * @param {string} options.timeZone - IANA time zone for periods
+ * @param {number|null} [options.since] - Only report supporters and periods active from here (Unix seconds)
+ * @returns {Object} { supporters, identified, repeat, anonymous, byPeriod }
+ *   supporters are sorted by lifetime sats; byPeriod newest first
+ */
+export function buildSupporters(payments, { period = 'monthly', timeZone, since = null }) {
+  const sorted = [...payments].filter(p => p.timestamp).sort((a, b) => a.timestamp - b.timestamp);
+  const bySupporter = new Map();
+  const byPeriod = new Map();
+  const anonymous = { payments: 0, sats: 0 };
+
+  const periodEntry = (key) => {
+    if (!byPeriod.has(key)) {
+      byPeriod.set(key, { period: key, new: new Set(), returning: new Set(), anonymous: 0 });
+    }
+    return byPeriod.get(key);
+  };
+
+  for (const payment of sorted) {
+    const active = since === null || payment.timestamp >= since;
+    const key = periodKey(payment.timestamp, period, timeZone);
+
+    const { payer } = payment;
+    if (!payer) {
+      if (active) {
+        anonymous.payments += 1;
+        anonymous.sats += payment.sats;
+        periodEntry(key).anonymous += 1;
+      }
+      continue;
+    }
+
+    let supporter = bySupporter.get(payer.key);
+    if (!supporter) {
+      supporter = {
+        key: payer.key,
+        name: payer.name || payer.key,
+        source: payer.source || null,
+        payments: 0,
+        sats: 0,
+        first: payment.timestamp,
+        last: payment.timestamp,
+        firstPeriod: key,
+        active: false,
+      };
+      bySupporter.set(payer.key, supporter);
+    }
+    supporter.payments += 1;
+    supporter.sats += payment.sats;
+    supporter.last = payment.timestamp;
+    // The latest name wins, in case a supporter renamed themselves
+    if (payer.name) supporter.name = payer.name;
+
+    if (active) {
+      supporter.active = true;
+      const entry = periodEntry(key);
+      if (key === supporter.firstPeriod) {
+        entry.new.add(supporter.key);
+      } else {
+        entry.returning.add(supporter.key);
+      }
+    }
+  }
+
+  const supporters = [...bySupporter.values()]
+    .filter(s => s.active)
+    .map(({ firstPeriod, active, ...s }) => s)
+    .sort((a, b) => b.sats - a.sats || b.payments - a.payments);
+
+  return {
+    supporters,
+    identified: supporters.length,
+    repeat: supporters.filter(s => s.payments > 1).length,
+    anonymous,
+    byPeriod: [...byPeriod.values()]
+      .sort((a, b) => b.period.localeCompare(a.period))
+      .map(entry => ({
+        period: entry.period,
+        new: entry.new.size,
+        returning: entry.returning.size,
+        anonymous: entry.anonymous,
+      })),
+  };
+}
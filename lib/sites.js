@@ -0,0 +1,51 @@
+/**
+ * Sites Module
+ * Sites sharing one installation, each with its own RSS feed and titles cache
+ */
+
+import path from 'path';
+import { CONFIG } from './config.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Get configured sites, optionally narrowed to some URLs
+ * @param {string|string[]|null} [urls] - Site URL(s), comma-separated or array
+ * @returns {Array<{url: string, rssUrl: string|null}>}
+ * @throws {ValidationError} if a requested site is not configured
+ */
+export function getSites(urls = null) {
+  if (!urls || urls.length === 0) {
+    return CONFIG.sites;
+  }
+
+  const requested = (Array.isArray(urls) ? urls : urls.split(','))
+    .map(url => url.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return requested.map(url => {
+    const site = CONFIG.sites.find(s => s.url.toLowerCase() === url);
+    if (!site) {
+      const known = CONFIG.sites.map(s => s.url).join(', ') || 'none';
+      throw new ValidationError(`Unknown site "${url}" (configured: ${known})`, 'site');
+    }
+    return site;
+  });
+}
+
+/**
+ * Get the titles cache path for a site
+ * The primary site keeps `.titles-cache.json`; other sites get
+ * `.titles-cache.<site>.json` next to it
+ * @param {string} siteUrl - Site URL
+ * @returns {string}
+ */
+export function getSiteTitlesCachePath(siteUrl) {
+  if (siteUrl === CONFIG.siteUrl) {
+    return CONFIG.paths.titlesCache;
+  }
+
+  const ext = path.extname(CONFIG.paths.titlesCache);
+  const base = path.basename(CONFIG.paths.titlesCache, ext);
+  const name = siteUrl.toLowerCase().replace(/[^a-z0-9.-]+/g, '-');
+  return path.join(path.dirname(CONFIG.paths.titlesCache), `${base}.${name}${ext}`);
+}
@@ -0,0 +1,133 @@
+/**
+ * Alby Hub CSV Source
+ * Parses the transactions CSV exported from the Alby Hub UI
+ *
+ * Columns are matched by name, case-insensitively and in either snake_case or
+ * camelCase, so exports from different Hub versions load the same way.
+ * Amounts are msat unless the column says sat. Outgoing and unsettled rows
+ * are skipped.
+ */
+
+import { toUnixSeconds, toMsat, toHex, incomingTransaction } from './normalize.js';
+import { ParseError } from '../errors.js';
+
+export const name = 'alby';
+export const description = 'Alby Hub transactions CSV export';
+
+// Accepted header names for each field, after lowercasing and removing _ and spaces
+const COLUMNS = {
+  type: ['type'],
+  state: ['state', 'status'],
+  paymentHash: ['paymenthash', 'hash'],
+  amountMsat: ['amount', 'amountmsat'],
+  amountSat: ['amountsat', 'amountsats', 'sats'],
+  description: ['description', 'memo'],
+  settledAt: ['settledat', 'settled'],
+  createdAt: ['createdat', 'created'],
+  preimage: ['preimage'],
+  invoice: ['invoice', 'paymentrequest'],
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>}
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Map each known field to its column index
+ * @param {string[]} header - Header row
+ * @returns {Object} Field -> index (missing fields are left out)
+ */
+function mapColumns(header) {
+  const keys = header.map(h => h.trim().toLowerCase().replace(/[_\s]/g, ''));
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    const index = keys.findIndex(key => aliases.includes(key));
+    if (index !== -1) columns[field] = index;
+  }
+  return columns;
+}
+
+/**
+ * Parse an Alby Hub CSV export into incoming transactions
+ * @param {string} text - CSV text
+ * @returns {Array} Transactions
+ * @throws {ParseError} if the CSV lacks payment hash or amount columns
+ */
+export function parse(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ParseError('CSV file is empty');
+  }
+
+  const columns = mapColumns(header);
+  if (columns.paymentHash === undefined) {
+    throw new ParseError('CSV has no payment_hash column', header);
+  }
+  if (columns.amountMsat === undefined && columns.amountSat === undefined) {
+    throw new ParseError('CSV has no amount column', header);
+  }
+
+  const get = (row, field) => (columns[field] === undefined ? '' : (row[columns[field]] ?? '').trim());
+
+  return rows
+    .filter(row => {
+      const type = get(row, 'type').toLowerCase();
+      const state = get(row, 'state').toLowerCase();
+      return (!type || type === 'incoming') && (!state || state === 'settled');
+    })
+    .map(row => {
+      const sats = get(row, 'amountSat');
+      return incomingTransaction({
+        paymentHash: toHex(get(row, 'paymentHash')),
+        amount: columns.amountMsat !== undefined ? toMsat(get(row, 'amountMsat')) ?? 0 : Number(sats || 0) * 1000,
+        description: get(row, 'description'),
+        settledAt: toUnixSeconds(get(row, 'settledAt')) ?? toUnixSeconds(get(row, 'createdAt')),
+        createdAt: toUnixSeconds(get(row, 'createdAt')),
+        preimage: get(row, 'preimage'),
+        invoice: get(row, 'invoice'),
+      });
+    })
+    .filter(tx => tx.payment_hash);
+}
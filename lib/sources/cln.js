@@ -0,0 +1,43 @@
+/**
+ * Core Lightning Source
+ * Parses `lightning-cli listinvoices` output
+ *
+ * Amounts are numbers of msat, or "<n>msat" strings before v23. CLN does not
+ * record when an invoice was created, so only settled_at is set. Only paid
+ * invoices with a payment hash are kept.
+ */
+
+import { toUnixSeconds, toMsat, incomingTransaction } from './normalize.js';
+import { ParseError } from '../errors.js';
+
+export const name = 'cln';
+export const description = 'Core Lightning `lightning-cli listinvoices` JSON';
+
+/**
+ * Parse Core Lightning invoices into incoming transactions
+ * @param {string} text - listinvoices JSON
+ * @returns {Array} Transactions
+ * @throws {ParseError} if the JSON has no invoices list
+ */
+export function parse(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ParseError(`Not valid JSON (${error.message})`);
+  }
+
+  const invoices = Array.isArray(data) ? data : data?.invoices;
+  if (!Array.isArray(invoices)) {
+    throw new ParseError('Expected an "invoices" list from `lightning-cli listinvoices`');
+  }
+
+  return invoices.filter(invoice => invoice.status === 'paid').map(invoice => incomingTransaction({
+    paymentHash: invoice.payment_hash?.toLowerCase(),
+    amount: toMsat(invoice.amount_received_msat) ?? toMsat(invoice.amount_msat) ?? 0,
+    description: invoice.description,
+    settledAt: toUnixSeconds(invoice.paid_at),
+    preimage: invoice.payment_preimage,
+    invoice: invoice.bolt11 || invoice.bolt12,
+  })).filter(tx => tx.payment_hash);
+}
@@ -0,0 +1,118 @@
+/**
+ * Data Sources
+ * Load payments from node and wallet exports instead of NWC
+ *
+ * Each source module exports `name`, `description` and `parse(text)`, which
+ * returns settled incoming transactions in the NWC shape used everywhere
+ * else (amount in msat, Unix-second timestamps).
+ */
+
+import fs from 'fs';
+import { appendTransactionCache, loadTransactionCache } from '../cache.js';
+import { getWallets, getWalletCachePath } from '../wallets.js';
+import { DEFAULT_WALLET } from '../constants.js';
+import { txState } from '../storage/records.js';
+import { ValidationError, ParseError } from '../errors.js';
+import { logger } from '../logger.js';
+import * as alby from './alby-csv.js';
+import * as lnd from './lnd.js';
+import * as cln from './cln.js';
+
+export const DATA_SOURCES = {
+  [alby.name]: alby,
+  [lnd.name]: lnd,
+  [cln.name]: cln,
+};
+
+/**
+ * Look up a data source by name
+ * @param {string} name - Source name (alby, lnd, cln)
+ * @returns {Object} Source module
+ * @throws {ValidationError} if the source is unknown
+ */
+export function getDataSource(name) {
+  const source = DATA_SOURCES[String(name || '').trim().toLowerCase()];
+  if (!source) {
+    const known = Object.keys(DATA_SOURCES).join(', ');
+    throw new ValidationError(`Unknown source "${name}" (available: ${known})`, 'source');
+  }
+  return source;
+}
+
+/**
+ * Read an export file into transactions
+ * @param {string} name - Source name
+ * @param {string} file - Export file path
+ * @returns {Array} Transactions tagged with `imported_from`
+ * @throws {ValidationError} if the source is unknown
+ * @throws {ParseError} if the file cannot be read or parsed
+ */
+export function readSource(name, file) {
+  const source = getDataSource(name);
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ParseError(`Cannot read ${file} (${error.message})`);
+  }
+
+  let transactions;
+  try {
+    transactions = source.parse(text);
+  } catch (error) {
+    if (error instanceof ParseError) {
+      throw new ParseError(`${file} is not a valid ${source.description} (${error.message})`, error.data);
+    }
+    throw error;
+  }
+
+  return transactions.map(tx => ({ ...tx, imported_from: source.name }));
+}
+
+/**
+ * Add the payments in an export file to a wallet's transaction cache
+ *
+ * Payments already in the cache are kept as they are, so records synced over
+ * NWC win, unless the cached copy is still pending. Imported records don't
+ * add coverage, so NWC syncs still fetch the same periods, and they are
+ * ignored when finding where an incremental sync should stop.
+ *
+ * @param {string} name - Source name
+ * @param {string} file - Export file path
+ * @param {Object} [options]
+ * @param {string|null} [options.wallet] - Wallet whose cache receives the payments (default: default wallet)
+ * @returns {Object} { wallet, read, added, total }
+ * @throws {ValidationError} if the source or wallet is unknown
+ * @throws {ParseError} if the file cannot be read or parsed
+ */
+export function importFromSource(name, file, { wallet = null } = {}) {
+  const wallets = wallet ? getWallets(wallet) : [{ name: DEFAULT_WALLET }];
+  if (wallets.length !== 1) {
+    throw new ValidationError('Import into one wallet at a time', 'wallet');
+  }
+
+  const transactions = readSource(name, file);
+  const path = getWalletCachePath(wallets[0].name);
+  const cached = loadTransactionCache(path);
+  // Invoices still pending here may have settled on the node
+  const known = new Set(cached.filter(tx => txState(tx) !== 'pending').map(tx => tx.payment_hash));
+  const fresh = [];
+  for (const tx of transactions) {
+    if (known.has(tx.payment_hash)) continue;
+    known.add(tx.payment_hash);
+    fresh.push(tx);
+  }
+
+  if (fresh.length > 0) {
+    appendTransactionCache(fresh, path);
+  }
+
+  logger.debug('Imported data source', { source: name, file, wallet: wallets[0].name, read: transactions.length });
+  return {
+    wallet: wallets[0].name,
+    read: transactions.length,
+    added: fresh.length,
+    total: loadTransactionCache(path).length,
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * LND Source
+ * Parses `lncli listinvoices` output (or the REST /v1/invoices response)
+ *
+ * lncli prints hashes as hex and timestamps as strings; the REST API returns
+ * hashes as base64. Only settled invoices are kept, and only those with a hash,
+ * since imports are merged by payment hash.
+ */
+
+import { toUnixSeconds, toMsat, toHex, incomingTransaction } from './normalize.js';
+import { ParseError } from '../errors.js';
+
+export const name = 'lnd';
+export const description = 'LND `lncli listinvoices` JSON';
+
+/**
+ * Check whether an invoice was paid
+ * Older LND versions only set `settled`; newer ones set `state`
+ */
+function isSettled(invoice) {
+  return invoice.state ? invoice.state === 'SETTLED' : invoice.settled === true;
+}
+
+/**
+ * Parse LND invoices into incoming transactions
+ * @param {string} text - listinvoices JSON
+ * @returns {Array} Transactions
+ * @throws {ParseError} if the JSON has no invoices list
+ */
+export function parse(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ParseError(`Not valid JSON (${error.message})`);
+  }
+
+  const invoices = Array.isArray(data) ? data : data?.invoices;
+  if (!Array.isArray(invoices)) {
+    throw new ParseError('Expected an "invoices" list from `lncli listinvoices`');
+  }
+
+  return invoices.filter(isSettled).map(invoice => {
+    const sats = invoice.amt_paid_sat ?? invoice.value;
+    return incomingTransaction({
+      paymentHash: toHex(invoice.r_hash),
+      amount: toMsat(invoice.amt_paid_msat) || toMsat(invoice.value_msat) || (sats ? Number(sats) * 1000 : 0),
+      description: invoice.memo,
+      settledAt: toUnixSeconds(invoice.settle_date),
+      createdAt: toUnixSeconds(invoice.creation_date),
+      preimage: toHex(invoice.r_preimage),
+      invoice: invoice.payment_request,
+    });
+  }).filter(tx => tx.payment_hash);
+}
@@ -0,0 +1,72 @@
+/**
+ * Source Normalization Helpers
+ * Turn node and wallet export fields into the NWC transaction shape:
+ *   { type: 'incoming', state, payment_hash, amount (msat), description,
+ *     settled_at, created_at, preimage, invoice }
+ */
+
+/**
+ * Convert a timestamp to Unix seconds
+ * Accepts Unix seconds or milliseconds (as numbers or digit strings) and ISO dates
+ * @param {number|string|null} value - Timestamp
+ * @returns {number|null}
+ */
+export function toUnixSeconds(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    const number = Number(value);
+    if (!number) return null;
+    // Millisecond timestamps are 13 digits until the year 2286
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * Parse a millisatoshi amount
+ * Accepts numbers, digit strings and Core Lightning's older "1000msat" strings
+ * @param {number|string|null} value - Amount in msat
+ * @returns {number|null}
+ */
+export function toMsat(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/msat$/, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalize a payment hash or preimage to lowercase hex
+ * LND's REST API returns base64, lncli returns hex
+ * @param {string|null} value - Hex or base64 bytes
+ * @returns {string|null}
+ */
+export function toHex(value) {
+  if (!value) return null;
+  if (/^[0-9a-f]+$/i.test(value) && value.length % 2 === 0) {
+    return value.toLowerCase();
+  }
+  return Buffer.from(value, 'base64').toString('hex');
+}
+
+/**
+ * Build a settled incoming transaction, dropping empty fields
+ * @param {Object} fields - Normalized fields
+ * @returns {Object} Transaction
+ */
+export function incomingTransaction({ paymentHash, amount, description, settledAt, createdAt, preimage, invoice }) {
+  const tx = {
+    type: 'incoming',
+    state: 'settled',
+    payment_hash: paymentHash,
+    amount,
+    description: description || '',
+    settled_at: settledAt,
+  };
+  if (createdAt) tx.created_at = createdAt;
+  if (preimage) tx.preimage = preimage;
+  if (invoice) tx.invoice = invoice;
+  return tx;
+}
@@ -0,0 +1,185 @@
+/**
+ * Cache Encryption
+ * AES-256-GCM envelopes for encrypting cache files at rest
+ *
+ * The key is derived with scrypt from a passphrase (V4V_CACHE_PASSPHRASE) or
+ * the contents of a key file (V4V_CACHE_KEY_FILE). Each envelope is a single
+ * JSON line carrying its own salt, IV and auth tag, so whole documents and
+ * individual NDJSON log lines use the same format.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { CacheError } from '../errors.js';
+
+const ENVELOPE_MARKER = '{"v4v_encrypted":';
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Derived keys by secret + salt, so a log of many envelopes derives once
+const keys = new Map();
+
+/**
+ * Get the configured cache secret
+ * @returns {string|null} Passphrase or key file contents, or null if unset
+ * @throws {CacheError} if the key file cannot be read
+ */
+export function getCacheSecret() {
+  if (CONFIG.cachePassphrase) {
+    return CONFIG.cachePassphrase;
+  }
+  if (CONFIG.cacheKeyFile) {
+    try {
+      const secret = fs.readFileSync(CONFIG.cacheKeyFile, 'utf8').trim();
+      if (secret) return secret;
+    } catch (error) {
+      throw new CacheError(`Cannot read cache key file ${CONFIG.cacheKeyFile} (${error.message})`, 'decrypt');
+    }
+    throw new CacheError(`Cache key file is empty: ${CONFIG.cacheKeyFile}`, 'decrypt');
+  }
+  return null;
+}
+
+/**
+ * Get the secret, failing if none is configured
+ * @throws {CacheError}
+ */
+function requireSecret() {
+  const secret = getCacheSecret();
+  if (!secret) {
+    throw new CacheError(
+      'Transaction cache is encrypted. Set V4V_CACHE_PASSPHRASE or V4V_CACHE_KEY_FILE to read it',
+      'decrypt'
+    );
+  }
+  return secret;
+}
+
+function deriveKey(secret, salt) {
+  const id = `${salt}:${crypto.createHash('sha256').update(secret).digest('hex')}`;
+  if (!keys.has(id)) {
+    keys.set(id, crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32, SCRYPT_OPTIONS));
+  }
+  return keys.get(id);
+}
+
+/**
+ * Create a random key-derivation salt
+ * @returns {string} Base64 salt
+ */
+export function createSalt() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * Check whether text is an encrypted envelope
+ * @param {string} text - File contents or log line
+ * @returns {boolean}
+ */
+export function isEncrypted(text) {
+  return text.startsWith(ENVELOPE_MARKER);
+}
+
+/**
+ * Check whether a file starts with an encrypted envelope
+ * @param {string} path - File path
+ * @returns {boolean} False for missing or empty files
+ */
+export function isEncryptedFile(path) {
+  if (!fs.existsSync(path)) return false;
+  const fd = fs.openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(ENVELOPE_MARKER.length);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    return isEncrypted(head.toString('utf8', 0, bytes));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Decide whether a cache should be written encrypted
+ * Existing caches keep their mode; new ones are encrypted if a secret is set
+ * @param {string[]} paths - The cache's files
+ * @returns {boolean}
+ */
+export function shouldEncrypt(paths) {
+  const existing = paths.filter(path => fs.existsSync(path) && fs.statSync(path).size > 0);
+  if (existing.length > 0) {
+    return existing.some(isEncryptedFile);
+  }
+  return getCacheSecret() !== null;
+}
+
+/**
+ * Get the salt an envelope was written with
+ * @param {string} text - Envelope
+ * @returns {string|null}
+ */
+export function getEnvelopeSalt(text) {
+  try {
+    return JSON.parse(text).salt || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt text into a single-line envelope with the configured secret
+ * @param {string} plaintext - Text to encrypt
+ * @param {string} [salt] - Key-derivation salt (reuse one per file)
+ * @returns {string} Envelope JSON
+ * @throws {CacheError} if no secret is configured
+ */
+export function encryptText(plaintext, salt = createSalt()) {
+  const key = deriveKey(requireSecret(), salt);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    v4v_encrypted: ENVELOPE_VERSION,
+    kdf: 'scrypt',
+    salt,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+/**
+ * Decrypt an envelope with the configured secret
+ * @param {string} text - Envelope JSON
+ * @returns {string} Plaintext
+ * @throws {CacheError} if no secret is configured or it does not match
+ */
+export function decryptText(text) {
+  const secret = requireSecret();
+
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch (error) {
+    throw new CacheError(`Transaction cache is corrupt (${error.message})`, 'read');
+  }
+  if (envelope.v4v_encrypted !== ENVELOPE_VERSION) {
+    throw new CacheError(`Unsupported cache encryption version ${envelope.v4v_encrypted}`, 'decrypt');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      deriveKey(secret, envelope.salt),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw new CacheError('Could not decrypt the transaction cache (wrong passphrase or key file)', 'decrypt');
+  }
+}
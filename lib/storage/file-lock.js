@@ -0,0 +1,196 @@
+/**
+ * File Locking
+ * Atomic writes and an advisory lock file for caches shared between commands
+ *
+ * Writers hold `<file>.lock` while they change a cache and replace files by
+ * writing a temp file and renaming it over the original, so a reader never
+ * sees a half-written document. Readers wait for the lock to clear and retry
+ * a failed read while another process is still writing.
+ *
+ * The cache API is synchronous, so waiting blocks the calling process.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { LOCK_RETRY_DELAY, LOCK_STALE_AGE } from '../constants.js';
+import { CacheError } from '../errors.js';
+import { logger } from '../logger.js';
+
+// Paths this process currently holds a lock for (locks are re-entrant)
+const held = new Set();
+
+/**
+ * Block the current thread
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Get the lock file path for a file
+ * @param {string} path - Protected file path
+ * @returns {string}
+ */
+export function getLockPath(path) {
+  return `${path}.lock`;
+}
+
+/**
+ * Read a lock file's owner, or null if it is missing or half-written
+ */
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether a lock was left behind by a crashed or hung process
+ * @param {string} lockPath - Lock file path
+ * @param {Object|null} lock - Lock owner
+ * @returns {boolean}
+ */
+function isStale(lockPath, lock) {
+  if (lock && lock.host === os.hostname() && !isProcessAlive(lock.pid)) {
+    return true;
+  }
+
+  try {
+    const created = lock?.created ?? fs.statSync(lockPath).mtimeMs;
+    return Date.now() - created > LOCK_STALE_AGE;
+  } catch {
+    // Lock disappeared while we looked at it
+    return false;
+  }
+}
+
+/**
+ * Check whether another process holds the lock for a file
+ * @param {string} path - Protected file path
+ * @returns {boolean}
+ */
+export function isLocked(path) {
+  if (held.has(path)) return false;
+  const lockPath = getLockPath(path);
+  if (!fs.existsSync(lockPath)) return false;
+  return !isStale(lockPath, readLock(lockPath));
+}
+
+function tryAcquire(lockPath) {
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    try {
+      fs.writeSync(fd, JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        created: Date.now(),
+      }));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  }
+}
+
+/**
+ * Run a function while holding the lock for a file
+ * Stale locks (dead owner, or older than LOCK_STALE_AGE) are removed
+ * @param {string} path - Protected file path
+ * @param {Function} fn - Work to do while locked
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Max ms to wait for the lock
+ * @returns {*} Result of fn
+ * @throws {CacheError} if the lock is not released in time
+ */
+export function withFileLock(path, fn, { timeout = CONFIG.lockTimeout } = {}) {
+  if (held.has(path)) return fn();
+
+  const lockPath = getLockPath(path);
+  const deadline = Date.now() + timeout;
+
+  while (!tryAcquire(lockPath)) {
+    const lock = readLock(lockPath);
+    if (isStale(lockPath, lock)) {
+      logger.warn('Removing stale cache lock', { lockPath, pid: lock?.pid });
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const owner = lock ? ` held by process ${lock.pid}` : '';
+      throw new CacheError(`Timed out waiting for cache lock${owner}: ${lockPath}`, 'lock');
+    }
+    sleep(LOCK_RETRY_DELAY);
+  }
+
+  held.add(path);
+  try {
+    return fn();
+  } finally {
+    held.delete(path);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Read a file, waiting out (and retrying past) another process's write
+ * @param {string} path - Protected file path
+ * @param {Function} fn - Read to perform
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Max ms to wait for a writer
+ * @returns {*} Result of fn
+ */
+export function readWithRetry(path, fn, { timeout = CONFIG.lockTimeout } = {}) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    while (isLocked(path) && Date.now() < deadline) {
+      sleep(LOCK_RETRY_DELAY);
+    }
+
+    try {
+      return fn();
+    } catch (error) {
+      if (!isLocked(path) || Date.now() >= deadline) throw error;
+      logger.debug('Cache changed during read, retrying', { path, error: error.message });
+    }
+  }
+}
+
+/**
+ * Replace a file atomically (write a temp file, then rename it over the original)
+ * @param {string} path - File path
+ * @param {string} data - New contents
+ */
+export function writeFileAtomic(path, data) {
+  const tempPath = `${path}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, path);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
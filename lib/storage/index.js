@@ -0,0 +1,88 @@
+/**
+ * Storage Layer
+ * Picks the transaction cache backend for a cache path
+ *
+ * Backends share one interface:
+ *   read() -> { meta, transactions }, readMeta(),
+ *   write(transactions, meta, { encrypt }), upsert(transactions, meta),
+ *   clear(), stats(), exists(), files(), isEncrypted()
+ */
+
+import fs from 'fs';
+import { CONFIG } from '../config.js';
+import { createJsonStore } from './json-store.js';
+import { createNdjsonStore } from './ndjson-store.js';
+import { CACHE_SCHEMA_VERSION, getSchemaVersion, migrateCacheData } from './migrations.js';
+import { withFileLock } from './file-lock.js';
+import { logger } from '../logger.js';
+
+export const STORAGE_BACKENDS = ['json', 'ndjson'];
+
+// Files already checked for the current schema, keyed by path -> mtime/size
+const verified = new Map();
+
+/**
+ * Get the backend type for a cache path
+ * @param {string} path - Cache file path
+ * @returns {string} 'ndjson' for *.ndjson files, otherwise 'json'
+ */
+export function getBackendType(path) {
+  return path.endsWith('.ndjson') ? 'ndjson' : 'json';
+}
+
+/**
+ * Fingerprint a store's files so unchanged caches are not re-checked
+ */
+function fingerprint(storage) {
+  return storage.files()
+    .map(file => {
+      const stats = fs.statSync(file);
+      return `${stats.mtimeMs}:${stats.size}`;
+    })
+    .join('|');
+}
+
+/**
+ * Upgrade a store's contents to the current schema, once per file version
+ * @param {Object} storage - Storage backend
+ * @throws {CacheError} if the cache is corrupt or from a newer version
+ */
+function ensureSchema(storage) {
+  if (!storage.exists()) return;
+  if (verified.get(storage.path) === fingerprint(storage)) return;
+
+  if (getSchemaVersion(storage.readMeta()) !== CACHE_SCHEMA_VERSION) {
+    withFileLock(storage.path, () => {
+      const { meta, transactions, migrated } = migrateCacheData(storage.read());
+      // Another command may have upgraded the cache while we waited
+      if (!migrated) return;
+      storage.write(transactions, meta);
+      logger.debug('Upgraded transaction cache schema', {
+        path: storage.path,
+        schemaVersion: CACHE_SCHEMA_VERSION,
+      });
+    });
+  }
+
+  verified.set(storage.path, fingerprint(storage));
+}
+
+/**
+ * Get the storage backend for a cache path
+ * Older caches are migrated to the current schema before use
+ * @param {string} [path] - Cache file path (default: configured cache)
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate] - Check and upgrade the schema (default: true)
+ * @returns {Object} Storage backend
+ * @throws {CacheError} if the cache is corrupt or from a newer version
+ */
+export function getStorage(path = CONFIG.paths.cache, { migrate = true } = {}) {
+  const storage = getBackendType(path) === 'ndjson'
+    ? createNdjsonStore(path)
+    : createJsonStore(path);
+
+  if (migrate) {
+    ensureSchema(storage);
+  }
+  return storage;
+}
@@ -0,0 +1,144 @@
+/**
+ * JSON Storage Backend
+ * One JSON document with metadata and every transaction (default backend)
+ */
+
+import fs from 'fs';
+import { txTimestamp, timestampBounds, mergeByHash } from './records.js';
+import { CACHE_SCHEMA_VERSION } from './migrations.js';
+import { withFileLock, readWithRetry, writeFileAtomic } from './file-lock.js';
+import {
+  isEncrypted,
+  isEncryptedFile,
+  shouldEncrypt,
+  encryptText,
+  decryptText,
+  getEnvelopeSalt,
+  createSalt,
+} from './encryption.js';
+import { CacheError } from '../errors.js';
+
+/**
+ * Create a JSON file store
+ * @param {string} path - Cache file path
+ * @returns {Object} Storage backend
+ */
+export function createJsonStore(path) {
+  // Key-derivation salt, kept across writes so the key is derived once
+  let salt = null;
+
+  /**
+   * Read and split the cache document
+   * @throws {CacheError} if the file is not a valid cache document
+   */
+  function readDocument() {
+    if (!fs.existsSync(path)) {
+      return { meta: {}, transactions: [] };
+    }
+
+    let text = fs.readFileSync(path, 'utf8');
+    if (isEncrypted(text)) {
+      salt = salt || getEnvelopeSalt(text);
+      text = decryptText(text);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new CacheError(`Transaction cache is corrupt (${error.message})`, 'read');
+    }
+    if (!data || typeof data !== 'object' || (data.transactions && !Array.isArray(data.transactions))) {
+      throw new CacheError('Transaction cache is corrupt (unexpected format)', 'read');
+    }
+
+    const { transactions = [], ...meta } = data;
+    return { meta, transactions };
+  }
+
+  /**
+   * Read the cache document, waiting out a concurrent write
+   */
+  function read() {
+    return readWithRetry(path, readDocument);
+  }
+
+  /**
+   * Replace the cache document atomically
+   * @param {Array} transactions - Transactions to store
+   * @param {Object} [meta] - Cache metadata
+   * @param {Object} [options]
+   * @param {boolean} [options.encrypt] - Encrypt the file (default: keep current mode)
+   */
+  function write(transactions, meta = {}, { encrypt = shouldEncrypt([path]) } = {}) {
+    const { updated, ...rest } = meta;
+    const body = JSON.stringify({
+      ...rest,
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      updated: new Date().toISOString(),
+      transactions,
+    }, null, 2);
+
+    if (encrypt) {
+      salt = salt || createSalt();
+    }
+    withFileLock(path, () => writeFileAtomic(path, encrypt ? encryptText(body, salt) : body));
+  }
+
+  return {
+    type: 'json',
+    path,
+
+    exists() {
+      return fs.existsSync(path);
+    },
+
+    files() {
+      return [path];
+    },
+
+    isEncrypted() {
+      return isEncryptedFile(path);
+    },
+
+    read,
+
+    readMeta() {
+      return read().meta;
+    },
+
+    write,
+
+    /**
+     * Add or replace transactions by payment_hash
+     * The JSON document has no partial update, so this rewrites the file
+     * (holding the lock so a concurrent upsert cannot drop these records)
+     */
+    upsert(transactions, meta = null) {
+      withFileLock(path, () => {
+        const current = read();
+        write(mergeByHash(transactions, current.transactions), meta || current.meta);
+      });
+    },
+
+    clear() {
+      return withFileLock(path, () => {
+        if (!fs.existsSync(path)) return false;
+        fs.unlinkSync(path);
+        return true;
+      });
+    },
+
+    stats() {
+      if (!fs.existsSync(path)) return null;
+      const { meta, transactions } = read();
+      return {
+        sizeBytes: fs.statSync(path).size,
+        updated: meta.updated,
+        count: transactions.length,
+        ...timestampBounds(transactions.map(txTimestamp)),
+        meta,
+      };
+    },
+  };
+}
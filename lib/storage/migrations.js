@@ -0,0 +1,71 @@
+/**
+ * Cache Schema Migrations
+ * Upgrade cache data written by older versions of v4v on load
+ *
+ * To change the cache format, bump CACHE_SCHEMA_VERSION and append a
+ * migration whose `version` is the new schema version. Migrations receive
+ * and return `{ meta, transactions }` and must not touch the filesystem.
+ */
+
+import { CacheError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const CACHE_SCHEMA_VERSION = 1;
+
+/**
+ * Ordered migrations; each upgrades data from `version - 1` to `version`
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Version unversioned { updated, transactions } caches',
+    up: ({ meta, transactions }) => ({
+      meta: { ...meta, coverage: meta.coverage || [] },
+      transactions: transactions.filter(tx => tx && tx.payment_hash),
+    }),
+  },
+];
+
+/**
+ * Get the schema version recorded in cache metadata
+ * @param {Object} meta - Cache metadata
+ * @returns {number} Schema version (0 for unversioned caches)
+ */
+export function getSchemaVersion(meta) {
+  return Number.isInteger(meta?.schemaVersion) ? meta.schemaVersion : 0;
+}
+
+/**
+ * Run every migration newer than the data's schema version
+ * @param {Object} data - Cache contents
+ * @param {Object} data.meta - Cache metadata
+ * @param {Array} data.transactions - Cached transactions
+ * @returns {Object} Upgraded `{ meta, transactions, migrated }`
+ * @throws {CacheError} if the cache was written by a newer version
+ */
+export function migrateCacheData({ meta, transactions }) {
+  const from = getSchemaVersion(meta);
+
+  if (from > CACHE_SCHEMA_VERSION) {
+    throw new CacheError(
+      `Cache schema version ${from} is newer than this version of v4v supports (${CACHE_SCHEMA_VERSION})`,
+      'migrate'
+    );
+  }
+
+  let current = { meta, transactions };
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    logger.debug('Migrating cache schema', {
+      to: migration.version,
+      description: migration.description,
+    });
+    current = migration.up(current);
+  }
+
+  return {
+    meta: { ...current.meta, schemaVersion: CACHE_SCHEMA_VERSION },
+    transactions: current.transactions,
+    migrated: from < CACHE_SCHEMA_VERSION,
+  };
+}
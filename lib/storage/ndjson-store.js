@@ -0,0 +1,293 @@
+/**
+ * NDJSON Storage Backend
+ * Append-only transaction log with a sidecar index
+ *
+ * The log holds one transaction per line; a later line for the same
+ * payment_hash updates earlier ones (see mergeRecord). The sidecar (`*.meta.json`) holds the
+ * cache metadata plus an index of payment_hash -> [timestamp, digest, state],
+ * so appends skip unchanged records and stats never need to read the log.
+ * Both files are guarded by one lock on the log path. In an encrypted cache
+ * every log line and the sidecar are separate envelopes sharing one salt.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { txTimestamp, txState, timestampBounds, mergeRecord } from './records.js';
+import { CACHE_SCHEMA_VERSION } from './migrations.js';
+import { withFileLock, readWithRetry, writeFileAtomic } from './file-lock.js';
+import {
+  isEncrypted,
+  isEncryptedFile,
+  shouldEncrypt,
+  encryptText,
+  decryptText,
+  getEnvelopeSalt,
+  createSalt,
+} from './encryption.js';
+import { CacheError } from '../errors.js';
+import { logger } from '../logger.js';
+
+// Rewrite the log once it holds this many lines per live transaction
+const COMPACT_RATIO = 2;
+// ...but not for small logs
+const COMPACT_MIN_LINES = 1000;
+
+/**
+ * Short content digest for change detection
+ * Leaves out `state_seen_at`: a merge keeps the earliest sightings anyway, so
+ * seeing an unchanged record again is not a change
+ * @param {Object} tx - Transaction
+ * @returns {string}
+ */
+function digest(tx) {
+  const { state_seen_at: _seen, ...content } = tx;
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Get sidecar metadata path for a log path
+ * @param {string} path - Log file path
+ * @returns {string}
+ */
+export function getSidecarPath(path) {
+  return `${path.replace(/\.ndjson$/, '')}.meta.json`;
+}
+
+/**
+ * Create an NDJSON log store
+ * @param {string} path - Log file path (*.ndjson)
+ * @returns {Object} Storage backend
+ */
+export function createNdjsonStore(path) {
+  const sidecarPath = getSidecarPath(path);
+  // Key-derivation salt shared by every envelope in this cache
+  let salt = null;
+
+  /**
+   * Decrypt a log line or sidecar if it is an encrypted envelope
+   */
+  function decode(text) {
+    if (!isEncrypted(text)) return text;
+    salt = salt || getEnvelopeSalt(text);
+    return decryptText(text);
+  }
+
+  function encode(text, encrypt) {
+    if (!encrypt) return text;
+    salt = salt || createSalt();
+    return encryptText(text, salt);
+  }
+
+  /**
+   * Read the log into a payment_hash -> transaction map (last line wins)
+   * A truncated final line (interrupted append) is skipped with a warning
+   * @throws {CacheError} if any other line is not valid JSON
+   */
+  function readLog() {
+    const byHash = new Map();
+    if (!fs.existsSync(path)) return byHash;
+
+    const content = fs.readFileSync(path, 'utf8');
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim()) continue;
+
+      let tx;
+      try {
+        tx = JSON.parse(decode(line));
+      } catch (error) {
+        if (error instanceof CacheError && error.operation === 'decrypt') throw error;
+        if (i === lines.length - 1 && !content.endsWith('\n')) {
+          logger.warn('Skipping incomplete last line in transaction cache', { path });
+          continue;
+        }
+        throw new CacheError(`Transaction cache is corrupt at line ${i + 1} (${error.message})`, 'read');
+      }
+      // Later lines are newer copies of the same payment
+      const previous = byHash.get(tx.payment_hash);
+      byHash.set(tx.payment_hash, previous ? mergeRecord(tx, previous) : tx);
+    }
+    return byHash;
+  }
+
+  /**
+   * Build a fresh sidecar index from transactions
+   */
+  function buildIndex(transactions) {
+    const index = {};
+    for (const tx of transactions) {
+      index[tx.payment_hash] = [txTimestamp(tx), digest(tx), txState(tx)];
+    }
+    return index;
+  }
+
+  /**
+   * Read the sidecar, rebuilding the index from the log if it is missing
+   * or unreadable (metadata such as coverage is lost in that case)
+   */
+  function readSidecar() {
+    if (fs.existsSync(sidecarPath)) {
+      try {
+        return JSON.parse(decode(fs.readFileSync(sidecarPath, 'utf8')));
+      } catch (error) {
+        if (error instanceof CacheError && error.operation === 'decrypt') throw error;
+        logger.warn('Cache index is corrupt, rebuilding from log', { sidecarPath, error: error.message });
+      }
+    }
+
+    const byHash = readLog();
+    if (byHash.size > 0) {
+      logger.debug('Rebuilding NDJSON cache index', { path, count: byHash.size });
+    }
+    return {
+      format: 'ndjson',
+      updated: null,
+      lines: byHash.size,
+      meta: {},
+      index: buildIndex(byHash.values()),
+    };
+  }
+
+  function writeSidecar(sidecar, encrypt) {
+    writeFileAtomic(sidecarPath, encode(JSON.stringify({
+      ...sidecar,
+      updated: new Date().toISOString(),
+    }), encrypt));
+  }
+
+  /**
+   * Replace the whole log
+   * @param {Array} transactions - Transactions to store
+   * @param {Object} [meta] - Cache metadata
+   * @param {Object} [options]
+   * @param {boolean} [options.encrypt] - Encrypt the files (default: keep current mode)
+   */
+  function write(transactions, meta = {}, { encrypt = shouldEncrypt([path, sidecarPath]) } = {}) {
+    const { updated, ...rest } = meta;
+    const body = transactions.map(tx => encode(JSON.stringify(tx), encrypt)).join('\n');
+    withFileLock(path, () => {
+      writeFileAtomic(path, body ? `${body}\n` : '');
+      writeSidecar({
+        format: 'ndjson',
+        lines: transactions.length,
+        meta: { ...rest, schemaVersion: CACHE_SCHEMA_VERSION },
+        index: buildIndex(transactions),
+      }, encrypt);
+    });
+  }
+
+  function read() {
+    return readWithRetry(path, () => {
+      const sidecar = readSidecar();
+      const transactions = [...readLog().values()]
+        .sort((a, b) => txTimestamp(b) - txTimestamp(a));
+      return {
+        meta: { ...sidecar.meta, updated: sidecar.updated },
+        transactions,
+      };
+    });
+  }
+
+  return {
+    type: 'ndjson',
+    path,
+    sidecarPath,
+
+    exists() {
+      return fs.existsSync(path) || fs.existsSync(sidecarPath);
+    },
+
+    files() {
+      return [path, sidecarPath].filter(file => fs.existsSync(file));
+    },
+
+    isEncrypted() {
+      return isEncryptedFile(path) || isEncryptedFile(sidecarPath);
+    },
+
+    read,
+
+    readMeta() {
+      if (!fs.existsSync(sidecarPath) && !fs.existsSync(path)) return {};
+      const sidecar = readWithRetry(path, readSidecar);
+      return { ...sidecar.meta, updated: sidecar.updated };
+    },
+
+    write,
+
+    /**
+     * Append new or changed transactions to the log
+     * Unchanged records (same digest) are skipped. A pending copy of a payment
+     * indexed in a final state is appended for its sighting, but leaves the
+     * index entry alone, since reads keep the final copy (see mergeRecord).
+     */
+    upsert(transactions, meta = null) {
+      withFileLock(path, () => {
+        const encrypt = shouldEncrypt([path, sidecarPath]);
+        const sidecar = readSidecar();
+        const lines = [];
+
+        for (const tx of transactions) {
+          const hash = digest(tx);
+          if (sidecar.index[tx.payment_hash]?.[1] === hash) continue;
+          lines.push(encode(JSON.stringify(tx), encrypt));
+          const state = txState(tx);
+          const indexed = sidecar.index[tx.payment_hash]?.[2];
+          if (state === 'pending' && indexed && indexed !== 'pending') continue;
+          sidecar.index[tx.payment_hash] = [txTimestamp(tx), hash, state];
+        }
+
+        if (lines.length > 0) {
+          fs.appendFileSync(path, `${lines.join('\n')}\n`);
+          sidecar.lines += lines.length;
+        }
+        if (meta) {
+          const { updated, ...rest } = meta;
+          sidecar.meta = rest;
+        }
+        sidecar.meta = { ...sidecar.meta, schemaVersion: CACHE_SCHEMA_VERSION };
+
+        const count = Object.keys(sidecar.index).length;
+        if (sidecar.lines >= COMPACT_MIN_LINES && sidecar.lines > count * COMPACT_RATIO) {
+          logger.debug('Compacting NDJSON cache', { lines: sidecar.lines, count });
+          const { transactions: live } = read();
+          write(live, sidecar.meta, { encrypt });
+          return;
+        }
+
+        writeSidecar(sidecar, encrypt);
+      });
+    },
+
+    clear() {
+      return withFileLock(path, () => {
+        let cleared = false;
+        for (const file of [path, sidecarPath]) {
+          if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+            cleared = true;
+          }
+        }
+        return cleared;
+      });
+    },
+
+    stats() {
+      if (!fs.existsSync(path) && !fs.existsSync(sidecarPath)) return null;
+      const sidecar = readWithRetry(path, readSidecar);
+      const entries = Object.values(sidecar.index);
+      const sizeBytes = [path, sidecarPath]
+        .filter(file => fs.existsSync(file))
+        .reduce((sum, file) => sum + fs.statSync(file).size, 0);
+
+      return {
+        sizeBytes,
+        updated: sidecar.updated,
+        count: entries.length,
+        ...timestampBounds(entries.map(([ts]) => ts)),
+        meta: sidecar.meta,
+      };
+    },
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Storage Record Helpers
+ * Shared transaction helpers for storage backends
+ */
+
+import { INVOICE_STATES, DEFAULT_INVOICE_EXPIRY } from '../constants.js';
+
+/**
+ * Get a transaction's timestamp
+ * @param {Object} tx - Transaction
+ * @returns {number} Unix seconds, or 0 if unknown
+ */
+export function txTimestamp(tx) {
+  return tx.settled_at || tx.created_at || 0;
+}
+
+/**
+ * Shrink a transaction to the fields incremental sync needs
+ * @param {Object} tx - Transaction
+ * @returns {Object} Stub with payment_hash and timestamps only
+ */
+export function toStub(tx) {
+  const stub = { payment_hash: tx.payment_hash, stub: true };
+  if (tx.settled_at) stub.settled_at = tx.settled_at;
+  if (tx.created_at) stub.created_at = tx.created_at;
+  return stub;
+}
+
+/**
+ * Check whether a cached transaction is a slim-mode stub
+ * @param {Object} tx - Transaction
+ * @returns {boolean}
+ */
+export function isStub(tx) {
+  return tx.stub === true;
+}
+
+/**
+ * Replace transactions that fail a predicate with stubs
+ * @param {Array} transactions - Transactions
+ * @param {Function} keep - Returns true for transactions to store in full
+ * @returns {Array} Full records and stubs, in the original order
+ */
+export function slimTransactions(transactions, keep) {
+  return transactions.map(tx => (isStub(tx) || keep(tx) ? tx : toStub(tx)));
+}
+
+/**
+ * Find the oldest and newest timestamps without spreading into Math.min/max
+ * (which overflows the call stack on large caches)
+ * @param {Iterable<number>} timestamps - Unix seconds
+ * @returns {{oldest: number|null, newest: number|null}}
+ */
+export function timestampBounds(timestamps) {
+  let oldest = null;
+  let newest = null;
+  for (const ts of timestamps) {
+    if (!ts) continue;
+    if (oldest === null || ts < oldest) oldest = ts;
+    if (newest === null || ts > newest) newest = ts;
+  }
+  return { oldest, newest };
+}
+
+/**
+ * Get a transaction's invoice state
+ * Records without a state (from wallets or caches that didn't report one)
+ * are settled if they have a settle time. Pending invoices past their expiry
+ * are expired, even if no wallet has said so yet.
+ * @param {Object} tx - Transaction
+ * @param {number} [now] - Current time (Unix seconds)
+ * @returns {string} One of INVOICE_STATES
+ */
+export function txState(tx, now = Math.floor(Date.now() / 1000)) {
+  let state = INVOICE_STATES.includes(tx.state) ? tx.state : null;
+  if (!state) {
+    state = tx.settled_at || isStub(tx) ? 'settled' : 'pending';
+  }
+
+  if (state === 'pending') {
+    const expiresAt = tx.expires_at || (tx.created_at && tx.created_at + DEFAULT_INVOICE_EXPIRY);
+    if (expiresAt && expiresAt <= now) return 'expired';
+  }
+  return state;
+}
+
+/**
+ * Record when a transaction's current state was first seen
+ * @param {Object} tx - Transaction
+ * @param {number} [now] - Current time (Unix seconds)
+ * @returns {Object} The transaction, or a copy with `state_seen_at` updated
+ */
+export function stampState(tx, now = Math.floor(Date.now() / 1000)) {
+  if (isStub(tx)) return tx;
+  const state = txState(tx, now);
+  if (tx.state_seen_at?.[state]) return tx;
+  return { ...tx, state_seen_at: { ...tx.state_seen_at, [state]: now } };
+}
+
+/**
+ * Combine two copies of one payment
+ * A pending copy never replaces a settled, expired or failed one; otherwise
+ * the incoming copy wins. The times each state was seen are kept from both.
+ * @param {Object} incoming - New copy
+ * @param {Object} existing - Stored copy
+ * @returns {Object} Merged transaction
+ */
+export function mergeRecord(incoming, existing) {
+  if (isStub(incoming) || isStub(existing)) return incoming;
+
+  const isPending = tx => txState(tx) === 'pending';
+  const base = isPending(incoming) && !isPending(existing) ? existing : incoming;
+  if (!incoming.state_seen_at && !existing.state_seen_at) return base;
+
+  // Keep the earliest sighting of every state
+  const seen = { ...incoming.state_seen_at };
+  for (const [state, at] of Object.entries(existing.state_seen_at || {})) {
+    if (!seen[state] || at < seen[state]) seen[state] = at;
+  }
+  return { ...base, state_seen_at: seen };
+}
+
+/**
+ * Merge transactions by payment_hash, newest copy first
+ * Incoming transactions replace existing ones with the same hash, except
+ * that a pending copy doesn't undo a final state (see mergeRecord)
+ * @param {Array} incoming - New or updated transactions
+ * @param {Array} existing - Stored transactions
+ * @returns {Array} Merged transactions sorted newest first
+ */
+export function mergeByHash(incoming, existing) {
+  const byHash = new Map();
+  for (const tx of [...incoming, ...existing]) {
+    const current = byHash.get(tx.payment_hash);
+    byHash.set(tx.payment_hash, current ? mergeRecord(current, tx) : tx);
+  }
+
+  const merged = [...byHash.values()];
+  merged.sort((a, b) => txTimestamp(b) - txTimestamp(a));
+  return merged;
+}
@@ -4,78 +4,346 @@
  */
 
 import { CONFIG } from './config.js';
-import { loadTransactionCache, saveTransactionCache } from './cache.js';
+import { loadTransactionCache, loadCacheMeta, appendTransactionCache } from './cache.js';
+import { addRange, missingRanges, findGaps } from './coverage.js';
+import { txTimestamp, txState, timestampBounds, mergeByHash } from './storage/records.js';
 import { MILLISATS_PER_SAT, RETRY_BASE_DELAY } from './constants.js';
 import { logger } from './logger.js';
 
 /**
- * Fetch transactions from NWC (recent only, uses cache)
+ * Request one batch of transactions, retrying on relay timeouts
  * @param {Object} client - NWC client instance
+ * @param {Object} params - listTransactions parameters
+ * @param {boolean} hasFallback - Whether partial data can be used if retries run out
+ * @returns {Promise<Object|null>} Response, or null if retries ran out with a fallback
+ */
+async function requestBatch(client, params, hasFallback) {
+  const { maxRetries } = CONFIG;
+  let retries = 0;
+
+  while (retries < maxRetries) {
+    try {
+      return await client.listTransactions(params);
+    } catch (error) {
+      if (error.name === 'Nip47ReplyTimeoutError' || error.code === 'INTERNAL') {
+        retries++;
+        if (retries >= maxRetries) {
+          if (hasFallback) {
+            return null;
+          }
+          throw new Error('Alby Hub timeout - is your Alby Hub running?');
+        }
+        await new Promise(r => setTimeout(r, RETRY_BASE_DELAY * retries));
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Page through all incoming transactions in a time window
+ * @param {Object} client - NWC client instance
+ * @param {Object} window - Window to fetch
+ * @param {number} [window.from] - Window start (Unix seconds, omitted = beginning)
+ * @param {number} window.until - Window end (Unix seconds)
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Offset to resume paging from
+ * @param {boolean} [options.hasFallback] - Whether cached data can be used on timeout
+ * @param {Function} [options.onBatch] - Called with each fetched batch
+ * @returns {Promise<Object>} Fetched transactions, covered range, next offset, and
+ *   whether the window was exhausted
+ */
+async function fetchWindow(client, window, { offset = 0, hasFallback = false, onBatch = null } = {}) {
+  const { batchSize: limit, batchDelay: baseDelay, maxBatches } = CONFIG;
+  const transactions = [];
+  let oldest = null;
+  let exhausted = false;
+  let batchCount = 0;
+
+  while (batchCount < maxBatches) {
+    const params = { type: 'incoming', limit, offset, until: window.until };
+    if (window.from !== undefined) params.from = window.from;
+
+    const response = await requestBatch(client, params, hasFallback || transactions.length > 0);
+    if (response === null) {
+      logger.warn(`Relay timeout. Keeping ${transactions.length} transactions fetched so far.`);
+      break;
+    }
+
+    const batch = response?.transactions || [];
+    for (const tx of batch) {
+      const txTime = tx.settled_at || tx.created_at;
+      if (txTime && (oldest === null || txTime < oldest)) {
+        oldest = txTime;
+      }
+      transactions.push(tx);
+    }
+    offset += batch.length;
+
+    if (onBatch) onBatch(batch);
+
+    if (batch.length < limit) {
+      exhausted = true;
+      break;
+    }
+
+    batchCount++;
+    await new Promise(r => setTimeout(r, baseDelay));
+  }
+
+  // Paging runs newest first, so everything from the oldest seen transaction
+  // up to the end of the window has been fetched
+  let covered = null;
+  if (exhausted) {
+    covered = { from: window.from ?? 0, until: window.until };
+  } else if (oldest !== null) {
+    covered = { from: oldest, until: window.until };
+  }
+
+  return { transactions, covered, offset, exhausted, oldest };
+}
+
+/**
+ * Fetch a list of uncovered spans and merge them into the cache
+ * @param {Object} client - NWC client instance
+ * @param {Array} spans - Spans to fetch
+ * @param {Object} context
+ * @param {Array} context.cached - Cached transactions
+ * @param {Object} context.meta - Cache metadata
+ * @param {Function} [context.onProgress] - Optional progress callback
+ * @param {string} context.cachePath - Cache to update
+ * @returns {Promise<Array>} Merged transactions (fetched + cached)
+ */
+async function fetchSpans(client, spans, { cached, meta, onProgress = null, cachePath }) {
+  const fetched = [];
+  let coverage = meta.coverage || [];
+
+  for (const span of spans) {
+    const result = await fetchWindow(client, span, {
+      hasFallback: cached.length > 0,
+      onBatch: (batch) => {
+        fetched.push(...batch);
+        if (onProgress) onProgress(fetched.length);
+      },
+    });
+    coverage = addRange(coverage, result.covered);
+  }
+
+  const merged = mergeByHash(fetched, cached);
+  appendTransactionCache(fetched, cachePath, { ...meta, coverage });
+
+  logger.debug('Finished fetching spans', {
+    spans: spans.length,
+    new: fetched.length,
+    total: merged.length,
+  });
+
+  return merged;
+}
+
+/**
+ * Fetch only the uncovered parts of a time window using NIP-47 from/until
+ * @param {Object} client - NWC client instance
+ * @param {Object} window - Requested window
+ * @param {Date|null} [window.from] - Window start (default: beginning of history)
+ * @param {Date|null} [window.until] - Window end (default: now)
  * @param {Function} onProgress - Optional progress callback
+ * @param {string} cachePath - Wallet cache path
+ * @returns {Promise<Array>} Merged transactions (fetched + cached)
+ */
+async function fetchTimeWindow(client, window, onProgress, cachePath) {
+  const cached = loadTransactionCache(cachePath);
+  const meta = loadCacheMeta(cachePath);
+  const now = Math.floor(Date.now() / 1000);
+
+  const requested = {
+    from: window.from ? Math.floor(window.from.getTime() / 1000) : 0,
+    until: window.until ? Math.min(Math.floor(window.until.getTime() / 1000), now) : now,
+  };
+  const spans = missingRanges(requested, meta.coverage || []);
+
+  logger.debug('Fetching time window', {
+    cached: cached.length,
+    requested,
+    missing: spans,
+  });
+
+  if (spans.length === 0) {
+    return cached;
+  }
+
+  return fetchSpans(client, spans, { cached, meta, onProgress, cachePath });
+}
+
+/**
+ * Find gaps in the cached history
+ * @param {Array} cached - Cached transactions
+ * @param {Object} meta - Cache metadata
+ * @returns {Array} Uncovered spans
+ */
+function findCacheGaps(cached, meta) {
+  const { oldest, newest } = timestampBounds(cached.map(txTimestamp));
+  return findGaps(meta.coverage || [], oldest, newest);
+}
+
+/**
+ * Check each gap in the cached history against the wallet
+ *
+ * Probes every gap with a single batch request and counts transactions the
+ * cache does not have. Read-only: nothing is written to the cache.
+ *
+ * @param {Object} client - NWC client instance
+ * @param {string} [cachePath] - Wallet cache path
+ * @returns {Promise<Array>} Gaps with `missing` count (null if the probe timed out)
+ *   and `more` set when the gap holds more than one batch
+ */
+export async function verifyGaps(client, cachePath = CONFIG.paths.cache) {
+  const cached = loadTransactionCache(cachePath);
+  const gaps = findCacheGaps(cached, loadCacheMeta(cachePath));
+  const known = new Set(cached.map(tx => tx.payment_hash));
+  const { batchSize: limit, batchDelay: baseDelay } = CONFIG;
+  const results = [];
+
+  logger.debug('Verifying cache gaps', { gaps: gaps.length });
+
+  for (const gap of gaps) {
+    const response = await requestBatch(client, {
+      type: 'incoming',
+      limit,
+      offset: 0,
+      from: gap.from,
+      until: gap.until,
+    }, true);
+
+    if (response === null) {
+      results.push({ ...gap, missing: null, more: false });
+    } else {
+      const batch = response.transactions || [];
+      results.push({
+        ...gap,
+        missing: batch.filter(tx => !known.has(tx.payment_hash)).length,
+        more: batch.length >= limit,
+      });
+    }
+
+    await new Promise(r => setTimeout(r, baseDelay));
+  }
+
+  return results;
+}
+
+/**
+ * Fetch every gap in the cached history and record it as covered
+ * @param {Object} client - NWC client instance
+ * @param {Function} onProgress - Optional progress callback
+ * @param {string} [cachePath] - Wallet cache path
+ * @returns {Promise<Array>} Merged transactions (fetched + cached)
+ */
+export async function repairGaps(client, onProgress = null, cachePath = CONFIG.paths.cache) {
+  const cached = loadTransactionCache(cachePath);
+  const meta = loadCacheMeta(cachePath);
+  const gaps = findCacheGaps(cached, meta);
+
+  logger.debug('Repairing cache gaps', { gaps });
+
+  if (gaps.length === 0) {
+    return cached;
+  }
+
+  return fetchSpans(client, gaps, { cached, meta, onProgress, cachePath });
+}
+
+/**
+ * Fetch transactions from NWC (uses cache)
+ *
+ * Without a window, fetches transactions newer than the cache, including
+ * unpaid invoices, and rechecks invoices cached while pending. With a window,
+ * fetches whatever part of it the cache does not cover yet.
+ *
+ * @param {Object} client - NWC client instance
+ * @param {Function} onProgress - Optional progress callback
+ * @param {Object} [window] - Optional time window
+ * @param {Date|null} [window.from] - Window start
+ * @param {Date|null} [window.until] - Window end
+ * @param {string} [cachePath] - Wallet cache path
  * @returns {Promise<Array>} Merged transactions (new + cached)
  */
-export async function fetchTransactions(client, onProgress = null) {
-  const cached = loadTransactionCache();
-  const latestCached = cached.length > 0
-    ? Math.max(...cached.map(tx => tx.settled_at || tx.created_at || 0))
-    : 0;
+export async function fetchTransactions(client, onProgress = null, window = null, cachePath = CONFIG.paths.cache) {
+  if (window && (window.from || window.until)) {
+    return fetchTimeWindow(client, window, onProgress, cachePath);
+  }
+
+  const cached = loadTransactionCache(cachePath);
+  const meta = loadCacheMeta(cachePath);
+  // Records imported from node exports may be newer than anything this
+  // wallet has synced, so they can't mark where the sync should stop
+  const synced = cached.filter(tx => !tx.imported_from);
+  const open = synced.filter(tx => txState(tx) === 'pending');
+  let latestCached = timestampBounds(
+    synced.filter(tx => txState(tx) !== 'pending').map(txTimestamp)
+  ).newest || 0;
+
+  // Go back far enough to see whether open invoices have settled since
+  const oldestOpen = timestampBounds(open.map(txTimestamp)).oldest;
+  if (oldestOpen !== null && oldestOpen <= latestCached) {
+    latestCached = oldestOpen - 1;
+  }
 
-  const newTransactions = [];
+  // Keep every record fetched, not just those newer than the cache: the pages
+  // are recorded as covered, so a payment missing below latestCached (e.g. one
+  // `v4v watch` missed before storing a newer one) must be merged here
+  const cachedHashes = new Set(cached.map(tx => tx.payment_hash));
+  const fetched = [];
+  let newCount = 0;
+  const fetchedAt = Math.floor(Date.now() / 1000);
   let offset = 0;
-  const { batchSize: limit, batchDelay: baseDelay, maxRetries, maxBatches } = CONFIG;
+  const { batchSize: limit, batchDelay: baseDelay, maxBatches } = CONFIG;
   let batchCount = 0;
+  let oldestSeen = null;
+  let exhausted = false;
 
   logger.debug('Fetching transactions', {
     cached: cached.length,
     latestCached,
+    open: open.length,
     batchSize: limit,
     maxBatches,
   });
 
   while (batchCount < maxBatches) {
-    let response;
-    let retries = 0;
-
-    while (retries < maxRetries) {
-      try {
-        response = await client.listTransactions({
-          type: 'incoming',
-          limit,
-          offset,
-        });
-        break;
-      } catch (error) {
-        if (error.name === 'Nip47ReplyTimeoutError' || error.code === 'INTERNAL') {
-          retries++;
-          if (retries >= maxRetries) {
-            if (newTransactions.length > 0 || cached.length > 0) {
-              logger.warn(`Relay timeout. Using ${newTransactions.length} new + ${cached.length} cached transactions.`);
-              break;
-            }
-            throw new Error('Alby Hub timeout - is your Alby Hub running?');
-          }
-          await new Promise(r => setTimeout(r, RETRY_BASE_DELAY * retries));
-          continue;
-        }
-        throw error;
-      }
+    const hasFallback = fetched.length > 0 || cached.length > 0;
+    const response = await requestBatch(client, {
+      type: 'incoming',
+      unpaid: true,
+      limit,
+      offset,
+    }, hasFallback);
+
+    if (response === null) {
+      logger.warn(`Relay timeout. Using ${newCount} new + ${cached.length} cached transactions.`);
+      break;
     }
 
     if (!response?.transactions || response.transactions.length === 0) {
+      exhausted = true;
       break;
     }
 
     // Check if we've reached cached data
     const oldestInBatch = Math.min(...response.transactions.map(tx => tx.settled_at || tx.created_at || Infinity));
+    if (Number.isFinite(oldestInBatch)) {
+      oldestSeen = oldestSeen === null ? oldestInBatch : Math.min(oldestSeen, oldestInBatch);
+    }
 
     for (const tx of response.transactions) {
-      const txTime = tx.settled_at || tx.created_at || 0;
-      if (txTime > latestCached) {
-        newTransactions.push(tx);
-      }
+      fetched.push(tx);
+      if (!cachedHashes.has(tx.payment_hash)) newCount++;
     }
 
-    if (onProgress) onProgress(newTransactions.length);
+    if (onProgress) onProgress(newCount);
 
     // Stop if we've reached cached data
     if (oldestInBatch <= latestCached) {
@@ -83,6 +351,7 @@ export async function fetchTransactions(client, onProgress = null) {
     }
 
     if (response.transactions.length < limit) {
+      exhausted = true;
       break;
     }
 
@@ -91,25 +360,106 @@ export async function fetchTransactions(client, onProgress = null) {
     await new Promise(r => setTimeout(r, baseDelay));
   }
 
-  // Merge and dedupe by payment_hash
-  const seen = new Set();
-  const merged = [];
-  for (const tx of [...newTransactions, ...cached]) {
-    if (!seen.has(tx.payment_hash)) {
-      seen.add(tx.payment_hash);
-      merged.push(tx);
-    }
-  }
+  const merged = mergeByHash(fetched, cached);
 
-  // Sort by time descending
-  merged.sort((a, b) => (b.settled_at || b.created_at || 0) - (a.settled_at || a.created_at || 0));
+  // Everything from the oldest transaction seen up to now has been fetched
+  let covered = null;
+  if (exhausted) {
+    covered = { from: 0, until: fetchedAt };
+  } else if (oldestSeen !== null) {
+    covered = { from: oldestSeen, until: fetchedAt };
+  }
 
   // Save updated cache
-  saveTransactionCache(merged);
+  appendTransactionCache(fetched, cachePath, {
+    ...meta,
+    coverage: addRange(meta.coverage || [], covered),
+  });
 
   logger.debug('Finished fetching transactions', {
-    new: newTransactions.length,
+    new: newCount,
+    total: merged.length,
+  });
+
+  return merged;
+}
+
+/**
+ * Backfill older transaction history, resuming from the cached checkpoint
+ *
+ * Pages backwards from a fixed `until` anchor so offsets stay stable while
+ * new payments arrive. Each run fetches up to CONFIG.maxBatches batches and
+ * records how far it got; the next run continues from there until the
+ * wallet's full history is cached.
+ *
+ * @param {Object} client - NWC client instance
+ * @param {Function} onProgress - Optional progress callback
+ * @param {string} [cachePath] - Wallet cache path
+ * @returns {Promise<Array>} Merged transactions (backfilled + cached)
+ */
+export async function backfillTransactions(client, onProgress = null, cachePath = CONFIG.paths.cache) {
+  const cached = loadTransactionCache(cachePath);
+  const meta = loadCacheMeta(cachePath);
+
+  if (meta.backfill?.complete) {
+    logger.debug('Backfill already complete', meta.backfill);
+    return cached;
+  }
+
+  const checkpoint = meta.backfill || {
+    until: Math.floor(Date.now() / 1000),
+    offset: 0,
+    oldest: null,
+    complete: false,
+  };
+  let fetchedCount = 0;
+
+  logger.debug('Backfilling transactions', {
+    cached: cached.length,
+    until: checkpoint.until,
+    offset: checkpoint.offset,
+    maxBatches: CONFIG.maxBatches,
+  });
+
+  const result = await fetchWindow(client, { until: checkpoint.until }, {
+    offset: checkpoint.offset,
+    hasFallback: cached.length > 0,
+    onBatch: (batch) => {
+      fetchedCount += batch.length;
+      if (onProgress) onProgress(fetchedCount);
+    },
+  });
+
+  const merged = mergeByHash(result.transactions, cached);
+  const oldest = checkpoint.oldest === null || (result.oldest !== null && result.oldest < checkpoint.oldest)
+    ? result.oldest
+    : checkpoint.oldest;
+  const backfill = {
+    until: checkpoint.until,
+    offset: result.offset,
+    oldest,
+    complete: result.exhausted,
+  };
+
+  // Earlier runs covered everything from their oldest transaction up to the
+  // anchor, so this run extends that range down to the new oldest
+  let covered = null;
+  if (backfill.complete) {
+    covered = { from: 0, until: backfill.until };
+  } else if (oldest !== null) {
+    covered = { from: oldest, until: backfill.until };
+  }
+
+  appendTransactionCache(result.transactions, cachePath, {
+    ...meta,
+    backfill,
+    coverage: addRange(meta.coverage || [], covered),
+  });
+
+  logger.debug('Finished backfill run', {
+    fetched: result.transactions.length,
     total: merged.length,
+    ...backfill,
   });
 
   return merged;
@@ -9,6 +9,10 @@
  * @property {number} [created_at] - Creation timestamp (Unix seconds)
  * @property {string} [description] - Payment description
  * @property {string} payment_hash - Unique payment identifier
+ * @property {string} [state] - Invoice state: pending, settled, expired or failed
+ * @property {Object<string, number>} [state_seen_at] - When each state was first seen (Unix seconds)
+ * @property {string} [wallet] - Name of the wallet that received it
+ * @property {string} [site] - Site the payment was attributed to (dashboard/API only)
  *
  * @typedef {Object} EssaySummary
  * @property {number} sats - Total satoshis received
@@ -37,47 +41,200 @@
  */
 
 import { CONFIG } from './config.js';
-import { MILLISATS_PER_SAT, FOOTER_SLUG } from './constants.js';
+import { MILLISATS_PER_SAT, FOOTER_SLUG, DEFAULT_WALLET, DIRECT_SOURCE } from './constants.js';
+import { txState } from './storage/records.js';
+import { loadAttributionRules, attributePath } from './attribution.js';
+import { periodKey } from './shared/periods.js';
+import { buildDistribution } from './shared/distribution.js';
+import { buildHeatmap } from './shared/heatmap.js';
+import { buildSupporters } from './shared/supporters.js';
+import { essayLifecycle } from './shared/lifecycle.js';
+import { detectAnomalies } from './shared/anomalies.js';
+import { projectTotals, PROJECTION_PERIODS } from './shared/projections.js';
+import { buildSeries } from './shared/series.js';
+import { payerIdentity, zapRequest } from './identity.js';
 
 /**
- * Parse essay slug from description
- * Format: "site.com/essay-slug" or just "site.com" (footer)
+ * Find which configured site a payment description belongs to
+ * The longest matching URL wins, so "blog.example.com/post" is attributed to
+ * blog.example.com even when example.com is also configured
  * @param {string} description - Transaction description
- * @param {string} siteUrl - Site URL to match
- * @returns {string|null} Essay slug or null
+ * @param {string[]} siteUrls - Site URLs to match (default: configured sites)
+ * @returns {string|null} Matching site URL or null
  */
-export function parseEssaySlug(description, siteUrl = CONFIG.siteUrl) {
+export function matchSite(description, siteUrls = CONFIG.sites.map(site => site.url)) {
+  if (!description) return null;
+
+  let match = null;
+  for (const siteUrl of siteUrls) {
+    if (description.includes(siteUrl) && (!match || siteUrl.length > match.length)) {
+      match = siteUrl;
+    }
+  }
+  return match;
+}
+
+/**
+ * Find the site page a NIP-57 zap request was for
+ * Zap requests carry a JSON event instead of the "site.com/slug" memo, so
+ * the page comes from its url or r tags, a site URL in the zap comment, or
+ * the d tag of an a tag (a long-form post whose identifier is the page path,
+ * only with a single configured site)
+ * @param {Object} zap - Zap request event (kind 9734)
+ * @param {string[]} siteUrls - Site URLs to match (default: configured sites)
+ * @returns {string|null} A description like "site.com/essays/foo", or null
+ */
+export function zapDescription(zap, siteUrls = CONFIG.sites.map(site => site.url)) {
+  const tags = Array.isArray(zap?.tags) ? zap.tags.filter(Array.isArray) : [];
+  const values = (name) => tags.filter(tag => tag[0] === name && typeof tag[1] === 'string').map(tag => tag[1]);
+
+  const candidates = [...values('url'), ...values('r'), typeof zap?.content === 'string' ? zap.content : ''];
+  for (const candidate of candidates) {
+    if (matchSite(candidate, siteUrls)) return candidate;
+  }
+
+  if (siteUrls.length === 1) {
+    const identifier = values('a').map(a => a.split(':').slice(2).join(':')).find(Boolean);
+    if (identifier) return `${siteUrls[0]}/${identifier.replace(/^\/+/, '')}`;
+  }
+  return null;
+}
+
+/**
+ * Get the description to attribute a payment by
+ * The invoice memo, or for zaps without one the page the zap request names
+ * @param {Transaction} tx - Transaction
+ * @returns {string|undefined}
+ */
+export function paymentDescription(tx) {
+  if (matchSite(tx.description)) return tx.description;
+  const zap = zapRequest(tx);
+  return (zap && zapDescription(zap)) || tx.description;
+}
+
+/**
+ * Get the channel a payment came through
+ * @param {Transaction} tx - Transaction
+ * @returns {string} 'zap' for NIP-57 zaps, 'tip' for the payment page
+ */
+export function paymentChannel(tx) {
+  return zapRequest(tx) ? 'zap' : 'tip';
+}
+
+/**
+ * Parse the source key (essay slug) from a description
+ * Format: "site.com/essay-slug", "site.com/essays/foo" or just "site.com" (footer).
+ * The path after the site URL is mapped through the attribution rules.
+ * @param {string} description - Transaction description
+ * @param {string} siteUrl - Site URL to match (default: the site the description belongs to)
+ * @param {Object} [rules] - Compiled attribution rules (default: the rules file)
+ * @returns {string|null} Source key, or null for footer/general payments
+ */
+export function parseEssaySlug(description, siteUrl = matchSite(description), rules = loadAttributionRules()) {
+  if (!description || !siteUrl) return null;
+
+  const index = description.indexOf(siteUrl);
+  if (index === -1) return null;
+
+  // The path runs up to whitespace, punctuation that ends a memo, or a query
+  const path = description.slice(index + siteUrl.length).match(/^\/[^\s?#,;"'<>]*/)?.[0];
+  if (!path) return null;
+
+  return attributePath(path.replace(/[.)]+$/, ''), { site: siteUrl, rules });
+}
+
+/**
+ * Parse where a payment came from (the payment page's ?source= link parameter)
+ * Format: "site.com/essay-slug?source=newsletter" or "site.com?source=nostr-bio"
+ * @param {string} description - Transaction description
+ * @param {string} siteUrl - Site URL to match (default: the site the description belongs to)
+ * @returns {string|null} Source name, or null for payments without one
+ */
+export function parsePaymentSource(description, siteUrl = matchSite(description)) {
   if (!description || !siteUrl) return null;
 
-  // Escape dots for regex and extract slug
-  const escaped = siteUrl.replace(/\./g, '\\.');
-  const regex = new RegExp(`${escaped}\\/([a-z0-9-]+)`);
-  const match = description.match(regex);
-  return match ? match[1] : null;
+  const index = description.indexOf(siteUrl);
+  if (index === -1) return null;
+
+  // Only the query right after the site path, not a "?source=" elsewhere in a comment
+  const match = description.slice(index + siteUrl.length).match(/^[^\s?#]*\?(?:[^\s#]*&)?source=([a-z0-9._-]+)/i);
+  return match ? match[1].toLowerCase() : null;
 }
 
 /**
  * Check if description is a footer/general payment
  * @param {string} description - Transaction description
- * @param {string} siteUrl - Site URL to match
+ * @param {string} siteUrl - Site URL to match (default: the site the description belongs to)
  * @returns {boolean}
  */
-export function isFooterPayment(description, siteUrl = CONFIG.siteUrl) {
+export function isFooterPayment(description, siteUrl = matchSite(description)) {
   if (!description || !siteUrl) return false;
-  return description.trim() === siteUrl || description.trim() === `https://${siteUrl}`;
+  const page = description.trim().replace(/\?[^\s#]*$/, '');
+  return page === siteUrl || page === `https://${siteUrl}`;
+}
+
+/**
+ * Check if a transaction is a V4V payment (description contains site URL)
+ * @param {Transaction} tx - Transaction
+ * @param {string|null} siteUrl - Site URL to match (default: any configured site)
+ * @returns {boolean}
+ */
+export function isV4VPayment(tx, siteUrl = null) {
+  const description = paymentDescription(tx);
+  if (!siteUrl) return matchSite(description) !== null;
+  return Boolean(description && description.includes(siteUrl));
 }
 
 /**
  * Filter transactions for V4V payments (description contains site URL)
  * @param {Transaction[]} transactions - All transactions
- * @param {string} siteUrl - Site URL to filter by
+ * @param {string|null} siteUrl - Site URL to filter by (default: any configured site)
+ * @returns {Transaction[]} Filtered transactions
+ */
+export function filterV4VPayments(transactions, siteUrl = null) {
+  return transactions.filter(tx => isV4VPayment(tx, siteUrl));
+}
+
+/**
+ * Filter transactions in one invoice state
+ * @param {Transaction[]} transactions - Transactions
+ * @param {string} state - pending, settled, expired or failed
+ * @returns {Transaction[]} Filtered transactions
+ */
+export function filterByState(transactions, state) {
+  return transactions.filter(tx => txState(tx) === state);
+}
+
+/**
+ * Keep only settled payments; pending, expired and failed invoices were never paid
+ * @param {Transaction[]} transactions - Transactions
+ * @returns {Transaction[]} Settled transactions
+ */
+export function filterSettled(transactions) {
+  return filterByState(transactions, 'settled');
+}
+
+/**
+ * Summarize invoices that are still waiting to be paid
+ * @param {Transaction[]} transactions - Transactions
+ * @returns {PeriodSummary} Pending invoice count and their total sats
+ */
+export function summarizePending(transactions) {
+  const pending = filterByState(transactions, 'pending');
+  return {
+    sats: pending.reduce((sum, tx) => sum + Math.floor(tx.amount / MILLISATS_PER_SAT), 0),
+    count: pending.length,
+  };
+}
+
+/**
+ * Filter payments attributed to some of the configured sites
+ * @param {Transaction[]} transactions - V4V payments
+ * @param {string[]} siteUrls - Sites to keep
  * @returns {Transaction[]} Filtered transactions
  */
-export function filterV4VPayments(transactions, siteUrl = CONFIG.siteUrl) {
-  if (!siteUrl) return [];
-  return transactions.filter(tx =>
-    tx.description && tx.description.includes(siteUrl)
-  );
+export function filterBySite(transactions, siteUrls) {
+  return transactions.filter(tx => siteUrls.includes(matchSite(paymentDescription(tx))));
 }
 
 /**
@@ -109,7 +266,7 @@ export function aggregateByEssay(transactions, sortBy = 'sats') {
   const byEssay = new Map();
 
   for (const tx of transactions) {
-    const slug = parseEssaySlug(tx.description) || FOOTER_SLUG;
+    const slug = parseEssaySlug(paymentDescription(tx)) || FOOTER_SLUG;
     const timestamp = tx.settled_at || tx.created_at;
     const existing = byEssay.get(slug) || { sats: 0, count: 0, lastPayment: 0 };
     existing.sats += Math.floor(tx.amount / MILLISATS_PER_SAT);
@@ -130,34 +287,130 @@ export function aggregateByEssay(transactions, sortBy = 'sats') {
   return new Map([...byEssay.entries()].sort(sortFn));
 }
 
+/**
+ * Summarize each essay's lifecycle: sats in the first 24h/7d/30d after
+ * publishing, the long tail after that, and days since the last tip
+ * Essays in the feed that never earned anything are included too
+ * @param {Transaction[]} transactions - Transactions to summarize
+ * @param {Object} published - ISO publish dates by source key (from the RSS feed)
+ * @param {number} [now] - Current time (Unix seconds)
+ * @returns {Array<Object>} { slug, ...essayLifecycle() }, by sats
+ */
+export function buildLifecycle(transactions, published = {}, now = Math.floor(Date.now() / 1000)) {
+  const byEssay = new Map(Object.keys(published).map(slug => [slug, []]));
+
+  for (const tx of transactions) {
+    const slug = parseEssaySlug(paymentDescription(tx));
+    if (!slug) continue;
+    if (!byEssay.has(slug)) byEssay.set(slug, []);
+    byEssay.get(slug).push({
+      sats: Math.floor(tx.amount / MILLISATS_PER_SAT),
+      timestamp: tx.settled_at || tx.created_at,
+    });
+  }
+
+  return [...byEssay.entries()]
+    .map(([slug, payments]) => {
+      const date = published[slug] ? Date.parse(published[slug]) : NaN;
+      const publishedAt = Number.isNaN(date) ? null : Math.floor(date / 1000);
+      return { slug, ...essayLifecycle(payments, publishedAt, now) };
+    })
+    .sort((a, b) => b.sats - a.sats || (b.published ?? 0) - (a.published ?? 0));
+}
+
+/**
+ * Aggregate transactions by receiving wallet
+ * @param {Transaction[]} transactions - Transactions to aggregate
+ * @returns {Map<string, PeriodSummary>} Map of wallet name -> summary, by sats
+ */
+export function aggregateByWallet(transactions) {
+  const byWallet = new Map();
+
+  for (const tx of transactions) {
+    const wallet = tx.wallet || DEFAULT_WALLET;
+    const existing = byWallet.get(wallet) || { sats: 0, count: 0 };
+    existing.sats += Math.floor(tx.amount / MILLISATS_PER_SAT);
+    existing.count += 1;
+    byWallet.set(wallet, existing);
+  }
+
+  return new Map([...byWallet.entries()].sort((a, b) => b[1].sats - a[1].sats));
+}
+
+/**
+ * Aggregate payments by the site they were attributed to
+ * @param {Transaction[]} transactions - V4V payments
+ * @returns {Map<string, PeriodSummary>} Map of site URL -> summary, sorted by sats
+ */
+export function aggregateBySite(transactions) {
+  const bySite = new Map();
+
+  for (const tx of transactions) {
+    const site = matchSite(paymentDescription(tx));
+    if (!site) continue;
+    const existing = bySite.get(site) || { sats: 0, count: 0 };
+    existing.sats += Math.floor(tx.amount / MILLISATS_PER_SAT);
+    existing.count += 1;
+    bySite.set(site, existing);
+  }
+
+  return new Map([...bySite.entries()].sort((a, b) => b[1].sats - a[1].sats));
+}
+
+/**
+ * Aggregate payments by the ?source= link parameter they were made through
+ * @param {Transaction[]} transactions - V4V payments
+ * @returns {Map<string, PeriodSummary>} Map of source -> summary, sorted by sats;
+ *   payments without a source are under DIRECT_SOURCE
+ */
+export function aggregateByPaymentSource(transactions) {
+  const bySource = new Map();
+
+  for (const tx of transactions) {
+    const source = parsePaymentSource(paymentDescription(tx)) || DIRECT_SOURCE;
+    const existing = bySource.get(source) || { sats: 0, count: 0 };
+    existing.sats += Math.floor(tx.amount / MILLISATS_PER_SAT);
+    existing.count += 1;
+    bySource.set(source, existing);
+  }
+
+  return new Map([...bySource.entries()].sort((a, b) => b[1].sats - a[1].sats));
+}
+
+/**
+ * Aggregate payments by channel: payment-page tips and Nostr zaps
+ * @param {Transaction[]} transactions - V4V payments
+ * @returns {Map<string, PeriodSummary>} Map of channel -> summary, sorted by sats
+ */
+export function aggregateByChannel(transactions) {
+  const byChannel = new Map();
+
+  for (const tx of transactions) {
+    const channel = paymentChannel(tx);
+    const existing = byChannel.get(channel) || { sats: 0, count: 0 };
+    existing.sats += Math.floor(tx.amount / MILLISATS_PER_SAT);
+    existing.count += 1;
+    byChannel.set(channel, existing);
+  }
+
+  return new Map([...byChannel.entries()].sort((a, b) => b[1].sats - a[1].sats));
+}
+
 /**
  * Aggregate transactions by time period
  * @param {Transaction[]} transactions - Transactions to aggregate
- * @param {string} period - 'daily', 'weekly', or 'monthly'
+ * @param {string} period - 'daily', 'weekly' (ISO weeks), or 'monthly'
+ * @param {string} [timeZone] - IANA time zone the periods are in
  * @returns {Map<string, PeriodSummary>} Map of period key -> summary
  */
-export function aggregateByPeriod(transactions, period = 'monthly') {
+export function aggregateByPeriod(transactions, period = 'monthly', timeZone = CONFIG.timeZone) {
   const byPeriod = new Map();
 
   for (const tx of transactions) {
     const timestamp = tx.settled_at || tx.created_at;
     if (!timestamp) continue;
 
-    const date = new Date(timestamp * 1000);
-    let key;
-
-    if (period === 'daily') {
-      key = date.toISOString().split('T')[0];
-    } else if (period === 'weekly') {
-      // Get ISO week start (Monday)
-      const d = new Date(date);
-      d.setDate(d.getDate() - d.getDay() + 1);
-      key = d.toISOString().split('T')[0];
-    } else {
-      // Monthly
-      key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-    }
-
+    const key = periodKey(timestamp, period, timeZone);
     const existing = byPeriod.get(key) || { sats: 0, count: 0 };
     existing.sats += Math.floor(tx.amount / MILLISATS_PER_SAT);
     existing.count += 1;
@@ -168,6 +421,114 @@ export function aggregateByPeriod(transactions, period = 'monthly') {
   return new Map([...byPeriod.entries()].sort((a, b) => b[0].localeCompare(a[0])));
 }
 
+/**
+ * Build cumulative-to-date totals and/or rolling-window sums per period
+ * @param {Transaction[]} transactions - Settled payments (all of history)
+ * @param {Object} options
+ * @param {string} [options.period] - 'daily', 'weekly' (ISO weeks), or 'monthly'
+ * @param {string} [options.timeZone] - IANA time zone the periods are in
+ * @param {number|null} [options.rolling] - Window in days: 7, 30 or 90
+ * @param {boolean} [options.cumulative] - Include running totals
+ * @param {Date|null} [options.from] - List periods from this date on
+ * @param {Date|null} [options.to] - List periods up to this date
+ * @returns {Object[]} Every period oldest first, empty ones included (in sats)
+ */
+export function aggregateSeries(transactions, {
+  period = 'monthly',
+  timeZone = CONFIG.timeZone,
+  rolling = null,
+  cumulative = false,
+  from = null,
+  to = null,
+} = {}) {
+  const payments = transactions.map(tx => ({
+    sats: Math.floor(tx.amount / MILLISATS_PER_SAT),
+    timestamp: tx.settled_at || tx.created_at,
+  }));
+  const seconds = date => (date ? Math.floor(date.getTime() / 1000) : null);
+  return buildSeries(payments, { period, timeZone, rolling, cumulative, from: seconds(from), to: seconds(to) });
+}
+
+/**
+ * Aggregate transactions by weekday and hour of day
+ * @param {Transaction[]} transactions - Transactions to aggregate
+ * @param {string} [timeZone] - IANA time zone for weekdays and hours
+ * @returns {Object} { weekdays, count, sats, total, peak } with 7×24 matrices (Monday first, in sats)
+ */
+export function aggregateByWeekdayHour(transactions, timeZone = CONFIG.timeZone) {
+  return buildHeatmap(transactions.map(tx => ({
+    sats: Math.floor(tx.amount / MILLISATS_PER_SAT),
+    timestamp: tx.settled_at || tx.created_at,
+  })), timeZone);
+}
+
+/**
+ * Summarize tip sizes: percentiles and a histogram around the preset amounts
+ * @param {Transaction[]} transactions - Transactions to summarize
+ * @param {number[]} [presets] - Payment page's preset amounts in sats
+ * @returns {Object} { count, min, max, mean, median, p25, p75, p90, histogram } (in sats)
+ */
+export function buildTipDistribution(transactions, presets = CONFIG.tipPresets) {
+  return buildDistribution(transactions.map(tx => Math.floor(tx.amount / MILLISATS_PER_SAT)), presets);
+}
+
+/**
+ * Build the supporter report: repeat supporters and new vs returning per period
+ * @param {Transaction[]} transactions - Settled payments (all of history, for lifetime totals)
+ * @param {Object} [options]
+ * @param {string} [options.period] - daily, weekly or monthly
+ * @param {string} [options.timeZone] - IANA time zone for periods
+ * @param {number|null} [options.since] - Only report activity from here (Unix seconds)
+ * @returns {Object} { supporters, identified, repeat, anonymous, byPeriod }
+ */
+export function buildSupporterReport(transactions, { period = 'monthly', timeZone = CONFIG.timeZone, since = null } = {}) {
+  const payments = transactions.map(tx => ({
+    payer: payerIdentity(tx),
+    sats: Math.floor(tx.amount / MILLISATS_PER_SAT),
+    timestamp: tx.settled_at || tx.created_at,
+  }));
+  return buildSupporters(payments, { period, timeZone, since });
+}
+
+/**
+ * Flag unusual drops, spikes and zero-payment streaks against a rolling baseline
+ * @param {Transaction[]} transactions - Settled payments (all of history, for the baseline)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for days
+ * @param {number} [options.days] - How many recent days to check
+ * @param {number} [options.now] - Current time (Unix seconds)
+ * @returns {Object} { from, to, baseline, flags }
+ */
+export function detectPaymentAnomalies(transactions, { timeZone = CONFIG.timeZone, days = 30, now } = {}) {
+  const payments = transactions.map(tx => ({
+    sats: Math.floor(tx.amount / MILLISATS_PER_SAT),
+    timestamp: tx.settled_at || tx.created_at,
+  }));
+  return detectAnomalies(payments, { timeZone, days, ...(now && { now }) });
+}
+
+/**
+ * Project this month's, quarter's and year's totals from the trailing average
+ * and the same period last year
+ * @param {Transaction[]} transactions - Settled payments (all of history)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for periods
+ * @param {string[]} [options.periods] - Any of week, month, quarter, year
+ * @param {number} [options.now] - Current time (Unix seconds)
+ * @returns {Object} { asOf, trailing, periods }
+ */
+export function projectPaymentTotals(transactions, {
+  timeZone = CONFIG.timeZone,
+  periods = PROJECTION_PERIODS,
+  now,
+} = {}) {
+  const payments = transactions.map(tx => ({
+    sats: Math.floor(tx.amount / MILLISATS_PER_SAT),
+    timestamp: tx.settled_at || tx.created_at,
+  }));
+  return projectTotals(payments, { timeZone, periods, ...(now && { now }) });
+}
+
 /**
  * Build summary stats from transactions
  * @param {Transaction[]} transactions - Transactions to summarize
@@ -181,8 +542,8 @@ export function buildSummary(transactions, btcPrice = null) {
   const avgSats = transactions.length > 0 ? Math.round(totalSats / transactions.length) : 0;
 
   // Split by essay vs general
-  const essayTxs = transactions.filter(tx => parseEssaySlug(tx.description));
-  const generalTxs = transactions.filter(tx => !parseEssaySlug(tx.description));
+  const essayTxs = transactions.filter(tx => parseEssaySlug(paymentDescription(tx)));
+  const generalTxs = transactions.filter(tx => !parseEssaySlug(paymentDescription(tx)));
   const essaySats = essayTxs.reduce((sum, tx) => sum + Math.floor(tx.amount / MILLISATS_PER_SAT), 0);
   const generalSats = generalTxs.reduce((sum, tx) => sum + Math.floor(tx.amount / MILLISATS_PER_SAT), 0);
 
@@ -216,6 +577,11 @@ export function simplifyTransaction(tx) {
     amount: Math.floor(tx.amount / MILLISATS_PER_SAT),
     timestamp: tx.settled_at || tx.created_at,
     description: tx.description,
-    essay: parseEssaySlug(tx.description) || FOOTER_SLUG,
+    essay: parseEssaySlug(paymentDescription(tx)) || FOOTER_SLUG,
+    wallet: tx.wallet || DEFAULT_WALLET,
+    site: matchSite(paymentDescription(tx)),
+    channel: paymentChannel(tx),
+    source: parsePaymentSource(paymentDescription(tx)),
+    payer: payerIdentity(tx),
   };
 }
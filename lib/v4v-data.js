@@ -7,6 +7,9 @@
 // Re-export from config
 export { CONFIG, validateConfig, getRssUrl } from './config.js';
 
+// Re-export from sites
+export { getSites, getSiteTitlesCachePath } from './sites.js';
+
 // Re-export from nwc-client
 export { createClient } from './nwc-client.js';
 
@@ -17,63 +20,138 @@ export { fetchBtcPrice, satsToUsd, formatUsd, formatNumber } from './price.js';
 export {
   loadTransactionCache,
   saveTransactionCache,
+  appendTransactionCache,
+  loadCacheMeta,
   getCacheFile,
   clearCache,
   getCacheStats,
+  migrateCache,
+  setCacheEncryption,
+  compactCache,
+  backupCorruptCache,
   loadTitlesCache,
+  loadPublishedCache,
   saveTitlesCache,
   getTitlesCacheFile,
   clearTitlesCache,
   getTitlesCacheInfo,
 } from './cache.js';
 
+// Re-export from archive
+export { exportArchive, importArchive, readArchive } from './archive.js';
+
+// Re-export from attribution rules
+export { loadAttributionRules, compileRules, attributePath, attributeTitles } from './attribution.js';
+
+// Re-export from period bucketing
+export { periodKey, isoWeek, isValidTimeZone, recentPeriodKeys } from './shared/periods.js';
+
+// Re-export from cumulative and rolling series
+export { ROLLING_WINDOWS, parseRollingWindow } from './shared/series.js';
+
+// Re-export from data sources
+export { DATA_SOURCES, getDataSource, readSource, importFromSource } from './sources/index.js';
+
+// Re-export from storage
+export { getStorage, STORAGE_BACKENDS } from './storage/index.js';
+export { CACHE_SCHEMA_VERSION } from './storage/migrations.js';
+
 // Re-export from transactions
-export { fetchTransactions } from './transactions.js';
+export {
+  fetchTransactions,
+  backfillTransactions,
+  verifyGaps,
+  repairGaps,
+} from './transactions.js';
 
 // Re-export from transformers
 export {
   parseEssaySlug,
+  parsePaymentSource,
+  matchSite,
+  zapDescription,
+  paymentDescription,
+  paymentChannel,
   filterV4VPayments,
+  filterBySite,
   filterByDateRange,
   aggregateByEssay,
   aggregateByPeriod,
+  aggregateSeries,
+  aggregateByWeekdayHour,
   buildSummary,
   simplifyTransaction,
+  aggregateByWallet,
+  aggregateBySite,
+  aggregateByChannel,
+  aggregateByPaymentSource,
+  filterByState,
+  filterSettled,
+  summarizePending,
+  buildTipDistribution,
+  buildSupporterReport,
+  buildLifecycle,
+  detectPaymentAnomalies,
+  projectPaymentTotals,
 } from './transformers.js';
 
+// Re-export from payer identity
+export { payerIdentity } from './identity.js';
+
+// Re-export from wallets
+export {
+  getWallets,
+  getWalletCachePath,
+  fetchWalletTransactions,
+} from './wallets.js';
+
 /**
  * Fetch all V4V data in one call
  * High-level convenience function
  */
-import { createClient } from './nwc-client.js';
 import { fetchBtcPrice } from './price.js';
-import { fetchTransactions } from './transactions.js';
-import { filterV4VPayments, filterByDateRange, buildSummary } from './transformers.js';
+import { getWallets, fetchWalletTransactions } from './wallets.js';
+import { getSites } from './sites.js';
+import {
+  filterV4VPayments,
+  filterByDateRange,
+  filterBySite,
+  filterSettled,
+  summarizePending,
+  buildSummary,
+} from './transformers.js';
 
 export async function fetchV4VData(options = {}) {
-  const client = createClient();
-
-  try {
-    // Fetch BTC price if requested
-    const btcPrice = options.usd ? await fetchBtcPrice() : null;
-
-    // Fetch and filter transactions
-    const allTransactions = await fetchTransactions(client);
-    let v4vPayments = filterV4VPayments(allTransactions);
-
-    // Apply date range filter
-    if (options.from || options.to) {
-      const fromDate = options.from ? new Date(options.from) : null;
-      const toDate = options.to ? new Date(options.to + 'T23:59:59') : null;
-      v4vPayments = filterByDateRange(v4vPayments, fromDate, toDate);
-    }
-
-    return {
-      transactions: v4vPayments,
-      summary: buildSummary(v4vPayments, btcPrice),
-      btcPrice,
-    };
-  } finally {
-    client.close();
+  // Fetch BTC price if requested
+  const btcPrice = options.usd ? await fetchBtcPrice() : null;
+
+  const fromDate = options.from ? new Date(options.from) : null;
+  const toDate = options.to ? new Date(options.to + 'T23:59:59') : null;
+  const window = fromDate || toDate ? { from: fromDate, until: toDate } : null;
+
+  // Fetch from every selected wallet and filter transactions
+  const allTransactions = await fetchWalletTransactions({ wallet: options.wallet, window });
+  let v4vPayments = filterV4VPayments(allTransactions);
+
+  const sites = getSites(options.site);
+  if (options.site) {
+    v4vPayments = filterBySite(v4vPayments, sites.map(site => site.url));
+  }
+
+  // Apply date range filter
+  if (window) {
+    v4vPayments = filterByDateRange(v4vPayments, fromDate, toDate);
   }
+
+  const pending = summarizePending(v4vPayments);
+  v4vPayments = filterSettled(v4vPayments);
+
+  return {
+    transactions: v4vPayments,
+    summary: buildSummary(v4vPayments, btcPrice),
+    btcPrice,
+    pending,
+    wallets: getWallets(options.wallet).map(w => w.name),
+    sites: sites.map(site => site.url),
+  };
 }
@@ -0,0 +1,121 @@
+/**
+ * Wallets Module
+ * Named NWC wallet connections, each with its own transaction cache
+ */
+
+import path from 'path';
+import { CONFIG } from './config.js';
+import { CACHE_FILES, DEFAULT_WALLET } from './constants.js';
+import { ValidationError } from './errors.js';
+import { createClient } from './nwc-client.js';
+import { fetchTransactions } from './transactions.js';
+import { loadTransactionCache } from './cache.js';
+import { getStorage } from './storage/index.js';
+import { mergeByHash } from './storage/records.js';
+import { logger } from './logger.js';
+
+/**
+ * Get configured wallets, optionally narrowed to some names
+ * @param {string|string[]|null} [names] - Wallet name(s), comma-separated or array
+ * @returns {Array<{name: string, connectionString: string}>}
+ * @throws {ValidationError} if a requested wallet is not configured
+ */
+export function getWallets(names = null) {
+  if (!names || names.length === 0) {
+    return CONFIG.wallets;
+  }
+
+  const requested = (Array.isArray(names) ? names : names.split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return requested.map(name => {
+    const wallet = CONFIG.wallets.find(w => w.name === name);
+    if (!wallet) {
+      const known = CONFIG.wallets.map(w => w.name).join(', ') || 'none';
+      throw new ValidationError(`Unknown wallet "${name}" (configured: ${known})`, 'wallet');
+    }
+    return wallet;
+  });
+}
+
+/**
+ * Get the cache path for a wallet
+ * The default wallet keeps the original cache file; named wallets get
+ * `.v4v-cache.<name>.json` (or `.ndjson`) next to it
+ * @param {string} name - Wallet name
+ * @param {string} [backend] - Storage backend (default: configured backend)
+ * @returns {string}
+ */
+export function getWalletCachePath(name, backend = CONFIG.cacheBackend) {
+  const file = CACHE_FILES[backend];
+  if (name === DEFAULT_WALLET) {
+    return backend === CONFIG.cacheBackend
+      ? CONFIG.paths.cache
+      : path.join(path.dirname(CONFIG.paths.cache), file);
+  }
+
+  const ext = path.extname(file);
+  return path.join(path.dirname(CONFIG.paths.cache), `${path.basename(file, ext)}.${name}${ext}`);
+}
+
+/**
+ * Tag transactions with the wallet they were received on
+ * @param {Array} transactions - Transactions
+ * @param {string} name - Wallet name
+ * @returns {Array} Tagged copies
+ */
+export function tagWallet(transactions, name) {
+  return transactions.map(tx => (tx.wallet === name ? tx : { ...tx, wallet: name }));
+}
+
+/**
+ * Fetch transactions from every selected wallet (uses each wallet's cache)
+ * @param {Object} [options]
+ * @param {string|string[]|null} [options.wallet] - Wallet name(s) (default: all)
+ * @param {Object|null} [options.window] - Time window, as for fetchTransactions
+ * @param {Function|null} [options.onProgress] - Called with the new transaction count
+ * @param {Function} [options.connect] - Client factory (for testing)
+ * @returns {Promise<Array>} Transactions tagged with `wallet`, newest first
+ * @throws {Error} if no wallet is configured and nothing has been imported
+ */
+export async function fetchWalletTransactions({
+  wallet = null,
+  window = null,
+  onProgress = null,
+  connect = createClient,
+} = {}) {
+  const wallets = getWallets(wallet);
+  if (wallets.length === 0) {
+    // Payments imported from node exports can be reported on without NWC
+    const cachePath = getWalletCachePath(DEFAULT_WALLET);
+    if (getStorage(cachePath).exists()) {
+      logger.debug('No wallet configured, using the cached transactions', { cachePath });
+      return tagWallet(loadTransactionCache(cachePath), DEFAULT_WALLET);
+    }
+    throw new Error('NWC_CONNECTION_STRING not found. Set it in your environment or .env file.');
+  }
+
+  let all = [];
+  // New transactions from wallets already fetched, so progress keeps counting up
+  let previous = 0;
+
+  for (const w of wallets) {
+    const client = connect({ wallet: w });
+    let fetched = 0;
+    try {
+      const progress = (count) => {
+        fetched = count;
+        if (onProgress) onProgress(previous + count);
+      };
+      const transactions = await fetchTransactions(client, progress, window, getWalletCachePath(w.name));
+      all = mergeByHash(tagWallet(transactions, w.name), all);
+      logger.debug('Fetched wallet', { wallet: w.name, transactions: transactions.length });
+    } finally {
+      client.close();
+    }
+    previous += fetched;
+  }
+
+  return all;
+}
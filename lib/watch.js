@@ -0,0 +1,144 @@
+/**
+ * Watch Module
+ * Live incoming payments via NIP-47 notifications, with a polling fallback
+ *
+ * Each wallet is synced once on start, then followed with `payment_received`
+ * notifications when the wallet service supports them. Otherwise the cache is
+ * synced again every CONFIG.watchInterval ms, which only asks the wallet for
+ * transactions newer than the cache.
+ */
+
+import { CONFIG } from './config.js';
+import { createClient } from './nwc-client.js';
+import { appendTransactionCache } from './cache.js';
+import { fetchTransactions } from './transactions.js';
+import { isV4VPayment, filterSettled } from './transformers.js';
+import { txState } from './storage/records.js';
+import { getWallets, getWalletCachePath, tagWallet } from './wallets.js';
+import { logger } from './logger.js';
+
+/**
+ * Check whether a wallet service sends payment_received notifications
+ * @param {Object} client - NWC client instance
+ * @returns {Promise<boolean>}
+ */
+async function supportsNotifications(client) {
+  try {
+    const info = await client.getInfo();
+    return Boolean(info?.notifications?.includes('payment_received'));
+  } catch (error) {
+    logger.debug('Could not read wallet info', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Follow one wallet until stopped
+ * @returns {Promise<Function>} Stop function
+ */
+async function watchWallet(wallet, { connect, poll, interval, onPayment, onStatus }) {
+  const client = connect({ wallet });
+  const cachePath = getWalletCachePath(wallet.name);
+  const seen = new Set();
+
+  // Polling also returns open invoices; a payment is new once it settles
+  const receive = (transactions, { store }) => {
+    const fresh = transactions.filter(tx => (
+      tx.payment_hash && txState(tx) === 'settled' && !seen.has(tx.payment_hash)
+    ));
+    for (const tx of fresh) seen.add(tx.payment_hash);
+    if (fresh.length === 0) return;
+
+    // Store every incoming payment, not just V4V ones, so the next incremental
+    // sync doesn't skip past non-V4V payments received in between
+    if (store) appendTransactionCache(fresh, cachePath);
+
+    for (const tx of tagWallet(fresh, wallet.name)) {
+      if (isV4VPayment(tx)) onPayment(tx);
+    }
+  };
+
+  let stopped = false;
+  let timer = null;
+  let unsubscribe = null;
+
+  try {
+    // Catch up first, so payments received since the last run aren't missed
+    const cached = await fetchTransactions(client, null, null, cachePath);
+    for (const tx of filterSettled(cached)) seen.add(tx.payment_hash);
+
+    if (!poll && await supportsNotifications(client)) {
+      unsubscribe = await client.subscribeNotifications((notification) => {
+        const tx = notification.notification;
+        if (tx?.type && tx.type !== 'incoming') return;
+        try {
+          receive([tx], { store: true });
+        } catch (error) {
+          logger.warn('Failed to record payment', { wallet: wallet.name, error: error.message });
+        }
+      }, ['payment_received']);
+      onStatus({ wallet: wallet.name, mode: 'notifications' });
+    } else {
+      const tick = async () => {
+        try {
+          // fetchTransactions appends to the cache itself
+          receive(await fetchTransactions(client, null, null, cachePath), { store: false });
+        } catch (error) {
+          logger.warn('Polling failed', { wallet: wallet.name, error: error.message });
+        }
+        if (!stopped) timer = setTimeout(tick, interval);
+      };
+      timer = setTimeout(tick, interval);
+      onStatus({ wallet: wallet.name, mode: 'polling', interval });
+    }
+  } catch (error) {
+    client.close();
+    throw error;
+  }
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (unsubscribe) unsubscribe();
+    client.close();
+  };
+}
+
+/**
+ * Watch selected wallets for new V4V payments
+ * @param {Object} options
+ * @param {string|string[]|null} [options.wallet] - Wallet name(s) (default: all)
+ * @param {boolean} [options.poll] - Poll even if notifications are supported
+ * @param {number} [options.interval] - Poll interval in ms
+ * @param {Function} options.onPayment - Called with each new V4V payment
+ * @param {Function} [options.onStatus] - Called with { wallet, mode, interval } once a wallet is followed
+ * @param {Function} [options.connect] - Client factory (for testing)
+ * @returns {Promise<Function>} Stops watching and closes every client
+ */
+export async function watchPayments({
+  wallet = null,
+  poll = false,
+  interval = CONFIG.watchInterval,
+  onPayment,
+  onStatus = () => {},
+  connect = createClient,
+}) {
+  const wallets = getWallets(wallet);
+  if (wallets.length === 0) {
+    throw new Error('NWC_CONNECTION_STRING not found. Set it in your environment or .env file.');
+  }
+
+  const stops = [];
+  try {
+    for (const w of wallets) {
+      stops.push(await watchWallet(w, { connect, poll, interval, onPayment, onStatus }));
+    }
+  } catch (error) {
+    for (const stop of stops) stop();
+    throw error;
+  }
+
+  return () => {
+    for (const stop of stops) stop();
+  };
+}
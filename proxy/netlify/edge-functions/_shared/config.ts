@@ -18,6 +18,20 @@ export const ALBY_TIMEOUT_MS = 10000;
 // Users can configure these based on their domain
 export const VALID_USERNAMES = ["sats", "zap", "lightning"] as const;
 
+/**
+ * Normalize the payment page's `source` parameter for the invoice memo
+ * Lowercase letters, digits, dots, dashes and underscores, up to 32 characters,
+ * so it can't break the "site.com/slug?source=name" memo the CLI parses
+ */
+export function normalizeSource(value: string | null): string {
+  return (value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+}
+
 export function errorResponse(status: number, reason: string): Response {
   return new Response(JSON.stringify({ status: "ERROR", reason }), {
     status,
@@ -14,7 +14,7 @@
 
 import type { Config } from "@netlify/edge-functions";
 import bolt11 from "bolt11";
-import { errorResponse, jsonResponse, alertFailure, ALBY_CALLBACK, ALBY_TIMEOUT_MS } from "./_shared/config.ts";
+import { errorResponse, jsonResponse, alertFailure, normalizeSource, ALBY_CALLBACK, ALBY_TIMEOUT_MS } from "./_shared/config.ts";
 import { withNWCClient, NWCNotConfiguredError } from "./_shared/nwc.ts";
 
 export default async (req: Request) => {
@@ -23,6 +23,7 @@ export default async (req: Request) => {
   const nostrParam = url.searchParams.get('nostr');
   const essaySlug = url.searchParams.get('essay') || '';
   const essayTitle = url.searchParams.get('title') || '';
+  const source = normalizeSource(url.searchParams.get('source'));
 
   const siteUrl = Deno.env.get("V4V_SITE_URL") || "";
 
@@ -76,9 +77,11 @@ export default async (req: Request) => {
   // No nostr param - handle locally with NWC for essay tracking
   try {
     const result = await withNWCClient(async (client) => {
-      const memo = essaySlug
+      // "site.com/essay-slug?source=newsletter": the CLI parses the source back out
+      const page = essaySlug
         ? `${siteUrl}/${essaySlug}`
         : siteUrl || 'V4V payment';
+      const memo = source && siteUrl ? `${page}?source=${source}` : page;
 
       const invoice = await client.makeInvoice({
         amount: parseInt(amount),
@@ -95,7 +98,7 @@ export default async (req: Request) => {
         console.error('Failed to decode BOLT11:', e);
       }
 
-      console.log(`Invoice generated: source=${essaySlug || 'footer'}, amount=${amount}ms, hash=${paymentHash}`);
+      console.log(`Invoice generated: essay=${essaySlug || 'footer'}, source=${source || 'direct'}, amount=${amount}ms, hash=${paymentHash}`);
 
       return { invoice: invoice.invoice, paymentHash };
     });
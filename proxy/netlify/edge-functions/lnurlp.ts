@@ -10,7 +10,7 @@
  */
 
 import type { Context, Config } from "@netlify/edge-functions";
-import { ALBY_LNURL, ALBY_TIMEOUT_MS, VALID_USERNAMES, errorResponse } from "./_shared/config.ts";
+import { ALBY_LNURL, ALBY_TIMEOUT_MS, VALID_USERNAMES, errorResponse, normalizeSource } from "./_shared/config.ts";
 
 export default async (req: Request, context: Context) => {
   const url = new URL(req.url);
@@ -20,6 +20,8 @@ export default async (req: Request, context: Context) => {
   // Extract essay parameters for per-essay tracking
   const essaySlug = url.searchParams.get('essay') || '';
   const essayTitle = url.searchParams.get('title') || '';
+  // Where the tip came from (newsletter, nostr-bio...), for per-channel tracking
+  const source = normalizeSource(url.searchParams.get('source'));
 
   // All aliases map to the same Alby account
   if (!VALID_USERNAMES.includes(username as typeof VALID_USERNAMES[number])) {
@@ -64,13 +66,17 @@ export default async (req: Request, context: Context) => {
     );
   }
 
-  // Rewrite callback to our handler, include essay parameter only if present
+  // Rewrite callback to our handler, include essay and source parameters only if present
   // Use request host to work on deploy previews
   const host = req.headers.get('host') || siteUrl;
   const protocol = host.includes('localhost') ? 'http' : 'https';
-  data.callback = essaySlug
-    ? `${protocol}://${host}/lnurl-callback?essay=${encodeURIComponent(essaySlug)}&title=${encodeURIComponent(essayTitle)}`
-    : `${protocol}://${host}/lnurl-callback`;
+  const callback = new URL(`${protocol}://${host}/lnurl-callback`);
+  if (essaySlug) {
+    callback.searchParams.set('essay', essaySlug);
+    callback.searchParams.set('title', essayTitle);
+  }
+  if (source) callback.searchParams.set('source', source);
+  data.callback = callback.toString();
 
   return new Response(JSON.stringify(data), {
     status: 200,
@@ -0,0 +1,96 @@
+/**
+ * Tests for anomaly detection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { poissonCdf, detectAnomalies, describeAnomaly } from '../lib/shared/anomalies.js';
+import { detectPaymentAnomalies } from '../lib/transformers.js';
+
+const DAY = 24 * 60 * 60;
+const NOW = 1717243200; // 2024-06-01T12:00:00Z
+
+/**
+ * 500-sat tips around noon UTC, perDay on each day from fromDaysAgo to toDaysAgo (0 = today)
+ */
+function steadyPayments(fromDaysAgo, toDaysAgo, perDay = 2) {
+  const payments = [];
+  for (let ago = fromDaysAgo; ago >= toDaysAgo; ago--) {
+    for (let i = 0; i < perDay; i++) {
+      payments.push({ sats: 500, timestamp: NOW - ago * DAY - i * 60 });
+    }
+  }
+  return payments;
+}
+
+describe('poissonCdf', () => {
+  it('should match known values', () => {
+    assert.strictEqual(poissonCdf(0, 0), 1);
+    assert.ok(Math.abs(poissonCdf(0, 2) - Math.exp(-2)) < 1e-12);
+    assert.ok(Math.abs(poissonCdf(2, 2) - 5 * Math.exp(-2)) < 1e-12);
+    assert.strictEqual(poissonCdf(-1, 2), 0);
+  });
+});
+
+describe('detectAnomalies', () => {
+  it('should flag nothing on a steady history', () => {
+    const result = detectAnomalies(steadyPayments(80, 0), { timeZone: 'UTC', now: NOW });
+    assert.deepStrictEqual(result.flags, []);
+    assert.strictEqual(result.from, '2024-05-03');
+    assert.strictEqual(result.to, '2024-06-01');
+    assert.strictEqual(result.baseline.countPerDay, 2);
+  });
+
+  it('should flag an ongoing zero-payment streak', () => {
+    const result = detectAnomalies(steadyPayments(80, 5), { timeZone: 'UTC', now: NOW });
+    const streak = result.flags.find(f => f.type === 'zero-streak');
+
+    assert.deepStrictEqual(streak, {
+      type: 'zero-streak',
+      metric: 'count',
+      from: '2024-05-28',
+      to: '2024-06-01',
+      days: 5,
+      actual: 0,
+      expected: 10,
+      ongoing: true,
+    });
+    assert.match(describeAnomaly(streak), /No payments for 5 days .* is the payment page working\?/);
+  });
+
+  it('should not flag short quiet spells on a slow site', () => {
+    // One tip every third day: two quiet days in a row are normal
+    const payments = steadyPayments(80, 0, 1).filter((_, i) => i % 3 === 0);
+    assert.deepStrictEqual(detectAnomalies(payments, { timeZone: 'UTC', now: NOW }).flags, []);
+  });
+
+  it('should flag drops and spikes', () => {
+    const payments = [
+      ...steadyPayments(80, 8, 4),
+      ...steadyPayments(7, 0, 1),
+      { sats: 100000, timestamp: NOW - 1 * DAY + 3600 },
+    ];
+    const { flags } = detectAnomalies(payments, { timeZone: 'UTC', now: NOW });
+
+    assert.deepStrictEqual(flags.map(f => f.type), ['drop', 'spike']);
+    assert.strictEqual(flags[0].to, '2024-06-01');
+    assert.strictEqual(flags[0].actual, 8);
+    assert.strictEqual(flags[0].expected, 28);
+    assert.match(describeAnomaly(flags[0]), /^Payments fell to 8 per 7 days \(2024-05-23 to 2024-06-01\)/);
+    assert.ok(flags[1].metric === 'sats' && flags[1].from === '2024-05-31');
+  });
+
+  it('should wait for enough history', () => {
+    const result = detectAnomalies(steadyPayments(10, 8), { timeZone: 'UTC', now: NOW });
+    assert.strictEqual(result.baseline, null);
+    assert.deepStrictEqual(result.flags, []);
+  });
+});
+
+describe('detectPaymentAnomalies', () => {
+  it('should read sats and timestamps from transactions', () => {
+    const transactions = steadyPayments(80, 5).map(p => ({ amount: p.sats * 1000, settled_at: p.timestamp }));
+    const result = detectPaymentAnomalies(transactions, { timeZone: 'UTC', now: NOW });
+    assert.deepStrictEqual(result.flags.map(f => f.type), ['zero-streak']);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for cache export/import archives
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import {
+  saveTransactionCache,
+  loadTransactionCache,
+  loadCacheMeta,
+  saveTitlesCache,
+  loadTitlesCache,
+} from '../lib/cache.js';
+import { exportArchive, importArchive, readArchive } from '../lib/archive.js';
+import { CacheError } from '../lib/errors.js';
+import { snapshotConfig, useTestSite, payment } from './helpers.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-archive');
+const archivePath = path.join(testDir, 'archive.json');
+const restoreConfig = snapshotConfig();
+
+/**
+ * Point the caches at a "machine" directory
+ */
+function useMachine(name) {
+  const dir = path.join(testDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  CONFIG.paths.cache = path.join(dir, '.v4v-cache.json');
+  CONFIG.paths.titlesCache = path.join(dir, '.titles-cache.json');
+}
+
+before(() => {
+  CONFIG.cacheBackend = 'json';
+  CONFIG.wallets = [{ name: 'default', connectionString: 'nostr+walletconnect://main' }];
+  useTestSite();
+  CONFIG.cachePassphrase = null;
+  CONFIG.cacheKeyFile = null;
+});
+
+after(() => {
+  restoreConfig();
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+  fs.mkdirSync(testDir, { recursive: true });
+  CONFIG.cachePassphrase = null;
+});
+
+describe('cache archives', () => {
+  it('should carry transactions, coverage and titles to another machine', () => {
+    useMachine('laptop');
+    saveTransactionCache([payment('a', 1700000100), payment('b', 1700000200)], CONFIG.paths.cache, {
+      coverage: [{ from: 1700000000, until: 1700000300 }],
+      backfill: { complete: true },
+    });
+    saveTitlesCache({ essay: 'An Essay' });
+
+    const exported = exportArchive(archivePath);
+    assert.deepStrictEqual(exported.wallets, [{ name: 'default', transactions: 2 }]);
+    assert.strictEqual(exported.titles, 1);
+
+    useMachine('server');
+    const imported = importArchive(archivePath);
+    assert.deepStrictEqual(imported.wallets, [{ name: 'default', added: 2, total: 2 }]);
+    assert.strictEqual(loadTransactionCache().length, 2);
+    assert.deepStrictEqual(loadCacheMeta().coverage, [{ from: 1700000000, until: 1700000300 }]);
+    assert.deepStrictEqual(loadCacheMeta().backfill, { complete: true });
+    assert.deepStrictEqual(loadTitlesCache(), { essay: 'An Essay' });
+  });
+
+  it('should keep the archived fetch time and skip unknown sites', () => {
+    useMachine('laptop');
+    const fetched = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    saveTitlesCache({ essay: 'An Essay' }, CONFIG.paths.titlesCache, null, fetched);
+    saveTransactionCache([payment('a', 1700000100)], CONFIG.paths.cache, {});
+    exportArchive(archivePath);
+
+    const archive = JSON.parse(fs.readFileSync(archivePath, 'utf8'));
+    archive.titles['elsewhere.com'] = { fetched, titles: { other: 'Other' }, published: {} };
+    fs.writeFileSync(archivePath, JSON.stringify(archive));
+
+    useMachine('server');
+    assert.strictEqual(importArchive(archivePath).titles, 1);
+    const saved = JSON.parse(fs.readFileSync(CONFIG.paths.titlesCache, 'utf8'));
+    assert.strictEqual(saved.fetched, fetched);
+    assert.deepStrictEqual(saved.titles, { essay: 'An Essay' });
+  });
+
+  it('should merge two partial caches by payment_hash', () => {
+    useMachine('laptop');
+    saveTransactionCache([payment('a', 1700000100), payment('shared', 1700000200)], CONFIG.paths.cache, {
+      coverage: [{ from: 1700000000, until: 1700000250 }],
+    });
+    exportArchive(archivePath);
+
+    useMachine('server');
+    saveTransactionCache([
+      { payment_hash: 'shared', stub: true, settled_at: 1700000200 },
+      payment('c', 1700000400),
+    ], CONFIG.paths.cache, {
+      coverage: [{ from: 1700000300, until: 1700000500 }],
+    });
+
+    const imported = importArchive(archivePath);
+    assert.deepStrictEqual(imported.wallets, [{ name: 'default', added: 1, total: 3 }]);
+
+    const cached = loadTransactionCache();
+    assert.deepStrictEqual(cached.map(tx => tx.payment_hash), ['c', 'shared', 'a']);
+    // The full record wins over the local stub
+    assert.strictEqual(cached[1].description, 'shawnyeager.com/essay');
+    assert.deepStrictEqual(loadCacheMeta().coverage, [
+      { from: 1700000000, until: 1700000250 },
+      { from: 1700000300, until: 1700000500 },
+    ]);
+  });
+
+  it('should encrypt the archive while a secret is set', () => {
+    useMachine('laptop');
+    CONFIG.cachePassphrase = 'test passphrase';
+    saveTransactionCache([payment('a', 1700000100)], CONFIG.paths.cache, {});
+
+    assert.strictEqual(exportArchive(archivePath).encrypted, true);
+    assert.ok(!fs.readFileSync(archivePath, 'utf8').includes('shawnyeager.com'));
+    assert.strictEqual(readArchive(archivePath).wallets.default.transactions.length, 1);
+
+    CONFIG.cachePassphrase = null;
+    assert.throws(() => readArchive(archivePath), /V4V_CACHE_PASSPHRASE/);
+  });
+
+  it('should reject files that are not archives', () => {
+    fs.writeFileSync(archivePath, JSON.stringify({ transactions: [] }));
+    assert.throws(() => importArchive(archivePath), CacheError);
+
+    fs.writeFileSync(archivePath, JSON.stringify({ format: 'v4v-cache-archive', version: 99 }));
+    assert.throws(() => importArchive(archivePath), /newer than this version/);
+  });
+
+  it('should refuse to export when there is no cache', () => {
+    useMachine('empty');
+    assert.throws(() => exportArchive(archivePath), /No transaction cache/);
+  });
+});
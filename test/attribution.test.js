@@ -0,0 +1,124 @@
+/**
+ * Tests for attribution rules
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import {
+  normalizeKey,
+  compileRules,
+  loadAttributionRules,
+  attributePath,
+  attributeTitles,
+} from '../lib/attribution.js';
+import { parseEssaySlug } from '../lib/transformers.js';
+import { ConfigurationError } from '../lib/errors.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-attribution');
+
+const rules = compileRules({
+  rules: [
+    { prefix: '/essays/' },
+    { regex: '^/\\d{4}/\\d{2}/([^/]+)' },
+    { prefix: '/notes/', key: 'notes', site: 'notes.example.com' },
+    { prefix: '/v4v', footer: true },
+  ],
+  aliases: { 'Old-Name': 'new-name', 'older-name': 'old-name' },
+});
+
+before(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+describe('normalizeKey', () => {
+  it('should decode, lowercase and trim slashes', () => {
+    assert.strictEqual(normalizeKey('/Caf%C3%A9-Notes/'), 'café-notes');
+    assert.strictEqual(normalizeKey('/bad%E0%A4%A'), 'bad%e0%a4%a');
+  });
+});
+
+describe('attributePath', () => {
+  it('should use the whole path without rules', () => {
+    const none = compileRules({});
+    assert.strictEqual(attributePath('/essays/Foo', { rules: none }), 'essays/foo');
+    assert.strictEqual(attributePath('/', { rules: none }), null);
+  });
+
+  it('should apply the first matching rule', () => {
+    assert.strictEqual(attributePath('/essays/foo', { rules }), 'foo');
+    assert.strictEqual(attributePath('/2024/05/dated-post/', { rules }), 'dated-post');
+    assert.strictEqual(attributePath('/v4v/', { rules }), null);
+    assert.strictEqual(attributePath('/about', { rules }), 'about');
+  });
+
+  it('should only apply site rules to their site', () => {
+    assert.strictEqual(attributePath('/notes/a', { site: 'notes.example.com', rules }), 'notes');
+    assert.strictEqual(attributePath('/notes/a', { site: 'example.com', rules }), 'notes/a');
+  });
+
+  it('should follow alias chains', () => {
+    assert.strictEqual(attributePath('/essays/older-name', { rules }), 'new-name');
+    assert.strictEqual(attributePath('/essays/OLD-NAME', { rules }), 'new-name');
+  });
+});
+
+describe('attributeTitles', () => {
+  it('should key titles like payments, preferring the current slug', () => {
+    const titles = attributeTitles({
+      'essays/new-name': 'New title',
+      'essays/old-name': 'Old title',
+      'essays/foo': 'Foo',
+    }, { rules });
+    assert.deepStrictEqual(titles, { 'new-name': 'New title', foo: 'Foo' });
+  });
+});
+
+describe('loadAttributionRules', () => {
+  it('should treat a missing file as no rules', () => {
+    assert.deepStrictEqual(loadAttributionRules(path.join(testDir, 'missing.json')).rules, []);
+  });
+
+  it('should load and validate a rules file', () => {
+    const file = path.join(testDir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ prefix: '/essays/' }] }));
+    assert.strictEqual(loadAttributionRules(file).rules.length, 1);
+
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ regex: '(' }] }));
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+    assert.throws(() => loadAttributionRules(file), ConfigurationError);
+  });
+
+  it('should reject rules without a prefix or regex', () => {
+    assert.throws(() => compileRules({ rules: [{ key: 'x' }] }), /needs a "prefix" or "regex"/);
+    assert.throws(() => compileRules([]), ConfigurationError);
+  });
+});
+
+describe('parseEssaySlug with rules', () => {
+  it('should read nested, uppercase and non-ASCII paths', () => {
+    const none = compileRules({});
+    assert.strictEqual(parseEssaySlug('example.com/essays/foo', 'example.com', rules), 'foo');
+    assert.strictEqual(parseEssaySlug('example.com/My-Essay', 'example.com', none), 'my-essay');
+    assert.strictEqual(parseEssaySlug('example.com/caf%C3%A9', 'example.com', none), 'café');
+    assert.strictEqual(parseEssaySlug('Thanks for example.com/essay, great read.', 'example.com', none), 'essay');
+    assert.strictEqual(parseEssaySlug('example.com/v4v/', 'example.com', rules), null);
+  });
+
+  it('should merge aliased slugs from a rules file', () => {
+    const file = path.join(testDir, 'aliases.json');
+    fs.writeFileSync(file, JSON.stringify({ aliases: { 'old-name': 'new-name' } }));
+    const aliases = loadAttributionRules(file);
+    const payments = [
+      { amount: 1000000, description: 'example.com/old-name', settled_at: 1700000000 },
+      { amount: 2000000, description: 'example.com/new-name', settled_at: 1700000100 },
+    ];
+    const keys = payments.map(tx => parseEssaySlug(tx.description, 'example.com', aliases));
+    assert.deepStrictEqual(keys, ['new-name', 'new-name']);
+  });
+});
@@ -6,13 +6,18 @@ import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import fs from 'fs';
 import path from 'path';
+import { CONFIG } from '../lib/config.js';
 import {
   loadTransactionCache,
+  appendTransactionCache,
+  compactCache,
   saveTransactionCache,
+  loadCacheMeta,
   clearCache,
   getCacheStats,
   loadTitlesCache,
   saveTitlesCache,
+  loadPublishedCache,
   clearTitlesCache,
   getTitlesCacheInfo,
 } from '../lib/cache.js';
@@ -86,6 +91,21 @@ describe('Transaction Cache', () => {
     assert.strictEqual(cacheData.transactions.length, 1);
   });
 
+  it('should preserve metadata when saving without meta', () => {
+    const backfill = { until: 1700200000, offset: 10, oldest: 1700000000, complete: false };
+    saveTransactionCache([], tempCachePath, { backfill });
+    saveTransactionCache([{ payment_hash: 'abc123', amount: 1000000 }], tempCachePath);
+
+    const meta = loadCacheMeta(tempCachePath);
+    assert.deepStrictEqual(meta.backfill, backfill);
+    assert.ok(meta.updated);
+    assert.strictEqual(meta.transactions, undefined);
+  });
+
+  it('should return empty metadata when cache does not exist', () => {
+    assert.deepStrictEqual(loadCacheMeta(tempCachePath), {});
+  });
+
   it('should return false when cache does not exist on clear', () => {
     const result = clearCache(tempCachePath);
     assert.strictEqual(result, false);
@@ -120,6 +140,7 @@ describe('Transaction Cache', () => {
     assert.ok(result.updated);
     assert.strictEqual(result.oldest, 1700000000);
     assert.strictEqual(result.newest, 1700100000);
+    assert.strictEqual(result.backfill, null);
   });
 });
 
@@ -194,6 +215,15 @@ describe('Titles Cache', () => {
     assert.strictEqual(cacheData.titles['essay-one'], 'Essay One Title');
   });
 
+  it('should keep publish dates next to the titles', () => {
+    saveTitlesCache({ 'essay-one': 'Essay One Title' }, tempTitlesPath, { 'essay-one': '2024-01-01T00:00:00.000Z' });
+    assert.deepStrictEqual(loadPublishedCache(tempTitlesPath), { 'essay-one': '2024-01-01T00:00:00.000Z' });
+
+    // Caches written before publish dates were kept have none
+    saveTitlesCache({ 'essay-one': 'Essay One Title' }, tempTitlesPath);
+    assert.strictEqual(loadPublishedCache(tempTitlesPath), null);
+  });
+
   it('should return null for info when cache does not exist', () => {
     // Test with non-existent path
     const result = getTitlesCacheInfo(tempTitlesPath);
@@ -213,4 +243,53 @@ describe('Titles Cache', () => {
     assert.strictEqual(result.count, 3);
     assert.ok(result.fetched);
   });
-});
\ No newline at end of file
+});
+describe('Slim Cache', () => {
+  const originalSites = { siteUrl: CONFIG.siteUrl, sites: CONFIG.sites };
+  const transactions = [
+    { payment_hash: 'v4v', amount: 21000, description: 'example.com/essay', settled_at: 1700000200, preimage: 'p1' },
+    { payment_hash: 'zap', amount: 1000, description: 'Zap!', settled_at: 1700000100, preimage: 'p2' },
+  ];
+
+  beforeEach(() => {
+    CONFIG.siteUrl = 'example.com';
+    CONFIG.sites = [{ url: 'example.com', rssUrl: null }];
+  });
+
+  afterEach(() => {
+    Object.assign(CONFIG, originalSites);
+    CONFIG.slimCache = false;
+  });
+
+  it('should store non-V4V transactions as stubs in slim mode', () => {
+    CONFIG.slimCache = true;
+    saveTransactionCache(transactions, tempCachePath, {});
+
+    const cached = loadTransactionCache(tempCachePath);
+    assert.strictEqual(cached.find(tx => tx.payment_hash === 'v4v').preimage, 'p1');
+    assert.deepStrictEqual(cached.find(tx => tx.payment_hash === 'zap'), {
+      payment_hash: 'zap',
+      stub: true,
+      settled_at: 1700000100,
+    });
+  });
+
+  it('should keep full records when slim mode is off', () => {
+    saveTransactionCache(transactions, tempCachePath, {});
+    assert.strictEqual(loadTransactionCache(tempCachePath)[1].description, 'Zap!');
+  });
+
+  it('should compact an existing cache and keep it slim', () => {
+    saveTransactionCache(transactions, tempCachePath, {});
+    const result = compactCache(tempCachePath);
+
+    assert.strictEqual(result.kept, 1);
+    assert.strictEqual(result.stubbed, 1);
+    assert.ok(result.sizeAfter < result.sizeBefore);
+    assert.strictEqual(getCacheStats(tempCachePath).slim, true);
+
+    // Later syncs stay slim without V4V_SLIM_CACHE
+    appendTransactionCache([{ payment_hash: 'stream', amount: 10, description: 'boost', settled_at: 1700000300 }], tempCachePath);
+    assert.strictEqual(loadTransactionCache(tempCachePath)[0].stub, true);
+  });
+});
@@ -4,7 +4,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { CONFIG, getRssUrl } from '../lib/config.js';
+import { CONFIG, getRssUrl, parseWallets, parseSites, parseTipPresets } from '../lib/config.js';
 
 describe('CONFIG', () => {
   it('should have default values for configurable options', () => {
@@ -38,3 +38,79 @@ describe('getRssUrl', () => {
     assert.strictEqual(typeof url, 'string');
   });
 });
+
+describe('parseSites', () => {
+  it('should read a comma-separated site list, primary first', () => {
+    const sites = parseSites({ V4V_SITE_URL: 'example.com, notes.example.com,example.com' });
+    assert.deepStrictEqual(sites.map(site => site.url), ['example.com', 'notes.example.com']);
+  });
+
+  it('should pick up per-site RSS feeds', () => {
+    const sites = parseSites({
+      V4V_SITE_URL: 'example.com,notes.example.com',
+      V4V_RSS_URL: 'https://example.com/rss.xml',
+      V4V_RSS_URL_NOTES_EXAMPLE_COM: 'https://notes.example.com/index.xml',
+    });
+    assert.deepStrictEqual(sites, [
+      { url: 'example.com', rssUrl: 'https://example.com/rss.xml' },
+      { url: 'notes.example.com', rssUrl: 'https://notes.example.com/index.xml' },
+    ]);
+  });
+
+  it('should return no sites when V4V_SITE_URL is unset', () => {
+    assert.deepStrictEqual(parseSites({}), []);
+  });
+});
+
+describe('getRssUrl for other sites', () => {
+  const original = { siteUrl: CONFIG.siteUrl, rssUrl: CONFIG.rssUrl, sites: CONFIG.sites };
+
+  it('should use the site\'s own feed, or its default feed', () => {
+    Object.assign(CONFIG, {
+      siteUrl: 'example.com',
+      rssUrl: null,
+      sites: [
+        { url: 'example.com', rssUrl: null },
+        { url: 'notes.example.com', rssUrl: 'https://notes.example.com/index.xml' },
+      ],
+    });
+    try {
+      assert.strictEqual(getRssUrl(), 'https://example.com/feed.xml');
+      assert.strictEqual(getRssUrl('notes.example.com'), 'https://notes.example.com/index.xml');
+    } finally {
+      Object.assign(CONFIG, original);
+    }
+  });
+});
+
+describe('parseWallets', () => {
+  it('should treat NWC_CONNECTION_STRING as the default wallet', () => {
+    const wallets = parseWallets({ NWC_CONNECTION_STRING: 'nostr+walletconnect://main' });
+    assert.deepStrictEqual(wallets, [{ name: 'default', connectionString: 'nostr+walletconnect://main' }]);
+  });
+
+  it('should add named wallets from suffixed variables', () => {
+    const wallets = parseWallets({
+      NWC_CONNECTION_STRING_PODCAST_FEED: 'nostr+walletconnect://podcast',
+      NWC_CONNECTION_STRING: 'nostr+walletconnect://main',
+      NWC_CONNECTION_STRING_BLOG: 'nostr+walletconnect://blog',
+      NWC_CONNECTION_STRING_EMPTY: '',
+    });
+    assert.deepStrictEqual(wallets.map(w => w.name), ['default', 'blog', 'podcast-feed']);
+  });
+
+  it('should return no wallets when nothing is configured', () => {
+    assert.deepStrictEqual(parseWallets({}), []);
+  });
+});
+
+describe('parseTipPresets', () => {
+  it('should read comma-separated amounts', () => {
+    assert.deepStrictEqual(parseTipPresets('1000, 2100,21000'), [1000, 2100, 21000]);
+  });
+
+  it('should fall back to the payment page defaults', () => {
+    assert.deepStrictEqual(parseTipPresets(undefined), [500, 1000, 5000, 10000]);
+    assert.deepStrictEqual(parseTipPresets('lots, -5'), [500, 1000, 5000, 10000]);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for coverage range functions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeRanges, addRange, missingRanges, findGaps } from '../lib/coverage.js';
+
+describe('normalizeRanges', () => {
+  it('should sort and merge overlapping ranges', () => {
+    const ranges = normalizeRanges([
+      { from: 300, until: 400 },
+      { from: 100, until: 200 },
+      { from: 150, until: 250 },
+    ]);
+    assert.deepStrictEqual(ranges, [
+      { from: 100, until: 250 },
+      { from: 300, until: 400 },
+    ]);
+  });
+
+  it('should merge ranges that touch', () => {
+    const ranges = normalizeRanges([
+      { from: 100, until: 200 },
+      { from: 201, until: 300 },
+    ]);
+    assert.deepStrictEqual(ranges, [{ from: 100, until: 300 }]);
+  });
+
+  it('should drop invalid ranges', () => {
+    const ranges = normalizeRanges([
+      { from: 200, until: 100 },
+      { from: null, until: 100 },
+      null,
+    ]);
+    assert.deepStrictEqual(ranges, []);
+  });
+});
+
+describe('addRange', () => {
+  it('should add a range to existing coverage', () => {
+    const ranges = addRange([{ from: 100, until: 200 }], { from: 500, until: 600 });
+    assert.strictEqual(ranges.length, 2);
+  });
+
+  it('should ignore a null range', () => {
+    const ranges = addRange([{ from: 100, until: 200 }], null);
+    assert.deepStrictEqual(ranges, [{ from: 100, until: 200 }]);
+  });
+});
+
+describe('missingRanges', () => {
+  it('should return the whole window when nothing is covered', () => {
+    const missing = missingRanges({ from: 100, until: 500 }, []);
+    assert.deepStrictEqual(missing, [{ from: 100, until: 500 }]);
+  });
+
+  it('should return nothing when the window is covered', () => {
+    const missing = missingRanges({ from: 100, until: 500 }, [{ from: 0, until: 1000 }]);
+    assert.deepStrictEqual(missing, []);
+  });
+
+  it('should return the uncovered spans inside the window', () => {
+    const missing = missingRanges({ from: 100, until: 500 }, [
+      { from: 0, until: 150 },
+      { from: 300, until: 400 },
+    ]);
+    assert.deepStrictEqual(missing, [
+      { from: 151, until: 299 },
+      { from: 401, until: 500 },
+    ]);
+  });
+});
+
+describe('findGaps', () => {
+  it('should return holes between covered ranges', () => {
+    const gaps = findGaps([
+      { from: 100, until: 200 },
+      { from: 400, until: 500 },
+    ]);
+    assert.deepStrictEqual(gaps, [{ from: 201, until: 399 }]);
+  });
+
+  it('should not report history before coverage as a gap', () => {
+    const gaps = findGaps([{ from: 100, until: 200 }], 100, 200);
+    assert.deepStrictEqual(gaps, []);
+  });
+
+  it('should treat cached transactions outside coverage as unverified', () => {
+    const gaps = findGaps([{ from: 400, until: 500 }], 100, 450);
+    assert.deepStrictEqual(gaps, [{ from: 100, until: 399 }]);
+  });
+
+  it('should treat a cache without coverage as one unverified span', () => {
+    const gaps = findGaps([], 100, 300);
+    assert.deepStrictEqual(gaps, [{ from: 100, until: 300 }]);
+  });
+
+  it('should return nothing for an empty cache', () => {
+    assert.deepStrictEqual(findGaps([], null, null), []);
+  });
+});
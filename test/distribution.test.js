@@ -0,0 +1,88 @@
+/**
+ * Tests for tip-size distribution
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { percentile, presetBuckets, buildDistribution } from '../lib/shared/distribution.js';
+import { buildTipDistribution } from '../lib/transformers.js';
+
+describe('percentile', () => {
+  it('should interpolate between ranks', () => {
+    const sorted = [100, 200, 300, 400];
+    assert.strictEqual(percentile(sorted, 0), 100);
+    assert.strictEqual(percentile(sorted, 50), 250);
+    assert.strictEqual(percentile(sorted, 100), 400);
+    assert.strictEqual(percentile([42], 90), 42);
+    assert.strictEqual(percentile([], 50), null);
+  });
+});
+
+describe('presetBuckets', () => {
+  it('should add custom ranges between the presets', () => {
+    assert.deepStrictEqual(presetBuckets([1000, 500]).map(b => [b.label, b.min, b.max, b.preset]), [
+      ['< 500', 1, 499, false],
+      ['500', 500, 500, true],
+      ['501–999', 501, 999, false],
+      ['1,000', 1000, 1000, true],
+      ['> 1,000', 1001, null, false],
+    ]);
+  });
+
+  it('should skip empty ranges between adjacent presets', () => {
+    assert.deepStrictEqual(presetBuckets([1, 2]).map(b => b.label), ['1', '2', '> 2']);
+  });
+});
+
+describe('buildDistribution', () => {
+  it('should not let one large tip hide the typical one', () => {
+    const amounts = [500, 500, 500, 500, 1000, 1000, 1000, 2100, 5000, 100000];
+    const distribution = buildDistribution(amounts);
+
+    assert.strictEqual(distribution.count, 10);
+    assert.strictEqual(distribution.mean, 11210);
+    assert.strictEqual(distribution.median, 1000);
+    assert.strictEqual(distribution.p25, 500);
+    assert.strictEqual(distribution.p75, 1825);
+    assert.strictEqual(Math.round(distribution.p90), 14500);
+    assert.strictEqual(distribution.min, 500);
+    assert.strictEqual(distribution.max, 100000);
+  });
+
+  it('should count payments per bucket', () => {
+    const { histogram } = buildDistribution([21, 500, 500, 750, 10000, 25000]);
+    const byLabel = Object.fromEntries(histogram.map(b => [b.label, b.count]));
+
+    assert.deepStrictEqual(byLabel, {
+      '< 500': 1,
+      '500': 2,
+      '501–999': 1,
+      '1,000': 0,
+      '1,001–4,999': 0,
+      '5,000': 0,
+      '5,001–9,999': 0,
+      '10,000': 1,
+      '> 10,000': 1,
+    });
+    assert.strictEqual(histogram[1].sats, 1000);
+    assert.strictEqual(histogram[1].share, 2 / 6);
+  });
+
+  it('should return empty statistics without payments', () => {
+    const distribution = buildDistribution([]);
+    assert.strictEqual(distribution.count, 0);
+    assert.strictEqual(distribution.median, null);
+    assert.strictEqual(distribution.mean, null);
+    assert.ok(distribution.histogram.every(b => b.count === 0 && b.share === 0));
+  });
+});
+
+describe('buildTipDistribution', () => {
+  it('should use sats and the given presets', () => {
+    const transactions = [{ amount: 2100000 }, { amount: 2100999 }, { amount: 50000 }];
+    const distribution = buildTipDistribution(transactions, [2100]);
+
+    assert.strictEqual(distribution.median, 2100);
+    assert.deepStrictEqual(distribution.histogram.map(b => b.count), [1, 2, 0]);
+  });
+});
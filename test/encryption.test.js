@@ -0,0 +1,131 @@
+/**
+ * Tests for the encrypted cache
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import {
+  encryptText,
+  decryptText,
+  isEncrypted,
+  getCacheSecret,
+} from '../lib/storage/encryption.js';
+import {
+  loadTransactionCache,
+  saveTransactionCache,
+  appendTransactionCache,
+  getCacheStats,
+  setCacheEncryption,
+} from '../lib/cache.js';
+import { CacheError } from '../lib/errors.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-encryption');
+const originalSecret = {
+  cachePassphrase: CONFIG.cachePassphrase,
+  cacheKeyFile: CONFIG.cacheKeyFile,
+};
+
+const transactions = [
+  { payment_hash: 'abc123', amount: 1000000, settled_at: 1700000000, preimage: 'secret-preimage' },
+  { payment_hash: 'def456', amount: 2000000, settled_at: 1700100000, preimage: 'other-preimage' },
+];
+
+beforeEach(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+  CONFIG.cachePassphrase = 'test passphrase';
+  CONFIG.cacheKeyFile = null;
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, originalSecret);
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+describe('encryption envelopes', () => {
+  it('should round-trip text', () => {
+    const envelope = encryptText('hello');
+    assert.ok(isEncrypted(envelope));
+    assert.ok(!envelope.includes('hello'));
+    assert.strictEqual(decryptText(envelope), 'hello');
+  });
+
+  it('should reject the wrong passphrase', () => {
+    const envelope = encryptText('hello');
+    CONFIG.cachePassphrase = 'wrong';
+    assert.throws(() => decryptText(envelope), /wrong passphrase or key file/);
+  });
+
+  it('should read the secret from a key file', () => {
+    const keyFile = path.join(testDir, 'cache.key');
+    fs.writeFileSync(keyFile, 'from-key-file\n');
+    CONFIG.cachePassphrase = null;
+    CONFIG.cacheKeyFile = keyFile;
+    assert.strictEqual(getCacheSecret(), 'from-key-file');
+  });
+
+  it('should report a missing key file', () => {
+    CONFIG.cachePassphrase = null;
+    CONFIG.cacheKeyFile = path.join(testDir, 'missing.key');
+    assert.throws(() => getCacheSecret(), CacheError);
+  });
+});
+
+for (const file of ['.test-cache.json', '.test-cache.ndjson']) {
+  describe(`encrypted ${path.extname(file).slice(1)} cache`, () => {
+    const cachePath = path.join(testDir, file);
+
+    it('should create new caches encrypted while a secret is set', () => {
+      saveTransactionCache(transactions, cachePath, {});
+      appendTransactionCache([{ payment_hash: 'ghi789', amount: 1000, settled_at: 1700200000 }], cachePath);
+
+      for (const name of fs.readdirSync(testDir)) {
+        const content = fs.readFileSync(path.join(testDir, name), 'utf8');
+        assert.ok(!content.includes('secret-preimage'), `${name} leaks plaintext`);
+        assert.ok(!content.includes('abc123'), `${name} leaks payment hashes`);
+      }
+      assert.strictEqual(loadTransactionCache(cachePath).length, 3);
+      assert.strictEqual(getCacheStats(cachePath).encrypted, true);
+    });
+
+    it('should require the secret to read an encrypted cache', () => {
+      saveTransactionCache(transactions, cachePath, {});
+      CONFIG.cachePassphrase = null;
+      assert.throws(() => loadTransactionCache(cachePath), /V4V_CACHE_PASSPHRASE/);
+      assert.ok(!fs.readdirSync(testDir).some(name => name.includes('.corrupt-')));
+    });
+
+    it('should encrypt and decrypt an existing cache in place', () => {
+      CONFIG.cachePassphrase = null;
+      saveTransactionCache(transactions, cachePath, { backfill: { complete: true } });
+      assert.strictEqual(getCacheStats(cachePath).encrypted, false);
+
+      CONFIG.cachePassphrase = 'test passphrase';
+      assert.strictEqual(setCacheEncryption(true, cachePath), 2);
+      assert.strictEqual(getCacheStats(cachePath).encrypted, true);
+      assert.ok(!fs.readFileSync(cachePath, 'utf8').includes('secret-preimage'));
+
+      assert.strictEqual(setCacheEncryption(false, cachePath), 2);
+      const stats = getCacheStats(cachePath);
+      assert.strictEqual(stats.encrypted, false);
+      assert.deepStrictEqual(stats.backfill, { complete: true });
+    });
+
+    it('should keep an unencrypted cache unencrypted when a secret is set', () => {
+      CONFIG.cachePassphrase = null;
+      saveTransactionCache(transactions, cachePath, {});
+      CONFIG.cachePassphrase = 'test passphrase';
+      appendTransactionCache([{ payment_hash: 'ghi789', amount: 1000, settled_at: 1700200000 }], cachePath);
+      assert.strictEqual(getCacheStats(cachePath).encrypted, false);
+    });
+  });
+}
+
+describe('setCacheEncryption', () => {
+  it('should require a secret', () => {
+    CONFIG.cachePassphrase = null;
+    assert.throws(() => setCacheEncryption(true, path.join(testDir, '.test-cache.json')), /V4V_CACHE_PASSPHRASE/);
+  });
+});
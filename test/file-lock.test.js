@@ -0,0 +1,157 @@
+/**
+ * Tests for cache file locking and atomic writes
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import {
+  getLockPath,
+  isLocked,
+  withFileLock,
+  readWithRetry,
+  writeFileAtomic,
+} from '../lib/storage/file-lock.js';
+import { loadTransactionCache } from '../lib/cache.js';
+import { CacheError } from '../lib/errors.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-lock');
+const filePath = path.join(testDir, 'data.json');
+const lockPath = getLockPath(filePath);
+
+/**
+ * Start a child process that holds the lock for a while, then releases it
+ */
+function holdLock(ms) {
+  const child = spawn(process.execPath, ['-e', `setTimeout(() => require('fs').rmSync(${JSON.stringify(lockPath)}, { force: true }), ${ms})`]);
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: child.pid, host: os.hostname(), created: Date.now() }));
+  return child;
+}
+
+/**
+ * Run node scripts side by side and wait for all of them
+ */
+async function runConcurrently(scripts) {
+  const children = scripts.map(script => spawn(process.execPath, ['--input-type=module', '-e', script], {
+    stdio: ['ignore', 'ignore', 'inherit'],
+  }));
+  const codes = await Promise.all(children.map(async child => (await once(child, 'exit'))[0]));
+  assert.deepStrictEqual(codes, scripts.map(() => 0));
+}
+
+beforeEach(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+});
+
+afterEach(() => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+describe('writeFileAtomic', () => {
+  it('should replace the file without leaving temp files', () => {
+    fs.writeFileSync(filePath, 'old');
+    writeFileAtomic(filePath, 'new');
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'new');
+    assert.deepStrictEqual(fs.readdirSync(testDir), ['data.json']);
+  });
+});
+
+describe('withFileLock', () => {
+  it('should hold the lock file only while running', () => {
+    const result = withFileLock(filePath, () => {
+      assert.ok(fs.existsSync(lockPath));
+      return 42;
+    });
+    assert.strictEqual(result, 42);
+    assert.strictEqual(fs.existsSync(lockPath), false);
+  });
+
+  it('should release the lock when the work throws', () => {
+    assert.throws(() => withFileLock(filePath, () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(fs.existsSync(lockPath), false);
+  });
+
+  it('should be re-entrant within a process', () => {
+    const result = withFileLock(filePath, () => withFileLock(filePath, () => 'nested'));
+    assert.strictEqual(result, 'nested');
+  });
+
+  it('should remove a lock left by a process that no longer exists', () => {
+    const child = spawn(process.execPath, ['-e', '']);
+    const deadPid = child.pid;
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: deadPid, host: os.hostname(), created: Date.now() }));
+
+    return once(child, 'exit').then(() => {
+      assert.strictEqual(isLocked(filePath), false);
+      assert.strictEqual(withFileLock(filePath, () => 'ok', { timeout: 200 }), 'ok');
+    });
+  });
+
+  it('should remove a lock older than the stale age', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, host: 'elsewhere', created: 0 }));
+    assert.strictEqual(withFileLock(filePath, () => 'ok', { timeout: 200 }), 'ok');
+  });
+
+  it('should time out while another process holds the lock', async () => {
+    const child = holdLock(2000);
+    try {
+      assert.strictEqual(isLocked(filePath), true);
+      assert.throws(() => withFileLock(filePath, () => {}, { timeout: 100 }), CacheError);
+    } finally {
+      child.kill();
+      await once(child, 'exit');
+    }
+  });
+
+  it('should wait for another process to release the lock', async () => {
+    const child = holdLock(200);
+    const started = Date.now();
+    withFileLock(filePath, () => {}, { timeout: 5000 });
+    assert.ok(Date.now() - started >= 100);
+    await once(child, 'exit');
+  });
+});
+
+describe('readWithRetry', () => {
+  it('should wait for an in-progress write before reading', async () => {
+    fs.writeFileSync(filePath, '{"partial": ');
+    const child = holdLock(200);
+
+    // The writer finishes by the time the lock is released
+    const writer = spawn(process.execPath, ['-e', `setTimeout(() => require('fs').writeFileSync(${JSON.stringify(filePath)}, '{"done":true}'), 100)`]);
+    const data = readWithRetry(filePath, () => JSON.parse(fs.readFileSync(filePath, 'utf8')), { timeout: 5000 });
+    assert.deepStrictEqual(data, { done: true });
+    await Promise.all([once(child, 'exit'), once(writer, 'exit')]);
+  });
+});
+
+describe('concurrent cache writes', () => {
+  const cacheUrl = new URL('../lib/cache.js', import.meta.url).href;
+
+  for (const file of ['.test-cache.json', '.test-cache.ndjson']) {
+    it(`should keep every record when commands append at once (${file})`, async () => {
+      const cachePath = path.join(testDir, file);
+      const scripts = [0, 1, 2].map(worker => `
+        import { appendTransactionCache } from ${JSON.stringify(cacheUrl)};
+        for (let batch = 0; batch < 5; batch++) {
+          const transactions = Array.from({ length: 4 }, (_, i) => ({
+            payment_hash: 'w${worker}-' + batch + '-' + i,
+            amount: 1000,
+            settled_at: 1700000000 + batch * 10 + i,
+          }));
+          appendTransactionCache(transactions, ${JSON.stringify(cachePath)});
+        }
+      `);
+
+      await runConcurrently(scripts);
+      assert.strictEqual(loadTransactionCache(cachePath).length, 60);
+      assert.strictEqual(fs.existsSync(getLockPath(cachePath)), false);
+    });
+  }
+});
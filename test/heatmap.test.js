@@ -0,0 +1,63 @@
+/**
+ * Tests for the weekday × hour heatmap
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildHeatmap } from '../lib/shared/heatmap.js';
+import { aggregateByWeekdayHour } from '../lib/transformers.js';
+
+const at = (iso) => new Date(iso).getTime() / 1000;
+
+describe('buildHeatmap', () => {
+  const payments = [
+    { sats: 100, timestamp: at('2024-06-03T09:15:00Z') }, // Monday
+    { sats: 200, timestamp: at('2024-06-10T09:45:00Z') }, // Monday
+    { sats: 5000, timestamp: at('2024-06-05T14:00:00Z') }, // Wednesday
+    { sats: 300, timestamp: at('2024-06-09T23:30:00Z') }, // Sunday night UTC
+  ];
+
+  it('should bucket payments by weekday and hour', () => {
+    const heatmap = buildHeatmap(payments, 'UTC');
+
+    assert.strictEqual(heatmap.weekdays[0], 'Mon');
+    assert.strictEqual(heatmap.count.length, 7);
+    assert.ok(heatmap.count.every(row => row.length === 24));
+    assert.strictEqual(heatmap.count[0][9], 2);
+    assert.strictEqual(heatmap.sats[0][9], 300);
+    assert.strictEqual(heatmap.count[2][14], 1);
+    assert.strictEqual(heatmap.count[6][23], 1);
+    assert.deepStrictEqual(heatmap.total, { count: 4, sats: 5600 });
+    assert.deepStrictEqual(heatmap.peak, { weekday: 'Mon', hour: 9, count: 2, sats: 300 });
+  });
+
+  it('should use the local weekday and hour', () => {
+    const heatmap = buildHeatmap(payments, 'Europe/Berlin');
+    assert.strictEqual(heatmap.count[0][11], 2);
+    // 23:30 UTC on Sunday is 01:30 on Monday in Berlin (CEST)
+    assert.strictEqual(heatmap.count[0][1], 1);
+    assert.strictEqual(heatmap.count[6][23], 0);
+  });
+
+  it('should break ties on sats', () => {
+    const heatmap = buildHeatmap(payments.slice(2), 'UTC');
+    assert.deepStrictEqual(heatmap.peak, { weekday: 'Wed', hour: 14, count: 1, sats: 5000 });
+  });
+
+  it('should have no peak without payments', () => {
+    const heatmap = buildHeatmap([], 'UTC');
+    assert.strictEqual(heatmap.peak, null);
+    assert.deepStrictEqual(heatmap.total, { count: 0, sats: 0 });
+  });
+});
+
+describe('aggregateByWeekdayHour', () => {
+  it('should read sats and timestamps from transactions', () => {
+    const heatmap = aggregateByWeekdayHour([
+      { amount: 21000, settled_at: at('2024-06-04T18:00:00Z') },
+      { amount: 1000, created_at: at('2024-06-04T18:59:00Z') },
+    ], 'UTC');
+    assert.strictEqual(heatmap.count[1][18], 2);
+    assert.strictEqual(heatmap.sats[1][18], 22);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Shared test scaffolding: config snapshots, fake payments and a fake NWC client
+ */
+
+import { CONFIG } from '../lib/config.js';
+
+export const TEST_SITE_URL = 'shawnyeager.com';
+
+/**
+ * Snapshot CONFIG so a test file can change it freely
+ * @returns {Function} Restores the snapshot
+ */
+export function snapshotConfig() {
+  const original = { ...CONFIG, paths: { ...CONFIG.paths } };
+  return () => Object.assign(CONFIG, original);
+}
+
+/**
+ * Configure TEST_SITE_URL as the only site, so payments are attributed
+ * without V4V_SITE_URL in the environment
+ */
+export function useTestSite() {
+  CONFIG.siteUrl = TEST_SITE_URL;
+  CONFIG.sites = [{ url: TEST_SITE_URL, rssUrl: null }];
+}
+
+/**
+ * Build a settled incoming payment
+ * @param {string} hash - Payment hash
+ * @param {number} settledAt - Unix seconds
+ * @param {Object} [fields] - Overrides, e.g. { description: 'Zap!' }
+ * @returns {Object} Transaction
+ */
+export function payment(hash, settledAt, fields = {}) {
+  return {
+    type: 'incoming',
+    payment_hash: hash,
+    amount: 21000,
+    description: `${TEST_SITE_URL}/essay`,
+    settled_at: settledAt,
+    created_at: settledAt,
+    ...fields,
+  };
+}
+
+/**
+ * Fake NWC client that pages through transactions newest first
+ * @param {Object[]} transactions - The wallet's transactions (may be added to later)
+ * @param {Object} [options]
+ * @param {string[]} [options.notifications] - Notification types getInfo advertises
+ * @returns {Object} Client that records subscriptions and whether it was closed
+ */
+export function createFakeClient(transactions, { notifications = [] } = {}) {
+  return {
+    transactions,
+    handler: null,
+    closed: false,
+    unsubscribed: false,
+    async getInfo() {
+      return { methods: ['list_transactions'], notifications };
+    },
+    async subscribeNotifications(handler) {
+      this.handler = handler;
+      return () => {
+        this.unsubscribed = true;
+      };
+    },
+    async listTransactions({ limit, offset = 0 }) {
+      const sorted = [...this.transactions].sort((a, b) => b.settled_at - a.settled_at);
+      return { transactions: sorted.slice(offset, offset + limit) };
+    },
+    close() {
+      this.closed = true;
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Tests for essay lifecycle analytics
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { CONFIG } from '../lib/config.js';
+import { essayLifecycle } from '../lib/shared/lifecycle.js';
+import { buildLifecycle } from '../lib/transformers.js';
+import { parseRss } from '../lib/rss-titles.js';
+
+const DAY = 24 * 60 * 60;
+const PUBLISHED = 1704067200; // 2024-01-01T00:00:00Z
+
+describe('parseRss', () => {
+  it('should capture publish dates next to titles', () => {
+    const xml = `
+      <rss><channel>
+        <item>
+          <title>First Essay</title>
+          <link>https://shawnyeager.com/essays/first/</link>
+          <pubDate>Mon, 01 Jan 2024 00:00:00 +0000</pubDate>
+        </item>
+        <item>
+          <title><![CDATA[Undated]]></title>
+          <link>https://shawnyeager.com/essays/undated/</link>
+        </item>
+      </channel></rss>`;
+
+    assert.deepStrictEqual(parseRss(xml), {
+      titles: { 'essays/first': 'First Essay', 'essays/undated': 'Undated' },
+      published: { 'essays/first': '2024-01-01T00:00:00.000Z' },
+    });
+  });
+});
+
+describe('essayLifecycle', () => {
+  const payments = [
+    { sats: 100, timestamp: PUBLISHED - 600 }, // before the feed's date: a launch tip
+    { sats: 200, timestamp: PUBLISHED + 3600 },
+    { sats: 300, timestamp: PUBLISHED + 3 * DAY },
+    { sats: 400, timestamp: PUBLISHED + 20 * DAY },
+    { sats: 500, timestamp: PUBLISHED + 90 * DAY },
+  ];
+
+  it('should split earnings into cumulative windows and a long tail', () => {
+    const lifecycle = essayLifecycle(payments, PUBLISHED, PUBLISHED + 100 * DAY);
+
+    assert.deepStrictEqual(lifecycle, {
+      published: PUBLISHED,
+      ageDays: 100,
+      sats: 1500,
+      payments: 5,
+      first24h: 300,
+      first7d: 600,
+      first30d: 1000,
+      longTail: 500,
+      lastPayment: PUBLISHED + 90 * DAY,
+      daysSinceLastTip: 10,
+    });
+  });
+
+  it('should leave the windows empty without a publish date', () => {
+    const lifecycle = essayLifecycle(payments, null, PUBLISHED + 100 * DAY);
+    assert.strictEqual(lifecycle.first24h, null);
+    assert.strictEqual(lifecycle.longTail, null);
+    assert.strictEqual(lifecycle.sats, 1500);
+    assert.strictEqual(lifecycle.daysSinceLastTip, 10);
+  });
+});
+
+describe('buildLifecycle', () => {
+  const originalSites = CONFIG.sites;
+
+  before(() => {
+    CONFIG.sites = [{ url: 'shawnyeager.com', rssUrl: null }];
+  });
+
+  after(() => {
+    CONFIG.sites = originalSites;
+  });
+
+  it('should summarize each essay, including ones that never earned', () => {
+    const transactions = [
+      { amount: 1000000, description: 'shawnyeager.com/essays/first', settled_at: PUBLISHED + 60 },
+      { amount: 5000000, description: 'shawnyeager.com/essays/first', settled_at: PUBLISHED + 40 * DAY },
+      { amount: 2000000, description: 'shawnyeager.com/essays/undated', settled_at: PUBLISHED },
+      { amount: 9000000, description: 'shawnyeager.com', settled_at: PUBLISHED },
+    ];
+    const published = {
+      'essays/first': '2024-01-01T00:00:00.000Z',
+      'essays/quiet': '2024-02-01T00:00:00.000Z',
+    };
+
+    const lifecycle = buildLifecycle(transactions, published, PUBLISHED + 50 * DAY);
+
+    assert.deepStrictEqual(lifecycle.map(e => e.slug), ['essays/first', 'essays/undated', 'essays/quiet']);
+    assert.strictEqual(lifecycle[0].first24h, 1000);
+    assert.strictEqual(lifecycle[0].longTail, 5000);
+    assert.strictEqual(lifecycle[1].published, null);
+    assert.strictEqual(lifecycle[2].sats, 0);
+    assert.strictEqual(lifecycle[2].daysSinceLastTip, null);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for cache schema migrations
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import {
+  CACHE_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateCacheData,
+} from '../lib/storage/migrations.js';
+import { loadTransactionCache, loadCacheMeta, getCacheStats } from '../lib/cache.js';
+import { CacheError } from '../lib/errors.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-migrations');
+const cachePath = path.join(testDir, '.test-cache.json');
+
+const transactions = [
+  { payment_hash: 'abc123', amount: 1000000, settled_at: 1700000000 },
+  { payment_hash: 'def456', amount: 2000000, settled_at: 1700100000 },
+];
+
+beforeEach(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+});
+
+afterEach(() => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+describe('getSchemaVersion', () => {
+  it('should treat unversioned metadata as version 0', () => {
+    assert.strictEqual(getSchemaVersion({}), 0);
+    assert.strictEqual(getSchemaVersion(null), 0);
+  });
+
+  it('should read the recorded version', () => {
+    assert.strictEqual(getSchemaVersion({ schemaVersion: 1 }), 1);
+  });
+});
+
+describe('migrateCacheData', () => {
+  it('should upgrade unversioned data to the current schema', () => {
+    const result = migrateCacheData({
+      meta: { updated: '2024-01-01T00:00:00.000Z' },
+      transactions: [...transactions, { amount: 1000 }],
+    });
+
+    assert.strictEqual(result.migrated, true);
+    assert.strictEqual(result.meta.schemaVersion, CACHE_SCHEMA_VERSION);
+    assert.deepStrictEqual(result.meta.coverage, []);
+    assert.strictEqual(result.transactions.length, 2);
+  });
+
+  it('should leave current data unchanged', () => {
+    const meta = { schemaVersion: CACHE_SCHEMA_VERSION, coverage: [] };
+    const result = migrateCacheData({ meta, transactions });
+    assert.strictEqual(result.migrated, false);
+    assert.strictEqual(result.transactions, transactions);
+  });
+
+  it('should refuse data from a newer version', () => {
+    assert.throws(
+      () => migrateCacheData({ meta: { schemaVersion: CACHE_SCHEMA_VERSION + 1 }, transactions }),
+      CacheError
+    );
+  });
+});
+
+describe('cache loading', () => {
+  it('should upgrade and persist an old cache file on load', () => {
+    fs.writeFileSync(cachePath, JSON.stringify({ updated: '2024-01-01T00:00:00.000Z', transactions }));
+
+    assert.strictEqual(loadTransactionCache(cachePath).length, 2);
+    const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    assert.strictEqual(stored.schemaVersion, CACHE_SCHEMA_VERSION);
+    assert.deepStrictEqual(loadCacheMeta(cachePath).coverage, []);
+  });
+
+  it('should explain how to recover from a cache written by a newer version', () => {
+    fs.writeFileSync(cachePath, JSON.stringify({ schemaVersion: CACHE_SCHEMA_VERSION + 1, transactions }));
+    assert.throws(() => loadTransactionCache(cachePath), /newer than this version.*--rebuild/);
+  });
+
+  it('should back up a corrupt cache and raise a clear error', () => {
+    fs.writeFileSync(cachePath, '{"transactions": [');
+
+    assert.throws(() => loadTransactionCache(cachePath), (error) => {
+      assert.ok(error instanceof CacheError);
+      assert.match(error.message, /corrupt/);
+      assert.match(error.message, /v4v cache --rebuild/);
+      return true;
+    });
+
+    const backups = fs.readdirSync(testDir).filter(file => file.includes('.corrupt-'));
+    assert.strictEqual(backups.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(testDir, backups[0]), 'utf8'), '{"transactions": [');
+  });
+
+  it('should report a corrupt NDJSON log line', () => {
+    const logPath = path.join(testDir, '.test-cache.ndjson');
+    fs.writeFileSync(logPath, `${JSON.stringify(transactions[0])}\nnot json\n${JSON.stringify(transactions[1])}\n`);
+    assert.throws(() => getCacheStats(logPath), /line 2/);
+  });
+
+  it('should skip a truncated final NDJSON line', () => {
+    const logPath = path.join(testDir, '.test-cache.ndjson');
+    fs.writeFileSync(logPath, `${JSON.stringify(transactions[0])}\n{"payment_hash": "def`);
+    assert.strictEqual(loadTransactionCache(logPath).length, 1);
+  });
+});
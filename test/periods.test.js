@@ -0,0 +1,106 @@
+/**
+ * Tests for period bucketing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  isValidTimeZone,
+  zonedParts,
+  isoWeek,
+  periodKey,
+  recentPeriodKeys,
+} from '../lib/shared/periods.js';
+import { aggregateByPeriod } from '../lib/transformers.js';
+
+const at = (iso) => new Date(iso).getTime() / 1000;
+
+describe('isValidTimeZone', () => {
+  it('should accept IANA names and reject anything else', () => {
+    assert.strictEqual(isValidTimeZone('UTC'), true);
+    assert.strictEqual(isValidTimeZone('Europe/Berlin'), true);
+    assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.strictEqual(isValidTimeZone(''), false);
+    assert.strictEqual(isValidTimeZone(undefined), false);
+  });
+});
+
+describe('zonedParts', () => {
+  it('should read the calendar date in the given zone', () => {
+    const timestamp = at('2024-03-31T23:30:00Z');
+    assert.deepStrictEqual(zonedParts(timestamp, 'UTC'), {
+      year: 2024, month: 3, day: 31, hour: 23, weekday: 7,
+    });
+    assert.deepStrictEqual(zonedParts(timestamp, 'Europe/Berlin'), {
+      year: 2024, month: 4, day: 1, hour: 1, weekday: 1,
+    });
+  });
+});
+
+describe('isoWeek', () => {
+  it('should keep Sundays in the week that started on Monday', () => {
+    assert.deepStrictEqual(isoWeek(2024, 3, 25), { year: 2024, week: 13 });
+    assert.deepStrictEqual(isoWeek(2024, 3, 31), { year: 2024, week: 13 });
+    assert.deepStrictEqual(isoWeek(2024, 4, 1), { year: 2024, week: 14 });
+  });
+
+  it('should put year-boundary days in the week holding the Thursday', () => {
+    assert.deepStrictEqual(isoWeek(2024, 12, 30), { year: 2025, week: 1 });
+    assert.deepStrictEqual(isoWeek(2021, 1, 3), { year: 2020, week: 53 });
+    assert.deepStrictEqual(isoWeek(2026, 1, 1), { year: 2026, week: 1 });
+    assert.deepStrictEqual(isoWeek(2020, 12, 31), { year: 2020, week: 53 });
+  });
+});
+
+describe('periodKey', () => {
+  it('should build daily, weekly and monthly keys', () => {
+    const timestamp = at('2024-12-31T12:00:00Z');
+    assert.strictEqual(periodKey(timestamp, 'daily', 'UTC'), '2024-12-31');
+    assert.strictEqual(periodKey(timestamp, 'weekly', 'UTC'), '2025-W01');
+    assert.strictEqual(periodKey(timestamp, 'monthly', 'UTC'), '2024-12');
+  });
+
+  it('should bucket by the local date of the zone', () => {
+    const timestamp = at('2024-01-31T23:30:00Z');
+    assert.strictEqual(periodKey(timestamp, 'monthly', 'UTC'), '2024-01');
+    assert.strictEqual(periodKey(timestamp, 'monthly', 'Asia/Tokyo'), '2024-02');
+    assert.strictEqual(periodKey(at('2024-02-01T03:00:00Z'), 'daily', 'America/New_York'), '2024-01-31');
+  });
+});
+
+describe('recentPeriodKeys', () => {
+  it('should list consecutive weeks, oldest first', () => {
+    const now = at('2024-01-07T12:00:00Z'); // Sunday of 2024-W01
+    assert.deepStrictEqual(recentPeriodKeys(3, 'weekly', 'UTC', now), ['2023-W51', '2023-W52', '2024-W01']);
+  });
+
+  it('should step over DST changes without skipping a day', () => {
+    const now = at('2024-03-12T12:00:00Z');
+    assert.deepStrictEqual(
+      recentPeriodKeys(3, 'daily', 'America/New_York', now),
+      ['2024-03-10', '2024-03-11', '2024-03-12']
+    );
+  });
+
+  it('should list months across a year boundary', () => {
+    const now = at('2024-02-15T00:00:00Z');
+    assert.deepStrictEqual(recentPeriodKeys(3, 'monthly', 'UTC', now), ['2023-12', '2024-01', '2024-02']);
+  });
+});
+
+describe('aggregateByPeriod time zones', () => {
+  const transactions = [
+    { amount: 1000000, settled_at: at('2024-03-31T20:00:00Z') }, // Sunday
+    { amount: 2000000, settled_at: at('2024-03-25T08:00:00Z') }, // Monday
+  ];
+
+  it('should use ISO weeks', () => {
+    const byWeek = aggregateByPeriod(transactions, 'weekly', 'UTC');
+    assert.deepStrictEqual([...byWeek.entries()], [['2024-W13', { sats: 3000, count: 2 }]]);
+  });
+
+  it('should bucket in the given zone', () => {
+    const byMonth = aggregateByPeriod(transactions, 'monthly', 'Asia/Tokyo');
+    assert.deepStrictEqual([...byMonth.keys()], ['2024-04', '2024-03']);
+  });
+});
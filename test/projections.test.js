@@ -0,0 +1,103 @@
+/**
+ * Tests for run-rate projections
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { projectTotals } from '../lib/shared/projections.js';
+import { projectPaymentTotals } from '../lib/transformers.js';
+
+const DAY = 24 * 60 * 60;
+const NOW = Date.UTC(2024, 5, 15, 12) / 1000; // Saturday 2024-06-15, noon UTC
+
+/**
+ * One tip a day at 06:00 UTC for each day offset (0 = today)
+ */
+function dailyPayments(fromDaysAgo, toDaysAgo, sats = () => 1000) {
+  const payments = [];
+  for (let ago = fromDaysAgo; ago >= toDaysAgo; ago--) {
+    payments.push({ sats: sats(ago), timestamp: NOW - ago * DAY - 6 * 60 * 60 });
+  }
+  return payments;
+}
+
+describe('projectTotals', () => {
+  it('should project from the trailing average and last year', () => {
+    const projection = projectTotals(dailyPayments(500, 0), {
+      timeZone: 'UTC',
+      periods: ['week', 'month', 'quarter', 'year'],
+      now: NOW,
+    });
+
+    assert.strictEqual(projection.asOf, '2024-06-15');
+    assert.deepStrictEqual(projection.trailing, { days: 90, perDay: 1000, sd: 0 });
+
+    const [week, month, quarter, year] = projection.periods;
+    assert.deepStrictEqual(month, {
+      period: 'month',
+      key: '2024-06',
+      start: '2024-06-01',
+      end: '2024-06-30',
+      elapsedDays: 14.5,
+      totalDays: 30,
+      actual: 15000,
+      runRate: 1034,
+      lastYear: { key: '2023-06', toDate: 14500, total: 30000 },
+      methods: { trailing: 30500, lastYear: 30500 },
+      projected: 30500,
+      low: 30500,
+      high: 30500,
+    });
+    assert.strictEqual(week.key, '2024-W24');
+    assert.strictEqual(week.start, '2024-06-10');
+    assert.strictEqual(week.lastYear.key, '2023-W24');
+    assert.strictEqual(quarter.key, '2024-Q2');
+    assert.strictEqual(quarter.totalDays, 91);
+    assert.strictEqual(year.totalDays, 366);
+  });
+
+  it('should skip last year when history does not reach back that far', () => {
+    const { periods } = projectTotals(dailyPayments(200, 0), { timeZone: 'UTC', now: NOW });
+    assert.deepStrictEqual(periods.map(p => p.key), ['2024-06', '2024-Q2', '2024']);
+    assert.strictEqual(periods[0].lastYear, null);
+    assert.strictEqual(periods[0].methods.lastYear, null);
+    assert.strictEqual(periods[0].projected, periods[0].methods.trailing);
+  });
+
+  it('should span both estimates and the daily variation in the range', () => {
+    // 2,000-3,000 sats a day this year, 1,000 a day before
+    const payments = dailyPayments(500, 0, ago => (ago > 166 ? 1000 : 2000 + (ago % 2) * 1000));
+    const [month] = projectTotals(payments, { timeZone: 'UTC', now: NOW }).periods;
+
+    assert.ok(month.methods.trailing > month.methods.lastYear);
+    assert.strictEqual(month.projected, Math.round((month.methods.trailing + month.methods.lastYear) / 2));
+    assert.ok(month.low < month.methods.lastYear);
+    assert.ok(month.high > month.methods.trailing);
+    assert.ok(month.low >= month.actual);
+  });
+
+  it('should not project without history', () => {
+    const projection = projectTotals(dailyPayments(5, 0), { timeZone: 'UTC', now: NOW });
+    assert.strictEqual(projection.trailing, null);
+    assert.strictEqual(projection.periods[0].actual, 6000);
+    assert.strictEqual(projection.periods[0].projected, null);
+    assert.strictEqual(projection.periods[0].low, null);
+  });
+
+  it('should follow the time zone calendar', () => {
+    // 2024-06-30T23:00Z is already July in Berlin
+    const now = Date.UTC(2024, 5, 30, 23) / 1000;
+    const [month] = projectTotals([], { timeZone: 'Europe/Berlin', now }).periods;
+    assert.strictEqual(month.key, '2024-07');
+    assert.strictEqual(month.elapsedDays, 0.04);
+  });
+});
+
+describe('projectPaymentTotals', () => {
+  it('should read sats and timestamps from transactions', () => {
+    const transactions = dailyPayments(100, 0).map(p => ({ amount: p.sats * 1000, settled_at: p.timestamp }));
+    const { periods } = projectPaymentTotals(transactions, { timeZone: 'UTC', now: NOW });
+    assert.strictEqual(periods[0].actual, 15000);
+    assert.strictEqual(periods[0].projected, 30500);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for cumulative and rolling series
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildSeries, parseRollingWindow } from '../lib/shared/series.js';
+import { aggregateSeries } from '../lib/transformers.js';
+
+const at = (iso) => new Date(iso).getTime() / 1000;
+const NOW = at('2024-06-15T12:00:00Z'); // Saturday, ISO week 24
+
+describe('buildSeries', () => {
+  const payments = [
+    { sats: 1000, timestamp: at('2024-05-27T10:00:00Z') }, // Monday, week 22
+    { sats: 500, timestamp: at('2024-05-29T10:00:00Z') },
+    { sats: 2000, timestamp: at('2024-06-12T10:00:00Z') }, // week 24
+  ];
+
+  it('should list every period with running totals', () => {
+    const series = buildSeries(payments, { period: 'weekly', timeZone: 'UTC', cumulative: true, now: NOW });
+    assert.deepStrictEqual(series, [
+      { date: '2024-W22', sats: 1500, payments: 2, cumulative: { sats: 1500, payments: 2 } },
+      { date: '2024-W23', sats: 0, payments: 0, cumulative: { sats: 1500, payments: 2 } },
+      { date: '2024-W24', sats: 2000, payments: 1, cumulative: { sats: 3500, payments: 3 } },
+    ]);
+  });
+
+  it('should sum the trailing window as of each period end', () => {
+    const series = buildSeries(payments, { period: 'weekly', timeZone: 'UTC', rolling: 7, now: NOW });
+    // Week 22 ends Sunday 06-02: both tips are within 7 days
+    assert.deepStrictEqual(series[0].rolling, { sats: 1500, payments: 2, perDay: 214 });
+    // Week 23 ends 06-09: the tips of 05-27 and 05-29 have dropped out
+    assert.deepStrictEqual(series[1].rolling, { sats: 0, payments: 0, perDay: 0 });
+    // This week runs to today, 06-15
+    assert.deepStrictEqual(series[2].rolling, { sats: 2000, payments: 1, perDay: 286 });
+    assert.strictEqual(series[0].cumulative, undefined);
+  });
+
+  it('should not count days before the first payment toward the average', () => {
+    const series = buildSeries(payments, { period: 'daily', timeZone: 'UTC', rolling: 30, now: NOW });
+    assert.strictEqual(series[0].date, '2024-05-27');
+    assert.strictEqual(series[0].rolling.perDay, 1000);
+    assert.strictEqual(series[2].rolling.perDay, 500); // 1,500 sats over 3 days
+  });
+
+  it('should list periods within from and to, counting history before them', () => {
+    const series = buildSeries(payments, {
+      period: 'daily',
+      timeZone: 'UTC',
+      rolling: 30,
+      cumulative: true,
+      from: at('2024-06-12T00:00:00Z'),
+      to: at('2024-06-13T23:59:59Z'),
+      now: NOW,
+    });
+    assert.deepStrictEqual(series.map(p => p.date), ['2024-06-12', '2024-06-13']);
+    assert.deepStrictEqual(series[0].cumulative, { sats: 3500, payments: 3 });
+    assert.strictEqual(series[0].rolling.sats, 3500);
+  });
+
+  it('should use the calendar of the time zone', () => {
+    // 23:30 UTC on Sunday 06-02 is Monday 06-03 (week 23) in Berlin
+    const series = buildSeries([{ sats: 100, timestamp: at('2024-06-02T23:30:00Z') }], {
+      period: 'weekly',
+      timeZone: 'Europe/Berlin',
+      cumulative: true,
+      now: NOW,
+    });
+    assert.deepStrictEqual(series.map(p => p.date), ['2024-W23', '2024-W24']);
+  });
+
+  it('should be empty without payments', () => {
+    assert.deepStrictEqual(buildSeries([], { period: 'monthly', timeZone: 'UTC', cumulative: true, now: NOW }), []);
+  });
+});
+
+describe('parseRollingWindow', () => {
+  it('should accept 7, 30 and 90 days', () => {
+    assert.strictEqual(parseRollingWindow('30d'), 30);
+    assert.strictEqual(parseRollingWindow('7'), 7);
+    assert.strictEqual(parseRollingWindow(' 90D '), 90);
+  });
+
+  it('should reject other windows', () => {
+    assert.strictEqual(parseRollingWindow('14d'), null);
+    assert.strictEqual(parseRollingWindow('1mo'), null);
+    assert.strictEqual(parseRollingWindow(undefined), null);
+  });
+});
+
+describe('aggregateSeries', () => {
+  it('should read sats and timestamps from transactions', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const series = aggregateSeries([
+      { amount: 21000, settled_at: now - 3600 },
+      { amount: 1000, created_at: now - 60 },
+    ], { period: 'monthly', timeZone: 'UTC', rolling: 7, cumulative: true });
+    const last = series[series.length - 1];
+    assert.deepStrictEqual(last.cumulative, { sats: 22, payments: 2 });
+    assert.strictEqual(last.rolling.sats, 22);
+  });
+});
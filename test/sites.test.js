@@ -0,0 +1,54 @@
+/**
+ * Tests for multi-site support
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { getSites, getSiteTitlesCachePath } from '../lib/sites.js';
+import { ValidationError } from '../lib/errors.js';
+
+const original = { siteUrl: CONFIG.siteUrl, sites: CONFIG.sites };
+
+const sites = [
+  { url: 'example.com', rssUrl: null },
+  { url: 'notes.example.com', rssUrl: 'https://notes.example.com/index.xml' },
+];
+
+before(() => {
+  CONFIG.siteUrl = 'example.com';
+  CONFIG.sites = sites;
+});
+
+after(() => {
+  Object.assign(CONFIG, original);
+});
+
+describe('getSites', () => {
+  it('should return every configured site by default', () => {
+    assert.deepStrictEqual(getSites(), sites);
+  });
+
+  it('should narrow to comma-separated URLs, ignoring scheme and case', () => {
+    assert.deepStrictEqual(getSites('https://Notes.example.com/').map(s => s.url), ['notes.example.com']);
+    assert.deepStrictEqual(getSites('notes.example.com,example.com').map(s => s.url), ['notes.example.com', 'example.com']);
+  });
+
+  it('should reject unknown sites', () => {
+    assert.throws(() => getSites('other.com'), ValidationError);
+  });
+});
+
+describe('getSiteTitlesCachePath', () => {
+  it('should keep the original titles cache for the primary site', () => {
+    assert.strictEqual(getSiteTitlesCachePath('example.com'), CONFIG.paths.titlesCache);
+  });
+
+  it('should give other sites their own titles cache', () => {
+    assert.strictEqual(
+      getSiteTitlesCachePath('notes.example.com'),
+      path.join(path.dirname(CONFIG.paths.titlesCache), '.titles-cache.notes.example.com.json')
+    );
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for node and wallet export sources
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { loadTransactionCache, saveTransactionCache } from '../lib/cache.js';
+import { fetchTransactions } from '../lib/transactions.js';
+import { filterV4VPayments } from '../lib/transformers.js';
+import { toUnixSeconds, toMsat, toHex } from '../lib/sources/normalize.js';
+import { parse as parseAlby, parseCSV } from '../lib/sources/alby-csv.js';
+import { parse as parseLnd } from '../lib/sources/lnd.js';
+import { parse as parseCln } from '../lib/sources/cln.js';
+import { getDataSource, readSource, importFromSource } from '../lib/sources/index.js';
+import { ValidationError, ParseError } from '../lib/errors.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-sources');
+const originalConfig = { ...CONFIG, paths: { ...CONFIG.paths } };
+
+const HASH = 'a'.repeat(64);
+const HASH_B64 = Buffer.from(HASH, 'hex').toString('base64');
+
+const lndExport = {
+  invoices: [
+    {
+      memo: 'shawnyeager.com/essay',
+      r_hash: HASH,
+      r_preimage: 'b'.repeat(64),
+      value: '21',
+      value_msat: '21000',
+      settled: true,
+      creation_date: '1700000000',
+      settle_date: '1700000060',
+      payment_request: 'lnbc210n1...',
+      amt_paid_sat: '21',
+      amt_paid_msat: '21000',
+      state: 'SETTLED',
+    },
+    {
+      memo: 'shawnyeager.com/other',
+      r_hash: 'c'.repeat(64),
+      value: '100',
+      creation_date: '1700000100',
+      settle_date: '0',
+      state: 'CANCELED',
+    },
+  ],
+  last_index_offset: '2',
+  first_index_offset: '1',
+};
+
+const clnExport = {
+  invoices: [
+    {
+      label: 'tip-1',
+      bolt11: 'lnbc1...',
+      payment_hash: HASH,
+      amount_msat: 21000,
+      status: 'paid',
+      amount_received_msat: 21000,
+      paid_at: 1700000060,
+      payment_preimage: 'b'.repeat(64),
+      description: 'shawnyeager.com/essay',
+      expires_at: 1700086400,
+    },
+    {
+      label: 'tip-2',
+      payment_hash: 'c'.repeat(64),
+      amount_msat: '5000msat',
+      status: 'expired',
+      description: 'shawnyeager.com/other',
+    },
+  ],
+};
+
+const albyCsv = [
+  'type,state,payment_hash,amount,fees_paid,description,created_at,settled_at',
+  `incoming,settled,${HASH},21000,0,"shawnyeager.com/essay, thanks ""Shawn""",2023-11-14T22:13:20Z,2023-11-14T22:14:20Z`,
+  `outgoing,settled,${'d'.repeat(64)},5000,10,Coffee,2023-11-14T22:13:20Z,2023-11-14T22:13:21Z`,
+  `incoming,pending,${'c'.repeat(64)},1000,0,shawnyeager.com/other,2023-11-14T22:13:20Z,`,
+  '',
+].join('\r\n');
+
+before(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+  CONFIG.paths.cache = path.join(testDir, '.v4v-cache.json');
+  CONFIG.cacheBackend = 'json';
+  CONFIG.wallets = [];
+  CONFIG.batchDelay = 0;
+  CONFIG.siteUrl = 'shawnyeager.com';
+  CONFIG.sites = [{ url: 'shawnyeager.com', rssUrl: null }];
+});
+
+after(() => {
+  Object.assign(CONFIG, originalConfig);
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  for (const name of fs.readdirSync(testDir)) {
+    fs.rmSync(path.join(testDir, name), { force: true });
+  }
+});
+
+describe('normalize helpers', () => {
+  it('should read seconds, milliseconds and ISO dates', () => {
+    assert.strictEqual(toUnixSeconds('1700000000'), 1700000000);
+    assert.strictEqual(toUnixSeconds(1700000000123), 1700000000);
+    assert.strictEqual(toUnixSeconds('2023-11-14T22:13:20Z'), 1700000000);
+    assert.strictEqual(toUnixSeconds('0'), null);
+    assert.strictEqual(toUnixSeconds('not a date'), null);
+  });
+
+  it('should read msat numbers and strings', () => {
+    assert.strictEqual(toMsat(21000), 21000);
+    assert.strictEqual(toMsat('21000msat'), 21000);
+    assert.strictEqual(toMsat(''), null);
+  });
+
+  it('should turn base64 hashes into hex', () => {
+    assert.strictEqual(toHex(HASH_B64), HASH);
+    assert.strictEqual(toHex(HASH.toUpperCase()), HASH);
+  });
+});
+
+describe('LND source', () => {
+  it('should keep settled invoices in the NWC shape', () => {
+    const [tx, ...rest] = parseLnd(JSON.stringify(lndExport));
+    assert.strictEqual(rest.length, 0);
+    assert.deepStrictEqual(tx, {
+      type: 'incoming',
+      state: 'settled',
+      payment_hash: HASH,
+      amount: 21000,
+      description: 'shawnyeager.com/essay',
+      settled_at: 1700000060,
+      created_at: 1700000000,
+      preimage: 'b'.repeat(64),
+      invoice: 'lnbc210n1...',
+    });
+  });
+
+  it('should accept REST responses with base64 hashes', () => {
+    const rest = { invoices: [{ ...lndExport.invoices[0], r_hash: HASH_B64, state: undefined }] };
+    assert.strictEqual(parseLnd(JSON.stringify(rest))[0].payment_hash, HASH);
+  });
+
+  it('should skip invoices without a hash', () => {
+    const noHash = { invoices: [lndExport.invoices[0], { ...lndExport.invoices[0], r_hash: undefined }] };
+    assert.deepStrictEqual(parseLnd(JSON.stringify(noHash)).map(tx => tx.payment_hash), [HASH]);
+  });
+
+  it('should reject JSON without invoices', () => {
+    assert.throws(() => parseLnd('{"payments": []}'), ParseError);
+    assert.throws(() => parseLnd('not json'), ParseError);
+  });
+});
+
+describe('Core Lightning source', () => {
+  it('should keep paid invoices in the NWC shape', () => {
+    const transactions = parseCln(JSON.stringify(clnExport));
+    assert.strictEqual(transactions.length, 1);
+    assert.strictEqual(transactions[0].payment_hash, HASH);
+    assert.strictEqual(transactions[0].amount, 21000);
+    assert.strictEqual(transactions[0].settled_at, 1700000060);
+    assert.strictEqual(transactions[0].invoice, 'lnbc1...');
+  });
+
+  it('should skip invoices without a hash', () => {
+    const noHash = { invoices: [{ ...clnExport.invoices[0], payment_hash: undefined }] };
+    assert.deepStrictEqual(parseCln(JSON.stringify(noHash)), []);
+  });
+
+  it('should read older msat strings', () => {
+    const old = { invoices: [{ ...clnExport.invoices[0], amount_received_msat: '42000msat' }] };
+    assert.strictEqual(parseCln(JSON.stringify(old))[0].amount, 42000);
+  });
+});
+
+describe('Alby Hub CSV source', () => {
+  it('should parse quoted fields', () => {
+    assert.deepStrictEqual(parseCSV('a,"b,c","d ""e"""\n1,2,3'), [['a', 'b,c', 'd "e"'], ['1', '2', '3']]);
+  });
+
+  it('should keep settled incoming rows', () => {
+    const transactions = parseAlby(albyCsv);
+    assert.strictEqual(transactions.length, 1);
+    assert.strictEqual(transactions[0].description, 'shawnyeager.com/essay, thanks "Shawn"');
+    assert.strictEqual(transactions[0].amount, 21000);
+    assert.strictEqual(transactions[0].settled_at, 1700000060);
+  });
+
+  it('should accept camelCase headers and sat amounts', () => {
+    const csv = `paymentHash,amountSat,memo,settledAt\n${HASH},21,shawnyeager.com/essay,1700000060\n`;
+    const [tx] = parseAlby(csv);
+    assert.strictEqual(tx.amount, 21000);
+    assert.strictEqual(tx.description, 'shawnyeager.com/essay');
+  });
+
+  it('should reject CSVs without a payment hash column', () => {
+    assert.throws(() => parseAlby('date,amount\n2024-01-01,1\n'), ParseError);
+  });
+});
+
+describe('importFromSource', () => {
+  it('should reject unknown sources', () => {
+    assert.throws(() => getDataSource('eclair'), ValidationError);
+  });
+
+  it('should name the file and format when parsing fails', () => {
+    const file = path.join(testDir, 'broken.json');
+    fs.writeFileSync(file, '{}');
+    assert.throws(() => readSource('lnd', file), /broken\.json is not a valid LND/);
+  });
+
+  it('should add new payments that filterV4VPayments accepts', () => {
+    const file = path.join(testDir, 'invoices.json');
+    fs.writeFileSync(file, JSON.stringify(lndExport));
+
+    const result = importFromSource('lnd', file);
+    assert.deepStrictEqual(result, { wallet: 'default', read: 1, added: 1, total: 1 });
+
+    const cached = loadTransactionCache(CONFIG.paths.cache);
+    assert.strictEqual(cached[0].imported_from, 'lnd');
+    assert.strictEqual(filterV4VPayments(cached).length, 1);
+
+    assert.strictEqual(importFromSource('lnd', file).added, 0);
+  });
+
+  it('should keep records already synced over NWC', () => {
+    saveTransactionCache([{ type: 'incoming', payment_hash: HASH, amount: 21000, description: 'synced', settled_at: 1700000060 }]);
+    const file = path.join(testDir, 'invoices.json');
+    fs.writeFileSync(file, JSON.stringify(clnExport));
+
+    assert.strictEqual(importFromSource('cln', file).added, 0);
+    assert.strictEqual(loadTransactionCache(CONFIG.paths.cache)[0].description, 'synced');
+  });
+
+  it('should not move the incremental sync past imported records', async () => {
+    saveTransactionCache([
+      { type: 'incoming', payment_hash: 'old', amount: 1000, settled_at: 1700000000 },
+      { type: 'incoming', payment_hash: 'imported', amount: 1000, settled_at: 1700000300, imported_from: 'lnd' },
+    ]);
+    const client = {
+      async listTransactions({ offset = 0 }) {
+        const transactions = [
+          { type: 'incoming', payment_hash: 'new', amount: 1000, settled_at: 1700000200 },
+          { type: 'incoming', payment_hash: 'old', amount: 1000, settled_at: 1700000000 },
+        ];
+        return { transactions: offset === 0 ? transactions : [] };
+      },
+    };
+
+    const transactions = await fetchTransactions(client);
+    assert.deepStrictEqual(transactions.map(tx => tx.payment_hash), ['imported', 'new', 'old']);
+  });
+});
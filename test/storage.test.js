@@ -0,0 +1,216 @@
+/**
+ * Tests for storage backends
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { getStorage, getBackendType } from '../lib/storage/index.js';
+import { getSidecarPath } from '../lib/storage/ndjson-store.js';
+import { timestampBounds, mergeByHash, slimTransactions, txState, stampState } from '../lib/storage/records.js';
+import { migrateCache, getCacheStats } from '../lib/cache.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-storage');
+
+const transactions = [
+  { payment_hash: 'abc123', amount: 1000000, settled_at: 1700000000 },
+  { payment_hash: 'def456', amount: 2000000, settled_at: 1700100000 },
+];
+
+beforeEach(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+});
+
+afterEach(() => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+describe('getBackendType', () => {
+  it('should pick ndjson for .ndjson files', () => {
+    assert.strictEqual(getBackendType('/tmp/.v4v-cache.ndjson'), 'ndjson');
+  });
+
+  it('should default to json', () => {
+    assert.strictEqual(getBackendType('/tmp/.v4v-cache.json'), 'json');
+  });
+});
+
+for (const file of ['.test-cache.json', '.test-cache.ndjson']) {
+  describe(`${getBackendType(file)} store`, () => {
+    const cachePath = path.join(testDir, file);
+
+    it('should read an empty cache', () => {
+      const storage = getStorage(cachePath);
+      assert.strictEqual(storage.exists(), false);
+      assert.deepStrictEqual(storage.read().transactions, []);
+      assert.strictEqual(storage.stats(), null);
+    });
+
+    it('should write and read transactions with metadata', () => {
+      const storage = getStorage(cachePath);
+      storage.write(transactions, { backfill: { complete: true } });
+
+      const { meta, transactions: stored } = storage.read();
+      assert.strictEqual(stored.length, 2);
+      assert.ok(stored.some(tx => tx.payment_hash === 'def456'));
+      assert.deepStrictEqual(meta.backfill, { complete: true });
+      assert.ok(meta.updated);
+    });
+
+    it('should upsert by payment_hash', () => {
+      const storage = getStorage(cachePath);
+      storage.write(transactions, {});
+      storage.upsert([
+        { payment_hash: 'abc123', amount: 5000000, settled_at: 1700000000 },
+        { payment_hash: 'ghi789', amount: 1000000, settled_at: 1700200000 },
+      ]);
+
+      const { transactions: stored } = storage.read();
+      assert.strictEqual(stored.length, 3);
+      assert.strictEqual(stored.find(tx => tx.payment_hash === 'abc123').amount, 5000000);
+    });
+
+    it('should keep metadata when upserting without meta', () => {
+      const storage = getStorage(cachePath);
+      storage.write(transactions, { coverage: [{ from: 0, until: 1700100000 }] });
+      storage.upsert([]);
+      assert.strictEqual(storage.readMeta().coverage.length, 1);
+    });
+
+    it('should report stats', () => {
+      const storage = getStorage(cachePath);
+      storage.write(transactions, {});
+      const stats = storage.stats();
+      assert.strictEqual(stats.count, 2);
+      assert.strictEqual(stats.oldest, 1700000000);
+      assert.strictEqual(stats.newest, 1700100000);
+      assert.ok(stats.sizeBytes > 0);
+    });
+
+    it('should clear the cache', () => {
+      const storage = getStorage(cachePath);
+      storage.write(transactions, {});
+      assert.strictEqual(storage.clear(), true);
+      assert.strictEqual(storage.exists(), false);
+    });
+  });
+}
+
+describe('ndjson store', () => {
+  const cachePath = path.join(testDir, '.test-cache.ndjson');
+
+  it('should append only new or changed records', () => {
+    const storage = getStorage(cachePath);
+    storage.upsert(transactions);
+    storage.upsert(transactions);
+    storage.upsert([{ ...transactions[0], amount: 3000000 }]);
+
+    const lines = fs.readFileSync(cachePath, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.strictEqual(storage.read().transactions.length, 2);
+  });
+
+  it('should answer stats from the index without the log', () => {
+    const storage = getStorage(cachePath);
+    storage.upsert(transactions);
+    fs.writeFileSync(cachePath, '');
+    assert.strictEqual(storage.stats().count, 2);
+  });
+
+  it('should not let a later pending line undo a settled one', () => {
+    const storage = getStorage(cachePath);
+    storage.upsert([{ ...transactions[0], state: 'settled', state_seen_at: { settled: 1700000100 } }]);
+    storage.upsert([{ ...transactions[0], state: 'pending', state_seen_at: { pending: 1700000050 } }]);
+
+    const [tx] = storage.read().transactions.filter(t => t.payment_hash === 'abc123');
+    assert.strictEqual(tx.state, 'settled');
+    assert.deepStrictEqual(tx.state_seen_at, { settled: 1700000100, pending: 1700000050 });
+
+    // The index still describes the settled record that reads return, so
+    // syncing that record again appends nothing
+    const { index } = JSON.parse(fs.readFileSync(storage.sidecarPath, 'utf8'));
+    assert.strictEqual(index.abc123[2], 'settled');
+    storage.upsert([tx]);
+    assert.strictEqual(fs.readFileSync(cachePath, 'utf8').trim().split('\n').length, 2);
+  });
+
+  it('should not append a record again just because it was seen again', () => {
+    const storage = getStorage(cachePath);
+    storage.upsert([stampState(transactions[0], 1700000100)]);
+    storage.upsert([stampState(transactions[0], 1700000200)]);
+    assert.strictEqual(fs.readFileSync(cachePath, 'utf8').trim().split('\n').length, 1);
+  });
+
+  it('should rebuild the index when the sidecar is missing', () => {
+    const storage = getStorage(cachePath);
+    storage.upsert(transactions);
+    fs.unlinkSync(getSidecarPath(cachePath));
+    assert.strictEqual(storage.stats().count, 2);
+  });
+});
+
+describe('migrateCache', () => {
+  it('should copy transactions and metadata between backends', () => {
+    const fromPath = path.join(testDir, '.test-cache.json');
+    const toPath = path.join(testDir, '.test-cache.ndjson');
+    getStorage(fromPath).write(transactions, { backfill: { complete: true } });
+
+    assert.strictEqual(migrateCache(fromPath, toPath), 2);
+    const stats = getCacheStats(toPath);
+    assert.strictEqual(stats.backend, 'ndjson');
+    assert.strictEqual(stats.totalTransactions, 2);
+    assert.deepStrictEqual(stats.backfill, { complete: true });
+  });
+});
+
+describe('record helpers', () => {
+  it('should find timestamp bounds for large inputs', () => {
+    const timestamps = Array.from({ length: 200000 }, (_, i) => 1700000000 + i);
+    assert.deepStrictEqual(timestampBounds(timestamps), {
+      oldest: 1700000000,
+      newest: 1700199999,
+    });
+  });
+
+  it('should let incoming transactions replace existing ones', () => {
+    const merged = mergeByHash([{ ...transactions[0], amount: 1 }], transactions);
+    assert.strictEqual(merged.length, 2);
+    assert.strictEqual(merged.find(tx => tx.payment_hash === 'abc123').amount, 1);
+  });
+
+  it('should read invoice states', () => {
+    const now = 1700100000;
+    assert.strictEqual(txState({ settled_at: 1700000000 }, now), 'settled');
+    assert.strictEqual(txState({ state: 'failed', created_at: now }, now), 'failed');
+    assert.strictEqual(txState({ state: 'pending', created_at: now - 60, expires_at: now + 60 }, now), 'pending');
+    assert.strictEqual(txState({ state: 'pending', created_at: now - 120, expires_at: now - 60 }, now), 'expired');
+    assert.strictEqual(txState({ created_at: now - 2 * 86400 }, now), 'expired');
+  });
+
+  it('should record when each state was first seen', () => {
+    const pending = stampState({ payment_hash: 'x', state: 'pending', created_at: 1700000000 }, 1700000010);
+    assert.deepStrictEqual(pending.state_seen_at, { pending: 1700000010 });
+    assert.strictEqual(stampState(pending, 1700000020), pending);
+  });
+
+  it('should move pending invoices forward but never back', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const pending = { payment_hash: 'x', state: 'pending', amount: 1, created_at: now, state_seen_at: { pending: now } };
+    const settled = { ...pending, state: 'settled', settled_at: now + 5, state_seen_at: { settled: now + 5 } };
+
+    const [updated] = mergeByHash([settled], [pending]);
+    assert.strictEqual(updated.state, 'settled');
+    assert.deepStrictEqual(updated.state_seen_at, { settled: now + 5, pending: now });
+
+    const [kept] = mergeByHash([pending], [settled]);
+    assert.strictEqual(kept.state, 'settled');
+    assert.strictEqual(kept.settled_at, now + 5);
+  });
+
+  it('should stub transactions that fail the predicate', () => {
+    const slim = slimTransactions(transactions, tx => tx.payment_hash === 'abc123');
+    assert.strictEqual(slim[0], transactions[0]);
+    assert.deepStrictEqual(slim[1], { payment_hash: 'def456', stub: true, settled_at: 1700100000 });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for payer identity and supporter analytics
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { payerIdentity } from '../lib/identity.js';
+import { buildSupporterReport } from '../lib/transformers.js';
+
+const PUBKEY = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+const at = (iso) => new Date(iso).getTime() / 1000;
+
+function payment(settledAt, sats, metadata) {
+  return {
+    type: 'incoming',
+    amount: sats * 1000,
+    description: 'shawnyeager.com/essays/foo',
+    settled_at: at(settledAt),
+    ...(metadata && { metadata }),
+  };
+}
+
+describe('payerIdentity', () => {
+  it('should prefer the zap request pubkey', () => {
+    const identity = payerIdentity({
+      metadata: { nostr: { kind: 9734, pubkey: PUBKEY.toUpperCase() }, payer_data: { name: 'Fiatjaf' } },
+    });
+    assert.deepStrictEqual(identity, { key: `nostr:${PUBKEY}`, name: 'Fiatjaf', source: 'nostr' });
+  });
+
+  it('should read zap requests from the invoice description', () => {
+    const identity = payerIdentity({ description: JSON.stringify({ kind: 9734, pubkey: PUBKEY, tags: [] }) });
+    assert.strictEqual(identity.key, `nostr:${PUBKEY}`);
+    assert.strictEqual(identity.name, '3bf0c63f…459d');
+  });
+
+  it('should use LUD-18 payerdata', () => {
+    assert.deepStrictEqual(
+      payerIdentity({ metadata: { payer_data: { name: 'Alice', identifier: 'Alice@getalby.com' } } }),
+      { key: 'lud18:alice@getalby.com', name: 'Alice', source: 'lud18' }
+    );
+    assert.deepStrictEqual(
+      payerIdentity({ metadata: { payer_data: '{"name":"Bob"}' } }),
+      { key: 'lud18:bob', name: 'Bob', source: 'lud18' }
+    );
+  });
+
+  it('should find an address or npub in the payer note', () => {
+    assert.strictEqual(payerIdentity({ metadata: { comment: 'thanks, erin@walletofsatoshi.com' } }).key, 'note:erin@walletofsatoshi.com');
+    const npub = `npub1${'q'.repeat(58)}`;
+    assert.strictEqual(payerIdentity({ metadata: { payer_note: `from ${npub}` } }).key, `note:${npub}`);
+  });
+
+  it('should not take closings and sign-offs for a payer', () => {
+    for (const comment of ['Great post - thanks!', 'Keep it up - cheers', 'Greetings from berlin', 'Great essay! - carol', 'by the way, loved it']) {
+      assert.strictEqual(payerIdentity({ metadata: { comment } }), null, comment);
+    }
+  });
+
+  it('should return null for anonymous payments', () => {
+    assert.strictEqual(payerIdentity({ description: 'shawnyeager.com/essays/foo' }), null);
+    assert.strictEqual(payerIdentity({ metadata: { comment: 'Thanks for writing this' } }), null);
+    assert.strictEqual(payerIdentity({ description: '{"kind":1,"pubkey":"nope"}' }), null);
+  });
+});
+
+describe('buildSupporterReport', () => {
+  const alice = { payer_data: { name: 'Alice', identifier: 'alice@getalby.com' } };
+  const bob = { comment: 'from bob@getalby.com' };
+  const transactions = [
+    payment('2024-01-10T12:00:00Z', 1000, alice),
+    payment('2024-01-20T12:00:00Z', 500, bob),
+    payment('2024-02-05T12:00:00Z', 2000, alice),
+    payment('2024-02-06T12:00:00Z', 21),
+    payment('2024-03-01T12:00:00Z', 5000, { payer_data: { name: 'Alice (new)', identifier: 'alice@getalby.com' } }),
+  ];
+
+  it('should total supporters over their lifetime', () => {
+    const report = buildSupporterReport(transactions, { timeZone: 'UTC' });
+
+    assert.strictEqual(report.identified, 2);
+    assert.strictEqual(report.repeat, 1);
+    assert.deepStrictEqual(report.anonymous, { payments: 1, sats: 21 });
+    assert.deepStrictEqual(report.supporters[0], {
+      key: 'lud18:alice@getalby.com',
+      name: 'Alice (new)',
+      source: 'lud18',
+      payments: 3,
+      sats: 8000,
+      first: at('2024-01-10T12:00:00Z'),
+      last: at('2024-03-01T12:00:00Z'),
+    });
+  });
+
+  it('should count new and returning supporters per period', () => {
+    const report = buildSupporterReport(transactions, { timeZone: 'UTC' });
+    assert.deepStrictEqual(report.byPeriod, [
+      { period: '2024-03', new: 0, returning: 1, anonymous: 0 },
+      { period: '2024-02', new: 0, returning: 1, anonymous: 1 },
+      { period: '2024-01', new: 2, returning: 0, anonymous: 0 },
+    ]);
+  });
+
+  it('should keep lifetime totals when only showing recent activity', () => {
+    const report = buildSupporterReport(transactions, { timeZone: 'UTC', since: at('2024-02-01T00:00:00Z') });
+
+    assert.deepStrictEqual(report.supporters.map(s => s.name), ['Alice (new)']);
+    assert.strictEqual(report.supporters[0].sats, 8000);
+    assert.deepStrictEqual(report.byPeriod.map(p => p.period), ['2024-03', '2024-02']);
+    assert.strictEqual(report.byPeriod[1].returning, 1);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Tests for transactions module
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { clearCache, loadCacheMeta, getCacheStats, saveTransactionCache, loadTransactionCache } from '../lib/cache.js';
+import {
+  fetchTransactions,
+  backfillTransactions,
+  verifyGaps,
+  repairGaps,
+} from '../lib/transactions.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-transactions');
+const originalConfig = { ...CONFIG, paths: { ...CONFIG.paths } };
+
+/**
+ * Build a fake wallet with one incoming payment per hour
+ */
+function buildWallet(count, start = 1700000000) {
+  const transactions = [];
+  for (let i = 0; i < count; i++) {
+    transactions.push({
+      payment_hash: `hash-${i}`,
+      amount: 1000000,
+      description: 'shawnyeager.com/essay',
+      settled_at: start + i * 3600,
+      created_at: start + i * 3600,
+    });
+  }
+  return transactions;
+}
+
+/**
+ * Fake NWC client that pages through wallet transactions newest first
+ */
+function createFakeClient(wallet) {
+  const calls = [];
+  return {
+    calls,
+    async listTransactions({ limit, offset = 0, from, until }) {
+      calls.push({ limit, offset, from, until });
+      const matching = wallet
+        .filter(tx => (from === undefined || tx.settled_at >= from) && (until === undefined || tx.settled_at <= until))
+        .sort((a, b) => b.settled_at - a.settled_at);
+      return { transactions: matching.slice(offset, offset + limit) };
+    },
+  };
+}
+
+before(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+  CONFIG.paths.cache = path.join(testDir, '.test-cache.json');
+  CONFIG.batchSize = 5;
+  CONFIG.batchDelay = 0;
+  CONFIG.maxBatches = 2;
+});
+
+after(() => {
+  Object.assign(CONFIG, originalConfig);
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  clearCache();
+});
+
+describe('fetchTransactions', () => {
+  it('should stop at maxBatches on an empty cache', async () => {
+    const client = createFakeClient(buildWallet(30));
+    const transactions = await fetchTransactions(client);
+    assert.strictEqual(transactions.length, 10);
+    assert.strictEqual(transactions[0].payment_hash, 'hash-29');
+  });
+
+  it('should record the fetched range as covered', async () => {
+    const wallet = buildWallet(3);
+    await fetchTransactions(createFakeClient(wallet));
+    const { coverage } = loadCacheMeta();
+    assert.strictEqual(coverage.length, 1);
+    assert.strictEqual(coverage[0].from, 0);
+  });
+
+  it('should only record coverage down to the oldest fetched transaction', async () => {
+    const wallet = buildWallet(30);
+    await fetchTransactions(createFakeClient(wallet));
+    const { coverage } = loadCacheMeta();
+    assert.strictEqual(coverage[0].from, wallet[20].settled_at);
+  });
+
+  it('should fetch a time window with from/until', async () => {
+    const wallet = buildWallet(30);
+    const client = createFakeClient(wallet);
+    const from = new Date(wallet[5].settled_at * 1000);
+    const until = new Date(wallet[7].settled_at * 1000);
+    const transactions = await fetchTransactions(client, null, { from, until });
+
+    assert.strictEqual(transactions.length, 3);
+    assert.strictEqual(client.calls[0].from, wallet[5].settled_at);
+    assert.strictEqual(client.calls[0].until, wallet[7].settled_at);
+    assert.deepStrictEqual(loadCacheMeta().coverage, [
+      { from: wallet[5].settled_at, until: wallet[7].settled_at },
+    ]);
+  });
+
+  it('should only fetch the part of a window the cache is missing', async () => {
+    const wallet = buildWallet(30);
+    await fetchTransactions(createFakeClient(wallet), null, {
+      from: new Date(wallet[5].settled_at * 1000),
+      until: new Date(wallet[7].settled_at * 1000),
+    });
+
+    const client = createFakeClient(wallet);
+    const transactions = await fetchTransactions(client, null, {
+      from: new Date(wallet[5].settled_at * 1000),
+      until: new Date(wallet[9].settled_at * 1000),
+    });
+
+    assert.strictEqual(transactions.length, 5);
+    assert.strictEqual(client.calls[0].from, wallet[7].settled_at + 1);
+    assert.strictEqual(loadCacheMeta().coverage.length, 1);
+  });
+
+  it('should not fetch a window that is already covered', async () => {
+    const wallet = buildWallet(3);
+    await fetchTransactions(createFakeClient(wallet));
+
+    const client = createFakeClient(wallet);
+    await fetchTransactions(client, null, { from: new Date(wallet[0].settled_at * 1000) });
+    assert.strictEqual(client.calls.length, 0);
+  });
+
+  it('should keep the backfill checkpoint when saving', async () => {
+    const wallet = buildWallet(30);
+    await backfillTransactions(createFakeClient(wallet));
+    await fetchTransactions(createFakeClient(wallet));
+    assert.ok(loadCacheMeta().backfill);
+  });
+});
+
+describe('invoice states', () => {
+  it('should update invoices cached while pending once they settle', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const wallet = [
+      { payment_hash: 'open', amount: 21000, state: 'pending', created_at: now - 600, expires_at: now + 3000 },
+      { payment_hash: 'paid', amount: 21000, state: 'settled', created_at: now - 300, settled_at: now - 300 },
+    ];
+    const client = {
+      async listTransactions({ offset = 0, unpaid }) {
+        assert.strictEqual(unpaid, true);
+        return { transactions: offset === 0 ? wallet : [] };
+      },
+    };
+
+    await fetchTransactions(client);
+    wallet[0] = { ...wallet[0], state: 'settled', settled_at: now - 60 };
+    const transactions = await fetchTransactions(client);
+    assert.strictEqual(transactions.find(tx => tx.payment_hash === 'open').state, 'settled');
+
+    const updated = loadTransactionCache().find(tx => tx.payment_hash === 'open');
+    assert.strictEqual(updated.state, 'settled');
+    assert.deepStrictEqual(Object.keys(updated.state_seen_at).sort(), ['pending', 'settled']);
+  });
+});
+
+describe('backfillTransactions', () => {
+  it('should record a checkpoint when history is incomplete', async () => {
+    const wallet = buildWallet(30);
+    const transactions = await backfillTransactions(createFakeClient(wallet));
+
+    assert.strictEqual(transactions.length, 10);
+    const { backfill } = loadCacheMeta();
+    assert.strictEqual(backfill.offset, 10);
+    assert.strictEqual(backfill.complete, false);
+    assert.strictEqual(backfill.oldest, wallet[20].settled_at);
+  });
+
+  it('should resume from the checkpoint until history is complete', async () => {
+    const wallet = buildWallet(23);
+    await backfillTransactions(createFakeClient(wallet));
+    await backfillTransactions(createFakeClient(wallet));
+    const transactions = await backfillTransactions(createFakeClient(wallet));
+
+    assert.strictEqual(transactions.length, 23);
+    const { backfill } = loadCacheMeta();
+    assert.strictEqual(backfill.complete, true);
+    assert.strictEqual(backfill.oldest, wallet[0].settled_at);
+  });
+
+  it('should page from a fixed anchor so new payments do not shift offsets', async () => {
+    const wallet = buildWallet(30);
+    await backfillTransactions(createFakeClient(wallet));
+    const { until } = loadCacheMeta().backfill;
+
+    // A new payment arrives between runs
+    wallet.push({ ...buildWallet(1, until + 60)[0], payment_hash: 'hash-new' });
+    const client = createFakeClient(wallet);
+    await backfillTransactions(client);
+
+    assert.ok(client.calls.every(call => call.until === until));
+    assert.strictEqual(client.calls[0].offset, 10);
+  });
+
+  it('should not fetch again once history is complete', async () => {
+    const wallet = buildWallet(3);
+    await backfillTransactions(createFakeClient(wallet));
+    const client = createFakeClient(wallet);
+    const transactions = await backfillTransactions(client);
+
+    assert.strictEqual(client.calls.length, 0);
+    assert.strictEqual(transactions.length, 3);
+  });
+});
+
+describe('gap detection and repair', () => {
+  /**
+   * Cache two fetched windows with a hole between them
+   */
+  function cacheWithGap(wallet) {
+    saveTransactionCache([...wallet.slice(10, 15), ...wallet.slice(0, 5)].reverse(), CONFIG.paths.cache, {
+      coverage: [
+        { from: wallet[0].settled_at, until: wallet[4].settled_at },
+        { from: wallet[10].settled_at, until: wallet[14].settled_at },
+      ],
+    });
+  }
+
+  it('should include gaps in cache stats', () => {
+    const wallet = buildWallet(15);
+    cacheWithGap(wallet);
+    const { gaps } = getCacheStats();
+    assert.deepStrictEqual(gaps, [
+      { from: wallet[4].settled_at + 1, until: wallet[10].settled_at - 1 },
+    ]);
+  });
+
+  it('should count missing transactions in each gap without writing', async () => {
+    const wallet = buildWallet(15);
+    cacheWithGap(wallet);
+    const results = await verifyGaps(createFakeClient(wallet));
+
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].missing, 5);
+    assert.strictEqual(results[0].more, true);
+    assert.strictEqual(getCacheStats().totalTransactions, 10);
+  });
+
+  /**
+   * Cache a synced window plus a newer payment stored from a notification,
+   * while the payments in between were missed
+   */
+  function cacheWithMissedPayments(wallet) {
+    saveTransactionCache([wallet[8], ...wallet.slice(0, 5).reverse()], CONFIG.paths.cache, {
+      coverage: [{ from: wallet[0].settled_at, until: wallet[4].settled_at }],
+    });
+  }
+
+  it('should store missed payments below the newest cached one', async () => {
+    const wallet = buildWallet(10);
+    cacheWithMissedPayments(wallet);
+    await fetchTransactions(createFakeClient(wallet));
+
+    const hashes = loadTransactionCache().map(tx => tx.payment_hash);
+    assert.ok(['hash-5', 'hash-6', 'hash-7', 'hash-9'].every(hash => hashes.includes(hash)));
+    // Only the span between the old window and the oldest payment fetched is unchecked
+    assert.deepStrictEqual(getCacheStats().gaps, [
+      { from: wallet[4].settled_at + 1, until: wallet[5].settled_at - 1 },
+    ]);
+  });
+
+  it('should leave missed payments the sync did not reach as a gap', async () => {
+    CONFIG.batchSize = 2;
+    try {
+      const wallet = buildWallet(10);
+      cacheWithMissedPayments(wallet);
+      await fetchTransactions(createFakeClient(wallet));
+
+      assert.deepStrictEqual(getCacheStats().gaps, [
+        { from: wallet[4].settled_at + 1, until: wallet[8].settled_at - 1 },
+      ]);
+    } finally {
+      CONFIG.batchSize = 5;
+    }
+    const [gap] = await verifyGaps(createFakeClient(buildWallet(10)));
+    assert.strictEqual(gap.missing, 3);
+  });
+
+  it('should fetch only the gaps when repairing', async () => {
+    const wallet = buildWallet(15);
+    cacheWithGap(wallet);
+    const client = createFakeClient(wallet);
+    const transactions = await repairGaps(client);
+
+    assert.strictEqual(transactions.length, 15);
+    assert.strictEqual(client.calls[0].from, wallet[4].settled_at + 1);
+    assert.strictEqual(client.calls[0].until, wallet[10].settled_at - 1);
+    assert.deepStrictEqual(getCacheStats().gaps, []);
+  });
+});
@@ -2,21 +2,49 @@
  * Tests for transformer functions
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import { CONFIG } from '../lib/config.js';
 import {
   parseEssaySlug,
+  parsePaymentSource,
+  isFooterPayment,
+  matchSite,
+  isV4VPayment,
   filterV4VPayments,
   filterByDateRange,
   aggregateByEssay,
   aggregateByPeriod,
   buildSummary,
   simplifyTransaction,
+  aggregateByWallet,
+  aggregateBySite,
+  aggregateByChannel,
+  aggregateByPaymentSource,
+  zapDescription,
+  paymentChannel,
+  filterBySite,
+  filterSettled,
+  summarizePending,
 } from '../lib/transformers.js';
 
 // Mock site URL for tests
 const TEST_SITE_URL = 'shawnyeager.com';
 
+/**
+ * Configure TEST_SITE_URL as the only site for the tests of a describe block,
+ * so they don't depend on V4V_SITE_URL in the environment
+ */
+function useTestSite() {
+  const originalSites = CONFIG.sites;
+  beforeEach(() => {
+    CONFIG.sites = [{ url: TEST_SITE_URL, rssUrl: null }];
+  });
+  afterEach(() => {
+    CONFIG.sites = originalSites;
+  });
+}
+
 // Sample transactions for testing
 const sampleTransactions = [
   {
@@ -83,6 +111,43 @@ describe('parseEssaySlug', () => {
   });
 });
 
+describe('parsePaymentSource', () => {
+  useTestSite();
+
+  it('should parse the source after the page path', () => {
+    assert.strictEqual(parsePaymentSource('shawnyeager.com/essays/foo?source=newsletter'), 'newsletter');
+    assert.strictEqual(parsePaymentSource('https://shawnyeager.com?source=Nostr-Bio'), 'nostr-bio');
+    assert.strictEqual(parsePaymentSource('shawnyeager.com/foo?ref=x&source=podcast'), 'podcast');
+  });
+
+  it('should return null without a source', () => {
+    assert.strictEqual(parsePaymentSource('shawnyeager.com/essays/foo'), null);
+    assert.strictEqual(parsePaymentSource('shawnyeager.com/foo thanks ?source=spoofed'), null);
+    assert.strictEqual(parsePaymentSource('other-site.com?source=newsletter'), null);
+    assert.strictEqual(parsePaymentSource(undefined), null);
+  });
+
+  it('should leave the slug and footer detection alone', () => {
+    assert.strictEqual(parseEssaySlug('shawnyeager.com/essays/foo?source=newsletter'), 'essays/foo');
+    assert.strictEqual(isFooterPayment('shawnyeager.com?source=newsletter'), true);
+    assert.strictEqual(isFooterPayment('shawnyeager.com/essays/foo?source=newsletter'), false);
+  });
+
+  it('should total sats per source, largest first', () => {
+    const payments = [
+      { amount: 1000000, description: 'shawnyeager.com/essays/foo?source=newsletter' },
+      { amount: 2000000, description: 'shawnyeager.com?source=newsletter' },
+      { amount: 500000, description: 'shawnyeager.com/essays/foo' },
+    ];
+    assert.deepStrictEqual([...aggregateByPaymentSource(payments).entries()], [
+      ['newsletter', { sats: 3000, count: 2 }],
+      ['(direct)', { sats: 500, count: 1 }],
+    ]);
+    assert.strictEqual(simplifyTransaction(payments[0]).source, 'newsletter');
+    assert.strictEqual(simplifyTransaction(payments[2]).source, null);
+  });
+});
+
 describe('filterV4VPayments', () => {
   it('should filter transactions containing site URL', () => {
     const filtered = filterV4VPayments(sampleTransactions, TEST_SITE_URL);
@@ -101,6 +166,126 @@ describe('filterV4VPayments', () => {
   });
 });
 
+describe('isV4VPayment', () => {
+  it('should match descriptions containing the site URL', () => {
+    assert.strictEqual(isV4VPayment({ description: 'shawnyeager.com/essay' }, TEST_SITE_URL), true);
+  });
+
+  it('should not match transactions without a description', () => {
+    assert.strictEqual(isV4VPayment({ payment_hash: 'abc' }, TEST_SITE_URL), false);
+  });
+});
+
+describe('multiple sites', () => {
+  const originalSites = CONFIG.sites;
+  const payments = [
+    { amount: 1000000, description: 'example.com/essay' },
+    { amount: 2000000, description: 'blog.example.com/post' },
+    { amount: 3000000, description: 'blog.example.com' },
+    { amount: 4000000, description: 'other.com/essay' },
+  ];
+
+  beforeEach(() => {
+    CONFIG.sites = [
+      { url: 'example.com', rssUrl: null },
+      { url: 'blog.example.com', rssUrl: null },
+    ];
+  });
+
+  afterEach(() => {
+    CONFIG.sites = originalSites;
+  });
+
+  it('should attribute payments to the longest matching site', () => {
+    assert.deepStrictEqual(
+      payments.map(tx => matchSite(tx.description)),
+      ['example.com', 'blog.example.com', 'blog.example.com', null]
+    );
+    assert.strictEqual(matchSite(undefined), null);
+  });
+
+  it('should parse slugs against the matching site', () => {
+    assert.strictEqual(parseEssaySlug('blog.example.com/post'), 'post');
+    assert.strictEqual(parseEssaySlug('blog.example.com'), null);
+  });
+
+  it('should treat a payment for any configured site as V4V', () => {
+    assert.strictEqual(filterV4VPayments(payments).length, 3);
+  });
+
+  it('should filter payments by site', () => {
+    const filtered = filterBySite(payments, ['blog.example.com']);
+    assert.deepStrictEqual(filtered.map(tx => tx.amount), [2000000, 3000000]);
+  });
+
+  it('should total sats per site, largest first', () => {
+    assert.deepStrictEqual([...aggregateBySite(payments).entries()], [
+      ['blog.example.com', { sats: 5000, count: 2 }],
+      ['example.com', { sats: 1000, count: 1 }],
+    ]);
+  });
+});
+
+describe('zap attribution', () => {
+  const PUBKEY = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+  const zap = (tags, content = '') => ({ kind: 9734, pubkey: PUBKEY, content, tags });
+  const zapPayment = (request, amount = 2100000) => ({ amount, description: JSON.stringify(request) });
+
+  useTestSite();
+
+  it('should find the page in url and r tags, then the comment', () => {
+    assert.strictEqual(
+      zapDescription(zap([['relays', 'wss://relay.damus.io'], ['url', 'https://shawnyeager.com/essays/foo/']])),
+      'https://shawnyeager.com/essays/foo/'
+    );
+    assert.strictEqual(zapDescription(zap([['r', 'shawnyeager.com/bar']])), 'shawnyeager.com/bar');
+    assert.strictEqual(zapDescription(zap([], 'Loved shawnyeager.com/baz!')), 'Loved shawnyeager.com/baz!');
+  });
+
+  it('should use the identifier of a long-form a tag with a single site', () => {
+    assert.strictEqual(zapDescription(zap([['a', `30023:${PUBKEY}:essays/foo`]])), 'shawnyeager.com/essays/foo');
+    assert.strictEqual(
+      zapDescription(zap([['a', `30023:${PUBKEY}:foo`]]), ['example.com', 'blog.example.com']),
+      null
+    );
+  });
+
+  it('should return null for zaps that name no page', () => {
+    assert.strictEqual(zapDescription(zap([['p', PUBKEY]], 'gm')), null);
+    assert.strictEqual(zapDescription({ kind: 9734 }), null);
+  });
+
+  it('should keep zaps for the site and attribute them to essays', () => {
+    const payments = [
+      { amount: 1000000, description: 'shawnyeager.com/essays/foo' },
+      zapPayment(zap([['r', 'https://shawnyeager.com/essays/foo']])),
+      zapPayment(zap([['p', PUBKEY]], 'great profile')),
+    ];
+
+    const v4v = filterV4VPayments(payments);
+    assert.strictEqual(v4v.length, 2);
+    assert.deepStrictEqual([...aggregateByEssay(v4v).entries()].map(([slug, d]) => [slug, d.count]), [
+      ['essays/foo', 2],
+    ]);
+    assert.deepStrictEqual(simplifyTransaction(v4v[1]).essay, 'essays/foo');
+  });
+
+  it('should split payments into tips and zaps', () => {
+    const payments = [
+      { amount: 1000000, description: 'shawnyeager.com/essays/foo' },
+      zapPayment(zap([['url', 'shawnyeager.com/essays/foo']])),
+      { amount: 500000, description: 'shawnyeager.com', metadata: { nostr: zap([]) } },
+    ];
+
+    assert.deepStrictEqual(payments.map(paymentChannel), ['tip', 'zap', 'zap']);
+    assert.deepStrictEqual([...aggregateByChannel(payments).entries()], [
+      ['zap', { sats: 2600, count: 2 }],
+      ['tip', { sats: 1000, count: 1 }],
+    ]);
+    assert.strictEqual(simplifyTransaction(payments[0]).channel, 'tip');
+  });
+});
+
 describe('filterByDateRange', () => {
   it('should filter transactions within date range', () => {
     const from = new Date(1700050000 * 1000);
@@ -200,6 +385,43 @@ describe('aggregateByPeriod', () => {
   });
 });
 
+describe('aggregateByWallet', () => {
+  it('should total sats per wallet, largest first', () => {
+    const byWallet = aggregateByWallet([
+      { amount: 1000000, wallet: 'blog' },
+      { amount: 5000000, wallet: 'podcast' },
+      { amount: 2000000, wallet: 'blog' },
+    ]);
+    assert.deepStrictEqual([...byWallet.entries()], [
+      ['podcast', { sats: 5000, count: 1 }],
+      ['blog', { sats: 3000, count: 2 }],
+    ]);
+  });
+
+  it('should put untagged transactions under the default wallet', () => {
+    const byWallet = aggregateByWallet([{ amount: 1000000 }]);
+    assert.deepStrictEqual(byWallet.get('default'), { sats: 1000, count: 1 });
+  });
+});
+
+describe('invoice states', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const invoices = [
+    { payment_hash: 'a', amount: 21000, settled_at: now - 100 },
+    { payment_hash: 'b', amount: 5000, state: 'pending', created_at: now - 50, expires_at: now + 3600 },
+    { payment_hash: 'c', amount: 7000, state: 'expired', created_at: now - 7200 },
+    { payment_hash: 'd', amount: 9000, state: 'failed', created_at: now - 60 },
+  ];
+
+  it('should keep only settled payments', () => {
+    assert.deepStrictEqual(filterSettled(invoices).map(tx => tx.payment_hash), ['a']);
+  });
+
+  it('should summarize open invoices', () => {
+    assert.deepStrictEqual(summarizePending(invoices), { sats: 5, count: 1 });
+  });
+});
+
 describe('buildSummary', () => {
   const v4vTransactions = sampleTransactions.filter(tx =>
     tx.description.includes(TEST_SITE_URL)
@@ -241,6 +463,8 @@ describe('buildSummary', () => {
 });
 
 describe('simplifyTransaction', () => {
+  useTestSite();
+
   it('should convert millisats to sats', () => {
     const simplified = simplifyTransaction(sampleTransactions[0]);
     assert.strictEqual(simplified.amount, 1000);
@@ -260,4 +484,14 @@ describe('simplifyTransaction', () => {
     const simplified = simplifyTransaction(sampleTransactions[3]);
     assert.strictEqual(simplified.essay, '(footer/general)');
   });
+
+  it('should include the site the payment belongs to', () => {
+    assert.strictEqual(simplifyTransaction(sampleTransactions[0]).site, TEST_SITE_URL);
+    assert.strictEqual(simplifyTransaction(sampleTransactions[4]).site, null);
+  });
+
+  it('should carry the wallet, defaulting untagged transactions', () => {
+    assert.strictEqual(simplifyTransaction(sampleTransactions[0]).wallet, 'default');
+    assert.strictEqual(simplifyTransaction({ ...sampleTransactions[0], wallet: 'podcast' }).wallet, 'podcast');
+  });
 });
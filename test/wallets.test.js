@@ -0,0 +1,136 @@
+/**
+ * Tests for multi-wallet support
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { loadTransactionCache, saveTransactionCache } from '../lib/cache.js';
+import {
+  getWallets,
+  getWalletCachePath,
+  tagWallet,
+  fetchWalletTransactions,
+} from '../lib/wallets.js';
+import { ValidationError } from '../lib/errors.js';
+import { snapshotConfig, useTestSite, payment, createFakeClient } from './helpers.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-wallets');
+const restoreConfig = snapshotConfig();
+
+const wallets = [
+  { name: 'default', connectionString: 'nostr+walletconnect://main' },
+  { name: 'podcast', connectionString: 'nostr+walletconnect://podcast' },
+];
+
+before(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+  CONFIG.paths.cache = path.join(testDir, '.v4v-cache.json');
+  CONFIG.cacheBackend = 'json';
+  CONFIG.wallets = wallets;
+  CONFIG.batchDelay = 0;
+  useTestSite();
+});
+
+after(() => {
+  restoreConfig();
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  for (const name of fs.readdirSync(testDir)) {
+    fs.rmSync(path.join(testDir, name), { force: true });
+  }
+});
+
+describe('getWallets', () => {
+  it('should return every configured wallet by default', () => {
+    assert.deepStrictEqual(getWallets(), wallets);
+  });
+
+  it('should narrow to comma-separated names', () => {
+    assert.deepStrictEqual(getWallets('podcast').map(w => w.name), ['podcast']);
+    assert.deepStrictEqual(getWallets(' Podcast, default ').map(w => w.name), ['podcast', 'default']);
+  });
+
+  it('should reject unknown wallets', () => {
+    assert.throws(() => getWallets('nope'), ValidationError);
+  });
+});
+
+describe('getWalletCachePath', () => {
+  it('should keep the original cache file for the default wallet', () => {
+    assert.strictEqual(getWalletCachePath('default'), CONFIG.paths.cache);
+  });
+
+  it('should give named wallets their own file', () => {
+    assert.strictEqual(getWalletCachePath('podcast'), path.join(testDir, '.v4v-cache.podcast.json'));
+    assert.strictEqual(getWalletCachePath('podcast', 'ndjson'), path.join(testDir, '.v4v-cache.podcast.ndjson'));
+  });
+});
+
+describe('tagWallet', () => {
+  it('should tag copies without changing the originals', () => {
+    const original = [payment('a', 1700000000)];
+    const tagged = tagWallet(original, 'podcast');
+    assert.strictEqual(tagged[0].wallet, 'podcast');
+    assert.strictEqual(original[0].wallet, undefined);
+  });
+});
+
+describe('fetchWalletTransactions', () => {
+  it('should merge every wallet, caching each one separately', async () => {
+    const clients = {
+      default: createFakeClient([payment('a', 1700000200), payment('shared', 1700000100)]),
+      podcast: createFakeClient([payment('b', 1700000300), payment('shared', 1700000100)]),
+    };
+
+    const transactions = await fetchWalletTransactions({
+      connect: ({ wallet }) => clients[wallet.name],
+    });
+
+    assert.deepStrictEqual(transactions.map(tx => tx.payment_hash), ['b', 'a', 'shared']);
+    assert.strictEqual(transactions.find(tx => tx.payment_hash === 'a').wallet, 'default');
+    assert.strictEqual(transactions.find(tx => tx.payment_hash === 'b').wallet, 'podcast');
+    assert.ok(clients.default.closed && clients.podcast.closed);
+
+    assert.strictEqual(loadTransactionCache(CONFIG.paths.cache).length, 2);
+    assert.strictEqual(loadTransactionCache(getWalletCachePath('podcast')).length, 2);
+  });
+
+  it('should only fetch the requested wallets', async () => {
+    const connected = [];
+    await fetchWalletTransactions({
+      wallet: 'podcast',
+      connect: ({ wallet }) => {
+        connected.push(wallet.name);
+        return createFakeClient([payment('b', 1700000300)]);
+      },
+    });
+    assert.deepStrictEqual(connected, ['podcast']);
+  });
+
+  it('should read the default cache when no wallet is configured', async () => {
+    CONFIG.wallets = [];
+    try {
+      saveTransactionCache([payment('imported', 1700000000)]);
+      const transactions = await fetchWalletTransactions({
+        connect: () => assert.fail('should not connect'),
+      });
+      assert.deepStrictEqual(transactions.map(tx => [tx.payment_hash, tx.wallet]), [['imported', 'default']]);
+    } finally {
+      CONFIG.wallets = wallets;
+    }
+  });
+
+  it('should fail when no wallet is configured and nothing is cached', async () => {
+    CONFIG.wallets = [];
+    try {
+      await assert.rejects(fetchWalletTransactions(), /NWC_CONNECTION_STRING/);
+    } finally {
+      CONFIG.wallets = wallets;
+    }
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for live payment watching
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { loadTransactionCache } from '../lib/cache.js';
+import { watchPayments } from '../lib/watch.js';
+import { snapshotConfig, useTestSite, payment, createFakeClient } from './helpers.js';
+
+const testDir = path.join(process.cwd(), 'test-temp-watch');
+const restoreConfig = snapshotConfig();
+
+before(() => {
+  fs.mkdirSync(testDir, { recursive: true });
+  CONFIG.paths.cache = path.join(testDir, '.test-cache.json');
+  CONFIG.cacheBackend = 'json';
+  CONFIG.wallets = [{ name: 'default', connectionString: 'nostr+walletconnect://main' }];
+  CONFIG.batchDelay = 0;
+  useTestSite();
+});
+
+after(() => {
+  restoreConfig();
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  for (const name of fs.readdirSync(testDir)) {
+    fs.rmSync(path.join(testDir, name), { force: true });
+  }
+});
+
+describe('watchPayments', () => {
+  it('should follow payment_received notifications', async () => {
+    const client = createFakeClient([payment('old', 1700000000)], { notifications: ['payment_received'] });
+    const received = [];
+    const statuses = [];
+
+    const stop = await watchPayments({
+      connect: () => client,
+      onPayment: tx => received.push(tx),
+      onStatus: status => statuses.push(status),
+    });
+
+    assert.deepStrictEqual(statuses, [{ wallet: 'default', mode: 'notifications' }]);
+
+    client.handler({ notification_type: 'payment_received', notification: payment('tip', 1700000100) });
+    client.handler({ notification_type: 'payment_received', notification: payment('tip', 1700000100) });
+    client.handler({ notification_type: 'payment_received', notification: payment('zap', 1700000200, { description: 'Zap!' }) });
+    stop();
+
+    assert.deepStrictEqual(received.map(tx => tx.payment_hash), ['tip']);
+    assert.strictEqual(received[0].wallet, 'default');
+    assert.deepStrictEqual(
+      loadTransactionCache(CONFIG.paths.cache).map(tx => tx.payment_hash).sort(),
+      ['old', 'tip', 'zap']
+    );
+    assert.ok(client.unsubscribed && client.closed);
+  });
+
+  it('should poll when the wallet has no notifications', async () => {
+    const client = createFakeClient([payment('old', 1700000000)]);
+    const statuses = [];
+
+    // Fail instead of hanging if the poll never picks the tip up
+    let resolveTip;
+    let timer;
+    const tip = Promise.race([
+      new Promise(resolve => {
+        resolveTip = resolve;
+      }),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('No payment after 2s of polling')), 2000);
+      }),
+    ]);
+
+    const stop = await watchPayments({
+      interval: 10,
+      connect: () => client,
+      onPayment: resolveTip,
+      onStatus: status => statuses.push(status),
+    });
+
+    try {
+      assert.strictEqual(statuses[0].mode, 'polling');
+      client.transactions.push(payment('tip', 1700000100));
+      const tx = await tip;
+      assert.strictEqual(tx.payment_hash, 'tip');
+      assert.strictEqual(loadTransactionCache(CONFIG.paths.cache).length, 2);
+    } finally {
+      clearTimeout(timer);
+      stop();
+    }
+    assert.strictEqual(client.handler, null);
+  });
+
+  it('should poll when asked to, even with notifications', async () => {
+    const client = createFakeClient([], { notifications: ['payment_received'] });
+    const statuses = [];
+    const stop = await watchPayments({
+      poll: true,
+      connect: () => client,
+      onPayment: () => {},
+      onStatus: status => statuses.push(status),
+    });
+    stop();
+    assert.strictEqual(statuses[0].mode, 'polling');
+  });
+});